@@ -5,8 +5,17 @@ require('dotenv').config();
 const cookieParser = require("cookie-parser");
 const cors = require('cors');
 
+// Behind a proxy (e.g. Vercel) the client IP used for login throttling comes from X-Forwarded-For
+if (process.env.TRUST_PROXY_HOPS) {
+    app.set('trust proxy', Number(process.env.TRUST_PROXY_HOPS));
+}
 
-app.use(express.json());
+// The raw body is kept for checking payment webhook signatures
+app.use(express.json({
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
 app.use(cookieParser());
 app.use(cors());
 
@@ -17,13 +26,23 @@ const adminRouter = require("./routes/adminRouter");
 const customerRouter = require("./routes/customerRouter");
 const deliveryRouter = require("./routes/deliveryRouter");
 const restaurantRouter = require("./routes/restaurantRouter");
+const paymentRouter = require("./routes/paymentRouter");
 const connectDatabase = require('./configuration/databaseConnect');
+const { startScheduledOrderRelease } = require('./jobs/releaseScheduledOrders');
+const { startDispatch } = require('./jobs/dispatchOrders');
+const { getStorage } = require('./services/storage');
+
+// Uploaded images are served by the app itself only with the local storage backend
+if ((process.env.STORAGE_DRIVER || 'local') === 'local') {
+    app.use('/uploads', express.static(getStorage().directory, { maxAge: '365d', immutable: true }));
+}
 
 app.use("/api", authRouter)
 app.use("/api/admin", adminRouter);
 app.use("/api/customer", customerRouter);
 app.use("/api/delivery", deliveryRouter);
 app.use("/api/restaurant", restaurantRouter);
+app.use("/api/payments", paymentRouter);
 app.get('/', (req, res) => {
     res.send('Welcome to Faizos API Project !');
   });
@@ -32,6 +51,8 @@ app.get('/', (req, res) => {
 connectDatabase()
     .then(() => {
         console.log(`Database connected `);
+        startScheduledOrderRelease();
+        startDispatch();
         app.listen(process.env.PORT, () => {
             console.log(`Server is running at the port ${process.env.PORT}`)
         })
@@ -0,0 +1,91 @@
+// Named permissions checked by the authorize middleware
+const PERMISSIONS = {
+    USER_CREATE: "user:create",
+    USER_UPDATE: "user:update",
+    USER_DEACTIVATE: "user:deactivate",
+    USER_UNLOCK: "user:unlock",
+    SECURITY_EVENT_READ: "security-event:read",
+    ADDRESS_WRITE: "address:write",
+    CART_MANAGE: "cart:manage",
+    RESTAURANT_CREATE: "restaurant:create",
+    RESTAURANT_READ: "restaurant:read",
+    RESTAURANT_UPDATE: "restaurant:update",
+    MENU_READ: "menu:read",
+    MENU_WRITE: "menu:write",
+    SLOT_MANAGE: "slot:manage",
+    STOCK_MANAGE: "stock:manage",
+    ORDER_CREATE: "order:create",
+    ORDER_READ: "order:read",
+    ORDER_READ_ALL: "order:read:all",
+    ORDER_STATUS_UPDATE: "order:status:update",
+    ORDER_CANCEL: "order:cancel",
+    ORDER_RESCHEDULE: "order:reschedule",
+    ORDER_DISPATCH: "order:dispatch",
+    DELIVERY_ACCEPT: "delivery:accept",
+    DELIVERY_AVAILABILITY: "delivery:availability",
+    COURIER_LOCATION_WRITE: "courier-location:write",
+    EARNINGS_READ: "earnings:read",
+    PAYOUT_MANAGE: "payout:manage",
+    COURIER_READ: "courier:read",
+    REPORT_READ: "report:read",
+    REVIEW_WRITE: "review:write",
+    REVIEW_REPLY: "review:reply",
+    REVIEW_MODERATE: "review:moderate",
+    SESSION_MANAGE: "session:manage",
+    // Signing out of the admin panel, which only admins are in
+    ADMIN_SESSION: "admin:session",
+    TWO_FACTOR_MANAGE: "two-factor:manage",
+    SECURITY_POLICY_MANAGE: "security-policy:manage",
+    // Skips ownership checks, i.e. act on resources owned by someone else
+    RESOURCE_ANY: "resource:any",
+};
+
+const ROLE_PERMISSIONS = {
+    customer: [
+        PERMISSIONS.ADDRESS_WRITE,
+        PERMISSIONS.CART_MANAGE,
+        PERMISSIONS.RESTAURANT_READ,
+        PERMISSIONS.MENU_READ,
+        PERMISSIONS.ORDER_CREATE,
+        PERMISSIONS.ORDER_READ,
+        PERMISSIONS.REVIEW_WRITE,
+        PERMISSIONS.SESSION_MANAGE,
+    ],
+    restaurant: [
+        PERMISSIONS.RESTAURANT_CREATE,
+        PERMISSIONS.RESTAURANT_READ,
+        PERMISSIONS.RESTAURANT_UPDATE,
+        PERMISSIONS.MENU_READ,
+        PERMISSIONS.MENU_WRITE,
+        PERMISSIONS.SLOT_MANAGE,
+        PERMISSIONS.STOCK_MANAGE,
+        PERMISSIONS.ORDER_READ,
+        PERMISSIONS.ORDER_STATUS_UPDATE,
+        PERMISSIONS.REVIEW_REPLY,
+        PERMISSIONS.SESSION_MANAGE,
+        PERMISSIONS.TWO_FACTOR_MANAGE,
+    ],
+    delivery: [
+        PERMISSIONS.DELIVERY_ACCEPT,
+        PERMISSIONS.DELIVERY_AVAILABILITY,
+        PERMISSIONS.COURIER_LOCATION_WRITE,
+        PERMISSIONS.EARNINGS_READ,
+        PERMISSIONS.ORDER_STATUS_UPDATE,
+        PERMISSIONS.SESSION_MANAGE,
+    ],
+    admin: Object.values(PERMISSIONS),
+};
+
+// Roles anyone may pick when signing up; the rest are created by an admin
+const SELF_SERVICE_ROLES = ["customer", "restaurant"];
+
+const hasPermission = (role, permission) => {
+    return (ROLE_PERMISSIONS[role] || []).includes(permission);
+};
+
+module.exports = {
+    PERMISSIONS,
+    ROLE_PERMISSIONS,
+    SELF_SERVICE_ROLES,
+    hasPermission,
+};
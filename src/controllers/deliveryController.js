@@ -1,40 +1,58 @@
-const DeliveryPersonnel = require('../models/DeliveryPersonnel');
-const Order = require('../models/Order');
-const generateToken = require('../utils/generateToken');
-const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { validateSignUpData } = require('../utils/validation');
+const bcrypt = require('bcrypt');
+const { startSession } = require('../utils/session');
+const { canStartSession } = require('../utils/loginPolicy');
+const { checkCredentials, LoginBlockedError } = require('../utils/loginGuard');
+const { queueVerificationEmail } = require('../utils/accountEmails');
+const { placeOrder } = require('../services/orderService');
+const { listOffers, acceptOffer, declineOffer, withdrawCourierOffers } = require('../services/dispatchService');
+const { advanceDelivery, submitHandoffCode, submitDeliveryPhoto, listCourierDeliveries } = require('../services/deliveryService');
+const { recordPing } = require('../services/trackingService');
+const { earningsSummary, listLedger } = require('../services/earningsService');
+const { toPoint } = require('../utils/geo');
 
 exports.registerPersonnel = async (req, res) => {
   try {
-    const { name, email, password, contactDetails, vehicleType , role } = req.body;
-    if (!name || !email || !password || !contactDetails || !vehicleType) {
+    validateSignUpData(req);
+  } catch (error) {
+    return res.status(400).json({ message: error.message });
+  }
+
+  try {
+    const { firstName, lastName, emailId, password, gender, contactDetails, vehicleType } = req.body;
+    if (!contactDetails || !vehicleType) {
       return res.status(400).json({ message: 'All fields are required' });
     }
 
-    const personnelExists = await DeliveryPersonnel.findOne({ email });
+    const personnelExists = await User.findOne({ emailId });
     if (personnelExists) {
       return res.status(400).json({ message: 'User already exists' });
     }
 
     // Encrypt the password
     const passwordHash = await bcrypt.hash(password, 10);
-    //console.log(passwordHash);
-    const personnel = await DeliveryPersonnel.create({
-      name,
-      email,
+    const personnel = await User.create({
+      firstName,
+      lastName,
+      emailId,
       password: passwordHash,
-      contactDetails,
-      vehicleType,
-      role: role || 'Delivery',
+      gender,
+      role: 'delivery',
+      courierProfile: { contactDetails, vehicleType },
     });
+    queueVerificationEmail(personnel);
 
     res.status(201).json({
       id: personnel._id,
       message: 'Welcome! Delivery Partner registered successfully',
     });
   } catch (error) {
-    if (error.code === 11000 && error.keyPattern?.email) {
-      return res.status(400).json({ message: `Email ${error.keyValue.email} is already registered` });
+    if (error.code === 11000 && error.keyPattern?.emailId) {
+      return res.status(400).json({ message: `Email ${error.keyValue.emailId} is already registered` });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
     }
     return res.status(500).json({ message: 'Internal Server Error' });
   }
@@ -43,8 +61,8 @@ exports.registerPersonnel = async (req, res) => {
 // Get all delivery personnel
 exports.getAllDeliveryPersonnel = async (req, res) => {
   try {
-    // Fetch only users with the role 'Delivery'
-    const deliveryPersonnel = await DeliveryPersonnel.find({ role: 'Delivery' }).select('-password');
+    // Fetch only users with the role 'delivery'
+    const deliveryPersonnel = await User.find({ role: 'delivery' }).select('-password');
 
     // Check if there are any delivery personnel found
     if (deliveryPersonnel.length === 0) {
@@ -64,52 +82,45 @@ exports.getAllDeliveryPersonnel = async (req, res) => {
 
 
 exports.loginPersonnel = async (req, res) => {
-  const { email, password } = req.body;
+  const { emailId, password } = req.body;
 
   try {
 
-    // Find personnel by email
-    const personnel = await DeliveryPersonnel.findOne({ email });
+    const personnel = await checkCredentials(req, res, emailId, password);
 
     if (!personnel) {
-      return res.status(401).json({ message: 'Invalid email! Please SignUp via Register' });
+      return res.status(401).json({ message: 'Invalid email or password' });
     }
     // Check if user is a delivery personnel
-    if (personnel.role !== 'Delivery') {
+    if (personnel.role !== 'delivery') {
       return res.status(403).json({ message: 'Access denied. Not a delivery personnel.' });
     }
 
-    // Use the matchPassword method to compare
-    const isPasswordValid = await personnel.matchPassword(password);
-    const isPasswordValid1 = await personnel.validatePassword(password);
-    console.log('Password Match Result:', isPasswordValid1);
-
-    if (!isPasswordValid) {
-      return res.status(401).json({ message: 'Password does not match Username' });
+    if (!canStartSession(personnel)) {
+      return res.status(403).json({ message: 'Email is not verified, please check your inbox' });
     }
 
-    // Increment tokenVersion to invalidate old tokens
-    personnel.tokenVersion += 1;
-    await personnel.save();
-
-    // Generate a new token with the updated tokenVersion
-    const token = generateToken(personnel._id, personnel.tokenVersion);
-
-    // Send the response with the token and other information
+    // Courier apps use the tokens from the body, browsers get the cookies
+    const { accessToken, refreshToken } = await startSession(req, res, personnel);
     res.status(200).json({
       id: personnel._id,
       message: 'Login successful',
-      token,
+      token: accessToken,
+      refreshToken,
     });
   } catch (error) {
+    if (error instanceof LoginBlockedError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     console.error('Login error:', error);
     return res.status(500).json({ message: 'Internal Server Error' });
   }
 };
 
+// Orders the dispatch service currently offers to this courier
 exports.getAvailableOrders = async (req, res) => {
   try {
-    const orders = await Order.find({ orderStatus: 'Pending' });
+    const orders = await listOffers(req.user);
     res.json(orders);
   } catch (error) {
     res.status(500).json({ message: 'Error retrieving available orders' });
@@ -120,13 +131,13 @@ exports.getAvailableOrders = async (req, res) => {
 // Accept Delivery
 exports.acceptOrder = async (req, res) => {
   try {
-    // Check if personnel data is attached to the request
-    if (!req.personnel) {
-      return res.status(401).json({ message: 'Not authorized. Please log in.' });
+    // Only couriers carry a courier profile
+    if (!req.user.courierProfile) {
+      return res.status(403).json({ message: 'Access denied. Not a delivery personnel.' });
     }
 
     // Check if delivery personnel is available
-    if (!req.personnel.isAvailable) {
+    if (!req.user.courierProfile.isAvailable) {
       return res.status(403).json({ message: 'You are currently unavailable to accept deliveries' });
     }
 
@@ -135,160 +146,208 @@ exports.acceptOrder = async (req, res) => {
       return res.status(400).json({ message: 'Invalid order ID format' });
     }
 
-    // Find the order by ID
-    const order = await Order.findById(req.params.id);
-
-    // Check if the order exists
-    if (!order) {
-      return res.status(404).json({ message: 'Order not found' });
-    }
-
-    // Check if the order is already accepted by someone else
-    if (order.orderStatus !== 'Pending') {
-      return res.status(400).json({ message: 'Order is no longer available' });
-    }
-
-    // Update the order status and assign the delivery personnel
-    order.orderStatus = 'Accepted';
-    order.deliveryPersonnel = req.personnel._id;
-    await order.save();
+    // Only the courier the order is offered to can take it
+    const acceptedOrder = await acceptOffer(req.params.id, req.user);
 
     // Respond with success
     res.status(200).json({
       message: 'Order accepted successfully',
-      order,
+      order: acceptedOrder,
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     console.error('Error accepting order:', error);
     res.status(500).json({ message: 'Error accepting order' });
   }
 };
 
+// Decline Delivery: the order is offered to the next courier
+exports.declineOrder = async (req, res) => {
+  try {
+    if (!req.user.courierProfile) {
+      return res.status(403).json({ message: 'Access denied. Not a delivery personnel.' });
+    }
+    if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ message: 'Invalid order ID format' });
+    }
+
+    await declineOffer(req.params.id, req.user);
+    res.status(200).json({ message: 'Order declined' });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Error declining order:', error);
+    res.status(500).json({ message: 'Error declining order' });
+  }
+};
 
+
+// Courier progress on a delivery; the order status follows
 exports.updateDeliveryStatus = async (req, res) => {
-  const { status } = req.body;
-  const allowedStatuses = ['Pending', 'Accepted', 'Preparing', 'OutForDelivery', 'Delivered', 'Cancelled', 'Rescheduled'];
+  const { status, reason } = req.body;
 
-  if (!status || !allowedStatuses.includes(status)) {
+  if (!status) {
     return res.status(400).json({ message: "Invalid or missing status" });
   }
 
   try {
-    const order = await Order.findById(req.params.id);
-    if (order) {
-      if (order.orderStatus === status) {
-        return res.status(200).json({ message: 'Order status is already set to the requested status', order });
-      }
-
-      order.orderStatus = status;
-      await order.save();
-      res.json({ message: 'Order status updated successfully', order });
-    } else {
-      res.status(404).json({ message: 'Order not found' });
+    const { delivery, order, changed } = await advanceDelivery(req.params.id, status, req.user, reason);
+    if (!changed) {
+      return res.status(200).json({ message: 'Delivery status is already set to the requested status', delivery, order });
     }
+    res.json({ message: 'Delivery status updated successfully', delivery, order });
   } catch (error) {
-    res.status(500).json({ message: 'Error updating order status' });
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error updating delivery status' });
   }
 };
 
-exports.setAvailability = async (req, res) => {
+// Proof of delivery: the code the customer reads out at the door
+exports.submitHandoffCode = async (req, res) => {
   try {
-    req.personnel.isAvailable = req.body.isAvailable;
-    await req.personnel.save();
-    res.json(req.personnel);
+    const delivery = await submitHandoffCode(req.params.id, req.body.code, req.user);
+    res.json({ message: 'Handoff code accepted', delivery });
   } catch (error) {
-    res.status(500).json({ message: 'Error setting availability' });
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Error checking handoff code:', error);
+    res.status(500).json({ message: 'Error checking handoff code' });
   }
 };
 
-const OrderItem = require('../models/OrderItem');
-const User = require('../models/User');
-const Restaurant = require('../models/Restaurant');
-const Menu = require('../models/Menu');
-
-exports.createOrder = async (req, res) => {
+// Proof of delivery for contactless drop-off
+exports.submitDeliveryPhoto = async (req, res) => {
   try {
-    const { customerId, restaurantId, items, deliveryTime } = req.body;
-
-    if (!customerId || !restaurantId || !items || items.length === 0) {
-      return res.status(400).json({ error: 'Missing required fields' });
+    const delivery = await submitDeliveryPhoto(req.params.id, req.file, req.user);
+    res.json({ message: 'Delivery photo stored', delivery });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
     }
+    console.error('Error storing delivery photo:', error);
+    res.status(500).json({ message: 'Error storing delivery photo' });
+  }
+};
 
-    const customer = await User.findById(customerId);
-    if (!customer) {
-      return res.status(404).json({ error: 'Customer not found' });
+// The courier's own deliveries, active or past
+exports.getMyDeliveries = async (req, res) => {
+  try {
+    res.json(await listCourierDeliveries(req.user, req.query));
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
     }
+    res.status(500).json({ message: 'Error retrieving deliveries' });
+  }
+};
 
-    const restaurant = await Restaurant.findById(restaurantId);
-    if (!restaurant) {
-      return res.status(404).json({ error: 'Restaurant not found' });
+exports.setAvailability = async (req, res) => {
+  try {
+    if (!req.user.courierProfile) {
+      return res.status(403).json({ message: 'Access denied. Not a delivery personnel.' });
     }
 
-    let totalAmount = 0;
-    const orderItems = [];
-    
-
-    for (const item of items) {
-      const { menuItem, quantity } = item;
-      if (!menuItem || !quantity) {
-        return res.status(400).json({ error: 'Invalid item details' });
-      }
-      
-
-      const menuItemOut = await Menu.findById(menuItem);
-      if (!menuItemOut) {
-        return res.status(404).json({ error: `Menu item with ID ${menuItem} not found` });
-      }
-
-      
-
-      const itemTotal = menuItemOut.price * quantity;
-      totalAmount += itemTotal;
-      
+    const { isAvailable, location } = req.body;
+    if (isAvailable !== undefined && typeof isAvailable !== 'boolean') {
+      return res.status(400).json({ message: 'isAvailable must be true or false' });
+    }
+    if (isAvailable === undefined && location === undefined) {
+      return res.status(400).json({ message: 'isAvailable or location is required' });
+    }
 
-      const newOrderItem = new OrderItem({
-        menuItem: menuItemOut._id,
-        quantity,
-        order: null,
-      });
-      
+    const update = {};
+    if (isAvailable !== undefined) {
+      update['courierProfile.isAvailable'] = isAvailable;
+    }
+    // The position lets dispatch offer nearby orders
+    if (location !== undefined) {
+      update['courierProfile.lastLocation'] = toPoint(location);
+      update['courierProfile.lastLocationAt'] = new Date();
+    }
 
-      orderItems.push(newOrderItem);
+    const personnel = await User.findByIdAndUpdate(
+      req.user._id,
+      { $set: update },
+      { new: true, runValidators: true }
+    ).select('-password');
+    if (isAvailable === false) {
+      await withdrawCourierOffers(req.user._id);
     }
+    res.json(personnel);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error setting availability' });
+  }
+};
 
-    let deliveryDate = null;
-    if (deliveryTime) {
-      deliveryDate = new Date(deliveryTime);
-      if (isNaN(deliveryDate.getTime())) {
-        return res.status(400).json({ error: 'Invalid deliveryTime format' });
-      }
+// GPS ping from the courier app while the courier carries orders
+exports.recordLocation = async (req, res) => {
+  try {
+    if (!req.user.courierProfile) {
+      return res.status(403).json({ message: 'Access denied. Not a delivery personnel.' });
     }
 
-    const newOrder = new Order({
-      customer: customerId,
-      restaurant: restaurantId,
-      items: [],
-      orderStatus: 'Pending',
-      totalAmount,
-      deliveryTime: deliveryDate,
-    });
+    const { location, accuracyMeters, speedKmh, heading, recordedAt } = req.body;
+    const ping = await recordPing(req.user, { location, accuracyMeters, speedKmh, heading, recordedAt });
+    res.status(201).json({ message: 'Location recorded', recordedAt: ping.recordedAt, orders: ping.orders });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Error recording location:', error);
+    res.status(500).json({ message: 'Error recording location' });
+  }
+};
 
-    const savedOrder = await newOrder.save();
+// What the courier earned per day and week, and what is still to be paid out
+exports.getEarnings = async (req, res) => {
+  try {
+    const { from, to, timeZone } = req.query;
+    res.json(await earningsSummary(req.user, { from, to, timeZone }));
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Error retrieving earnings:', error);
+    res.status(500).json({ message: 'Error retrieving earnings' });
+  }
+};
 
-    for (const orderItem of orderItems) {
-      orderItem.order = savedOrder._id;
-      await orderItem.save();
+// The courier's own ledger entries
+exports.getEarningsLedger = async (req, res) => {
+  try {
+    res.json(await listLedger(req.user._id, req.query));
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
     }
+    res.status(500).json({ message: 'Error retrieving ledger' });
+  }
+};
 
-    savedOrder.items = orderItems.map(item => item._id);
-    await savedOrder.save();
+exports.createOrder = async (req, res) => {
+  try {
+    const { customerId, restaurantId, items, deliveryTime, deliveryAddressId, slotId, paymentMethod } = req.body;
 
+    const { order, payment } = await placeOrder({ customerId, restaurantId, items, deliveryTime, deliveryAddressId, slotId, paymentMethod, actor: req.user });
     res.status(201).json({
       message: 'Order placed successfully',
-      order: savedOrder,
+      order,
+      payment,
     });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to create order' })
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
     console.log(error);
+    res.status(500).json({ error: 'Failed to create order' });
   }
 };
@@ -0,0 +1,28 @@
+const { dispatchOrders } = require("../services/dispatchService");
+
+const INTERVAL_SECONDS = Number(process.env.DISPATCH_INTERVAL_SECONDS) || 15;
+
+// Runs a dispatch round every INTERVAL_SECONDS: expired offers cascade to the next courier
+const startDispatch = () => {
+    let running = false;
+    const timer = setInterval(async () => {
+        if (running) {
+            return;
+        }
+        running = true;
+        try {
+            await dispatchOrders();
+        } catch (err) {
+            console.error("Dispatching orders failed:", err.message);
+        } finally {
+            running = false;
+        }
+    }, INTERVAL_SECONDS * 1000);
+    // Does not keep the process alive on its own
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    startDispatch,
+};
@@ -0,0 +1,60 @@
+const Order = require("../models/Order");
+const { transitionOrder } = require("../services/orderLifecycle");
+
+// Scheduled orders are handed to the kitchen this long before their delivery slot starts
+const LEAD_MINUTES = Number(process.env.SCHEDULED_ORDER_LEAD_MINUTES) || 45;
+const INTERVAL_SECONDS = Number(process.env.SCHEDULED_ORDER_RELEASE_INTERVAL_SECONDS) || 60;
+const BATCH_SIZE = 100;
+const SYSTEM_ACTOR = { role: "system" };
+
+/**
+ * Moves every Scheduled order whose delivery time is within the lead time to
+ * Pending, so the restaurant sees it like an order placed now. Several
+ * instances may run this at once: the conditional update in transitionOrder
+ * lets only one of them release a given order.
+ */
+const releaseDueOrders = async (now = new Date()) => {
+    const due = await Order.find({
+        orderStatus: "Scheduled",
+        deliveryTime: { $lte: new Date(now.getTime() + LEAD_MINUTES * 60000) },
+    }).sort({ deliveryTime: 1 }).limit(BATCH_SIZE);
+
+    let released = 0;
+    for (const order of due) {
+        try {
+            await transitionOrder(order, "Pending", { actor: SYSTEM_ACTOR, reason: "Released to the kitchen" });
+            released += 1;
+        } catch (err) {
+            // 409: another instance released it, or it was cancelled in the meantime
+            if (err.statusCode !== 409) {
+                console.error(`Releasing scheduled order ${order._id} failed:`, err.message);
+            }
+        }
+    }
+    return released;
+};
+
+const startScheduledOrderRelease = () => {
+    let running = false;
+    const timer = setInterval(async () => {
+        if (running) {
+            return;
+        }
+        running = true;
+        try {
+            await releaseDueOrders();
+        } catch (err) {
+            console.error("Releasing scheduled orders failed:", err.message);
+        } finally {
+            running = false;
+        }
+    }, INTERVAL_SECONDS * 1000);
+    // Does not keep the process alive on its own
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    releaseDueOrders,
+    startScheduledOrderRelease,
+};
@@ -1,23 +1,44 @@
 const jwt = require("jsonwebtoken");
 const User = require("../models/User");
+const Session = require("../models/Session");
+
+// Browsers send the token as a cookie, mobile and courier apps as a Bearer header
+const getRequestToken = (req) => {
+    const { authorization } = req.headers;
+    if (authorization && authorization.startsWith("Bearer ")) {
+        return authorization.split(" ")[1];
+    }
+    return req.cookies?.token;
+};
 
 const userAuth = async (req, res, next) => {
     try {
-        const { token } = req.cookies;
+        const token = getRequestToken(req);
         if (!token) {
             return res.status(401).send("Kindly login! ");
         }
 
         const decodedObj = await jwt.verify(token, process.env.JWT_PRIVATE_KEY);
 
-        const { _id } = decodedObj;
+        const { _id, sid } = decodedObj;
+
+        // Access tokens die with their session, e.g. after logout or "log out everywhere"
+        const session = sid && await Session.findOne({ _id: sid, user: _id });
+        if (!session || !session.isActive()) {
+            return res.status(401).send("Session expired, kindly login again");
+        }
 
         const user = await User.findById(_id);
         if (!user) {
             throw new Error("User not found");
         }
+        // Disabling an account locks it out at once, not when its tokens expire
+        if (user.status !== "active") {
+            return res.status(403).send("Account is not active");
+        }
 
         req.user = user;
+        req.authSession = session;
         next();
     } catch (err) {
         res.status(400).send("ERROR: " + err.message);
@@ -26,4 +47,4 @@ const userAuth = async (req, res, next) => {
 
 module.exports = {
     userAuth,
-};
\ No newline at end of file
+};
@@ -0,0 +1,86 @@
+const { userAuth } = require("./auth");
+const { PERMISSIONS, hasPermission } = require("../configuration/permissions");
+const Restaurant = require("../models/Restaurant");
+const Menu = require("../models/Menu");
+const Order = require("../models/Order");
+const Review = require("../models/Review");
+
+const isSameId = (a, b) => a != null && b != null && a.toString() === b.toString();
+
+/**
+ * Authenticates the request and checks that the user's role grants every
+ * listed permission. An optional `{ owner }` resolver returns the owner id (or
+ * a list of ids) of the targeted resource; the user must be one of them unless
+ * their role grants `resource:any`. A resolver returning null means the
+ * resource does not exist, which is answered with 404.
+ *
+ *   authorize(PERMISSIONS.MENU_WRITE, { owner: ownerOfMenuItem((req) => req.params.itemId) })
+ */
+const authorize = (...permissions) => {
+    const options = typeof permissions[permissions.length - 1] === "object" ? permissions.pop() : {};
+
+    const checkPermissions = async (req, res, next) => {
+        try {
+            const { role } = req.user;
+            if (!permissions.every((permission) => hasPermission(role, permission))) {
+                return res.status(403).send("ERROR : Invalid Authorization");
+            }
+
+            if (options.owner && !hasPermission(role, PERMISSIONS.RESOURCE_ANY)) {
+                const owners = await options.owner(req);
+                if (owners == null) {
+                    return res.status(404).send("ERROR : Resource not found");
+                }
+                const ownerIds = Array.isArray(owners) ? owners : [owners];
+                if (!ownerIds.some((ownerId) => isSameId(ownerId, req.user._id))) {
+                    return res.status(403).send("ERROR : Invalid Authorization");
+                }
+            }
+
+            next();
+        } catch (err) {
+            res.status(400).send("ERROR : " + err.message);
+        }
+    };
+
+    return [userAuth, checkPermissions];
+};
+
+// Owner resolvers, each takes a function picking the id out of the request
+
+const ownerOfUser = (getUserId) => (req) => getUserId(req) || null;
+
+const ownerOfRestaurant = (getRestaurantId) => async (req) => {
+    const restaurantId = getRestaurantId(req);
+    if (!restaurantId) {
+        return null;
+    }
+    const restaurant = await Restaurant.findById(restaurantId).select("owner");
+    return restaurant ? restaurant.owner : null;
+};
+
+const ownerOfMenuItem = (getItemId) => async (req) => {
+    const menuItem = await Menu.findById(getItemId(req)).select("restaurant").populate("restaurant", "owner");
+    return menuItem ? menuItem.restaurant?.owner || [] : null;
+};
+
+// An order belongs both to the customer who placed it and to the restaurant owner
+const ownerOfOrder = (getOrderId) => async (req) => {
+    const order = await Order.findById(getOrderId(req)).select("customer restaurant").populate("restaurant", "owner");
+    return order ? [order.customer, order.restaurant?.owner] : null;
+};
+
+// A review is answered by the owner of the reviewed restaurant
+const ownerOfReview = (getReviewId) => async (req) => {
+    const review = await Review.findById(getReviewId(req)).select("restaurant").populate("restaurant", "owner");
+    return review ? review.restaurant?.owner || [] : null;
+};
+
+module.exports = {
+    authorize,
+    ownerOfUser,
+    ownerOfRestaurant,
+    ownerOfMenuItem,
+    ownerOfOrder,
+    ownerOfReview,
+};
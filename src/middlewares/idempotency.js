@@ -0,0 +1,125 @@
+const crypto = require("crypto");
+const IdempotencyKey = require("../models/IdempotencyKey");
+
+const TTL_HOURS = Number(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24;
+// A request still marked in progress after this long is taken to have crashed
+const LOCK_TIMEOUT_MS = 60 * 1000;
+const MAX_KEY_LENGTH = 255;
+
+// JSON with sorted object keys, so the same body always hashes the same
+const canonicalJson = (value) => {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(",")}]`;
+    }
+    if (value && typeof value === "object") {
+        return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(",")}}`;
+    }
+    return JSON.stringify(value ?? null);
+};
+
+const hashRequest = (req) => {
+    return crypto.createHash("sha256")
+        .update(`${req.method} ${req.baseUrl}${req.path}\n${canonicalJson(req.body)}`)
+        .digest("hex");
+};
+
+// Takes over a record whose request never finished
+const reclaimStale = async (record) => {
+    return IdempotencyKey.findOneAndUpdate(
+        { _id: record._id, state: "in-progress", lockedAt: { $lt: new Date(Date.now() - LOCK_TIMEOUT_MS) } },
+        { $set: { lockedAt: new Date() } },
+        { new: true }
+    );
+};
+
+/**
+ * Makes a mutating route safe to retry. When the client sends an
+ * `Idempotency-Key` header the first successful (2xx) response is stored per
+ * key and user and replayed for every retry with the same body; the same key
+ * with a different body is a 409. Failed attempts are forgotten so the
+ * request can be retried with the same key. Without the header the route
+ * behaves as before. Must come after authentication:
+ *
+ *   router.post("/orders", authorize(PERMISSIONS.ORDER_CREATE), idempotency(), handler)
+ */
+const idempotency = () => async (req, res, next) => {
+    const key = req.get("Idempotency-Key");
+    if (!key) {
+        return next();
+    }
+    if (key.length > MAX_KEY_LENGTH) {
+        return res.status(400).json({ error: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters` });
+    }
+
+    try {
+        const requestHash = hashRequest(req);
+        let record;
+        try {
+            record = await IdempotencyKey.create({
+                key,
+                user: req.user._id,
+                method: req.method,
+                path: `${req.baseUrl}${req.path}`,
+                requestHash,
+                expiresAt: new Date(Date.now() + TTL_HOURS * 3600000),
+            });
+        } catch (err) {
+            if (err.code !== 11000) {
+                throw err;
+            }
+
+            const existing = await IdempotencyKey.findOne({ user: req.user._id, key });
+            if (!existing) {
+                return res.status(409).json({ error: "A request with this Idempotency-Key is still being processed" });
+            }
+            if (existing.requestHash !== requestHash) {
+                return res.status(409).json({ error: "This Idempotency-Key was already used for a different request" });
+            }
+            if (existing.state === "completed") {
+                res.set("Idempotent-Replayed", "true");
+                if (existing.responseType) {
+                    res.type(existing.responseType);
+                }
+                return res.status(existing.responseStatus).send(existing.responseBody);
+            }
+
+            record = await reclaimStale(existing);
+            if (!record) {
+                return res.status(409).json({ error: "A request with this Idempotency-Key is still being processed" });
+            }
+        }
+
+        // Keep a copy of what the handler sends back
+        let responseBody;
+        const send = res.send.bind(res);
+        res.send = (body) => {
+            if (responseBody === undefined) {
+                responseBody = Buffer.isBuffer(body) ? body.toString() : body;
+            }
+            return send(body);
+        };
+
+        res.on("finish", () => {
+            const completed = res.statusCode >= 200 && res.statusCode < 300;
+            const update = completed
+                ? IdempotencyKey.updateOne({ _id: record._id }, {
+                    $set: {
+                        state: "completed",
+                        responseStatus: res.statusCode,
+                        responseType: res.get("Content-Type"),
+                        responseBody: typeof responseBody === "string" ? responseBody : JSON.stringify(responseBody ?? ""),
+                    },
+                })
+                : IdempotencyKey.deleteOne({ _id: record._id });
+            update.catch((err) => console.error("Could not store idempotent response:", err.message));
+        });
+
+        next();
+    } catch (err) {
+        res.status(500).json({ error: "Failed to process Idempotency-Key" });
+    }
+};
+
+module.exports = {
+    idempotency,
+};
@@ -0,0 +1,42 @@
+const multer = require("multer");
+const { IMAGE_TYPES, MAX_IMAGE_BYTES } = require("../services/imageService");
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_IMAGE_BYTES, files: 1 },
+    fileFilter: (req, file, callback) => {
+        if (!IMAGE_TYPES[file.mimetype]) {
+            const error = new Error(`Images must be one of ${Object.keys(IMAGE_TYPES).join(", ")}`);
+            error.statusCode = 415;
+            return callback(error);
+        }
+        callback(null, true);
+    },
+});
+
+/**
+ * Reads a single image from the multipart form `field` into `req.file`
+ * (kept in memory, the image service checks and stores it) and answers
+ * oversized, wrongly typed or missing uploads itself.
+ */
+const imageUpload = (field = "image") => (req, res, next) => {
+    upload.single(field)(req, res, (err) => {
+        if (err instanceof multer.MulterError) {
+            if (err.code === "LIMIT_FILE_SIZE") {
+                return res.status(413).json({ error: `Images can be at most ${MAX_IMAGE_BYTES / (1024 * 1024)} MB` });
+            }
+            return res.status(400).json({ error: `Expected one image in the form field "${field}"` });
+        }
+        if (err) {
+            return res.status(err.statusCode || 400).json({ error: err.message });
+        }
+        if (!req.file) {
+            return res.status(400).json({ error: `Send the image as multipart/form-data in the field "${field}"` });
+        }
+        next();
+    });
+};
+
+module.exports = {
+    imageUpload,
+};
@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// Single-use record behind password reset and email verification links and 2FA login challenges
+const actionTokenSchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    purpose: { type: String, enum: ['password-reset', 'email-verify', 'two-factor-login'], required: true },
+    jti: { type: String, required: true, unique: true },
+    expiresAt: { type: Date, required: true },
+    usedAt: { type: Date },
+    failedAttempts: { type: Number, default: 0 }
+}, {
+    timestamps: true,
+});
+
+actionTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("ActionToken", actionTokenSchema);
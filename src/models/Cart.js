@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+const selectedModifierSchema = require('./selectedModifier');
+
+// Price and availability are captured when the line is added and checked
+// again against the menu at checkout. The same item with different modifiers
+// makes separate lines, told apart by their _id.
+const cartLineSchema = new mongoose.Schema({
+    menuItem: { type: mongoose.Schema.Types.ObjectId, ref: 'Menu', required: true },
+    itemName: { type: String, required: true },
+    unitPrice: { type: Number, required: true, min: 0 },
+    modifiers: [selectedModifierSchema],
+    available: { type: Boolean, default: true },
+    quantity: { type: Number, required: true, min: 1 },
+    addedAt: { type: Date, default: Date.now }
+});
+
+// One cart per customer, holding items of a single restaurant
+const cartSchema = new mongoose.Schema({
+    customer: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, unique: true },
+    restaurant: { type: mongoose.Schema.Types.ObjectId, ref: 'Restaurant' },
+    items: [cartLineSchema]
+}, {
+    timestamps: true,
+});
+
+cartSchema.virtual('totalAmount').get(function () {
+    return this.items.reduce((total, line) => total + line.unitPrice * line.quantity, 0);
+});
+
+cartSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model("Cart", cartSchema);
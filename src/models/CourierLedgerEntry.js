@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// One line of a courier's earnings ledger. Entries are only ever added: a
+// mistake is corrected with an adjustment, and a payout is a negative entry,
+// so the sum of a courier's entries is what they are still owed.
+const courierLedgerEntrySchema = new mongoose.Schema({
+    courier: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    type: { type: String, enum: ['delivery-fee', 'tip', 'adjustment', 'payout'], required: true },
+    amount: { type: Number, required: true },
+    currency: { type: String, required: true },
+    order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+    delivery: { type: mongoose.Schema.Types.ObjectId, ref: 'Delivery' },
+    // Restaurant to customer, the distance the delivery fee was computed from
+    distanceKm: { type: Number },
+    payoutBatch: { type: mongoose.Schema.Types.ObjectId, ref: 'PayoutBatch' },
+    note: { type: String },
+    actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+    timestamps: { createdAt: true, updatedAt: false },
+});
+
+// Fees and tips are recorded once per order; adjustments and payouts carry no order
+courierLedgerEntrySchema.index({ order: 1, type: 1 }, { unique: true, partialFilterExpression: { order: { $exists: true } }, name: 'one_entry_per_order_and_type' });
+courierLedgerEntrySchema.index({ courier: 1, createdAt: -1 });
+courierLedgerEntrySchema.index({ createdAt: 1, type: 1 });
+
+const refuseChange = function (next) {
+    next(new Error('Courier ledger entries cannot be changed or removed, add an adjustment instead'));
+};
+courierLedgerEntrySchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'], refuseChange);
+
+module.exports = mongoose.model('CourierLedgerEntry', courierLedgerEntrySchema);
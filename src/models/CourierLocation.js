@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+const { pointSchema } = require('./geoJson');
+
+const TTL_DAYS = Number(process.env.COURIER_LOCATION_TTL_DAYS) || 7;
+
+// GPS pings sent by couriers while they carry orders; MongoDB removes them after TTL_DAYS
+const courierLocationSchema = new mongoose.Schema({
+    courier: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    // Orders the courier was carrying when the ping was sent
+    orders: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Order' }],
+    location: { type: pointSchema, required: true },
+    accuracyMeters: { type: Number, min: 0 },
+    speedKmh: { type: Number, min: 0 },
+    heading: { type: Number, min: 0, max: 360 },
+    recordedAt: { type: Date, required: true }
+});
+
+courierLocationSchema.index({ recordedAt: 1 }, { expireAfterSeconds: TTL_DAYS * 24 * 60 * 60 });
+courierLocationSchema.index({ orders: 1, recordedAt: 1 });
+courierLocationSchema.index({ courier: 1, recordedAt: -1 });
+
+module.exports = mongoose.model('CourierLocation', courierLocationSchema);
@@ -1,11 +1,32 @@
 const mongoose = require('mongoose');
+const imageSchema = require('./image');
 
+// The courier's job for one order, created when a courier takes the order.
+// Pending until pickup at the restaurant; the order's status follows it.
+// A delivery is Cancelled when its order is cancelled or given to another courier.
 const deliverySchema = new mongoose.Schema({
     order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true },
     deliveryPersonnel: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    // Pickup at the restaurant and drop-off at the customer
     pickupTime: { type: Date },
     deliveryTime: { type: Date },
-    deliveryStatus: { type: String, enum: ['Pending', 'PickedUp', 'EnRoute', 'Delivered'], default: 'Pending' }
+    deliveryStatus: { type: String, enum: ['Pending', 'PickedUp', 'EnRoute', 'Delivered', 'Cancelled'], default: 'Pending' },
+    // How the courier showed the order reached the customer, required before Delivered
+    proof: {
+        method: { type: String, enum: ['code', 'photo'] },
+        photo: { type: imageSchema },
+        submittedAt: { type: Date }
+    },
+    // Wrong handoff codes in a row; entering codes is blocked until handoffLockedUntil
+    handoffFailures: { type: Number, default: 0 },
+    handoffLockedUntil: { type: Date },
+    cancelledAt: { type: Date },
+    cancelReason: { type: String }
+}, {
+    timestamps: true,
 });
 
-module.exports = mongoose.model("Delivery", deliverySchema);
\ No newline at end of file
+deliverySchema.index({ order: 1, deliveryStatus: 1 });
+deliverySchema.index({ deliveryPersonnel: 1, deliveryStatus: 1, createdAt: -1 });
+
+module.exports = mongoose.model("Delivery", deliverySchema);
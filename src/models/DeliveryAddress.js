@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { pointSchema } = require('./geoJson');
 
 const DeliveryAddressSchema = new mongoose.Schema({
     userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
@@ -12,7 +13,8 @@ const DeliveryAddressSchema = new mongoose.Schema({
     postalCode: {
         type: String, required: true
     },
-    isDefault: { type: Boolean, default: false }
+    isDefault: { type: Boolean, default: false },
+    location: { type: pointSchema }
 });
 
 module.exports = mongoose.model("DeliveryAddress", DeliveryAddressSchema);
\ No newline at end of file
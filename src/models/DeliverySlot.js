@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// A delivery window offered by a restaurant for pre-orders; `reserved` counts
+// the orders booked into it and never exceeds `capacity`.
+const deliverySlotSchema = new mongoose.Schema({
+    restaurant: { type: mongoose.Schema.Types.ObjectId, ref: 'Restaurant', required: true },
+    startsAt: { type: Date, required: true },
+    endsAt: { type: Date, required: true },
+    capacity: { type: Number, required: true, min: 1 },
+    reserved: { type: Number, default: 0, min: 0 }
+}, {
+    timestamps: true,
+});
+
+deliverySlotSchema.index({ restaurant: 1, startsAt: 1 }, { unique: true });
+
+deliverySlotSchema.virtual('remaining').get(function () {
+    return Math.max(this.capacity - this.reserved, 0);
+});
+
+deliverySlotSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model("DeliverySlot", deliverySlotSchema);
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// An order offered to one courier by the dispatch service. Only one offer per
+// order is open at a time; when it expires or is declined the order cascades
+// to the next courier. "assigned" records an admin assignment.
+const dispatchOfferSchema = new mongoose.Schema({
+    order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true },
+    courier: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    status: {
+        type: String,
+        enum: ['offered', 'accepted', 'declined', 'expired', 'withdrawn', 'assigned'],
+        default: 'offered'
+    },
+    // Lower is better, roughly the minutes until the courier can be at the restaurant
+    score: { type: Number },
+    distanceKm: { type: Number },
+    expiresAt: { type: Date },
+    respondedAt: { type: Date },
+    assignedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+    timestamps: true,
+});
+
+dispatchOfferSchema.index({ order: 1 }, { unique: true, partialFilterExpression: { status: 'offered' }, name: 'one_open_offer_per_order' });
+dispatchOfferSchema.index({ courier: 1, status: 1 });
+dispatchOfferSchema.index({ status: 1, expiresAt: 1 });
+dispatchOfferSchema.index({ order: 1, courier: 1, createdAt: -1 });
+
+module.exports = mongoose.model('DispatchOffer', dispatchOfferSchema);
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// Response of a request sent with an Idempotency-Key, replayed when the client retries
+const idempotencyKeySchema = new mongoose.Schema({
+    key: { type: String, required: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    method: { type: String, required: true },
+    path: { type: String, required: true },
+    requestHash: { type: String, required: true },
+    state: { type: String, enum: ['in-progress', 'completed'], default: 'in-progress' },
+    lockedAt: { type: Date, default: Date.now },
+    responseStatus: { type: Number },
+    responseType: { type: String },
+    responseBody: { type: String },
+    expiresAt: { type: Date, required: true }
+}, {
+    timestamps: true,
+});
+
+idempotencyKeySchema.index({ user: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("IdempotencyKey", idempotencyKeySchema);
@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+// Failed login counter for one account (by email) or one client IP
+const loginThrottleSchema = new mongoose.Schema({
+    key: { type: String, required: true, unique: true },
+    failures: { type: Number, default: 0 },
+    lockedUntil: { type: Date },
+    lastFailureAt: { type: Date },
+    expiresAt: { type: Date, required: true }
+});
+
+// Counters are forgotten a while after the last failure
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("LoginThrottle", loginThrottleSchema);
@@ -1,4 +1,20 @@
 const mongoose = require('mongoose');
+const imageSchema = require('./image');
+const ratingSummarySchema = require('./ratingSummary');
+
+const modifierOptionSchema = new mongoose.Schema({
+    name: { type: String, required: true },
+    priceDelta: { type: Number, default: 0 },
+    available: { type: Boolean, default: true }
+});
+
+// e.g. "Size" (pick exactly one) or "Extra toppings" (pick up to 3)
+const modifierGroupSchema = new mongoose.Schema({
+    name: { type: String, required: true },
+    minSelect: { type: Number, default: 0, min: 0 },
+    maxSelect: { type: Number, default: 1, min: 1 },
+    options: [modifierOptionSchema]
+});
 
 const menuSchema = new mongoose.Schema({
     restaurant: { type: mongoose.Schema.Types.ObjectId, ref: 'Restaurant', required: true },
@@ -9,7 +25,22 @@ const menuSchema = new mongoose.Schema({
     price: { type: Number, required: true },
     availability: {
         type: Boolean, default: true
-    }
+    },
+    category: { type: mongoose.Schema.Types.ObjectId, ref: 'MenuCategory' },
+    // Order of the item inside its category, lower first
+    position: { type: Number, default: 0 },
+    modifierGroups: [modifierGroupSchema],
+    // Optional stock count; items without one are not tracked. At zero the item
+    // is made unavailable and soldOut remembers to make it available on restock.
+    stock: { type: Number, min: 0 },
+    lowStockThreshold: { type: Number, min: 0 },
+    soldOut: { type: Boolean, default: false },
+    image: { type: imageSchema },
+    rating: { type: ratingSummarySchema, default: () => ({}) }
 });
 
+menuSchema.index({ restaurant: 1 });
+// Used by the customer search, a match in the item name counts more than in the description
+menuSchema.index({ itemName: 'text', description: 'text' }, { weights: { itemName: 3, description: 1 }, name: 'menu_text' });
+
 module.exports = mongoose.model('Menu', menuSchema);
\ No newline at end of file
@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+// Section of a restaurant's menu, e.g. "Starters"; lower positions are listed first
+const menuCategorySchema = new mongoose.Schema({
+    restaurant: { type: mongoose.Schema.Types.ObjectId, ref: 'Restaurant', required: true },
+    name: { type: String, required: true, trim: true },
+    description: { type: String },
+    position: { type: Number, default: 0 }
+}, {
+    timestamps: true,
+});
+
+menuCategorySchema.index({ restaurant: 1, position: 1 });
+
+module.exports = mongoose.model('MenuCategory', menuCategorySchema);
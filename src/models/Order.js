@@ -1,19 +1,50 @@
 const mongoose = require('mongoose');
 
+// One entry per status change, written by the order lifecycle service, and
+// per courier assignment, which may leave the status as it is
+const statusChangeSchema = new mongoose.Schema({
+    from: { type: String },
+    status: { type: String, required: true },
+    actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    actorRole: { type: String },
+    reason: { type: String },
+    // Set when the change gave the order to a courier
+    previousCourier: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    courier: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    changedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
 const orderSchema = new mongoose.Schema({
     customer: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
     restaurant: { type: mongoose.Schema.Types.ObjectId, ref: 'Restaurant', required: true },
     orderDate: { type: Date, default: Date.now },
     orderStatus: {
         type: String,
-        enum: ['Pending', 'Accepted', 'Preparing', 'OutForDelivery', 'Delivered', 'Cancelled', 'Rescheduled'],
+        enum: ['Scheduled', 'Pending', 'Accepted', 'Preparing', 'OutForDelivery', 'Delivered', 'Cancelled', 'Rescheduled'],
         default: 'Pending'
     },
     totalAmount: { type: Number },
+    // For the courier, authorized with the order but not part of totalAmount
+    tip: { type: Number, default: 0, min: 0 },
     deliveryTime: { type: Date },
-    items: [{ type: mongoose.Schema.Types.ObjectId, ref: 'OrderItem' }]
+    // Pre-orders book a slot and stay Scheduled until they are released to the kitchen
+    deliverySlot: { type: mongoose.Schema.Types.ObjectId, ref: 'DeliverySlot' },
+    // Set once acceptance took the items out of stock, so cancelling puts them back
+    stockConsumed: { type: Boolean, default: false },
+    deliveryAddress: { type: mongoose.Schema.Types.ObjectId, ref: 'DeliveryAddress' },
+    // Courier who accepted the order
+    deliveryPersonnel: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    // Shown to the customer and given to the courier at the door; never returned with the order
+    handoffCode: { type: String, select: false },
+    items: [{ type: mongoose.Schema.Types.ObjectId, ref: 'OrderItem' }],
+    statusHistory: [statusChangeSchema]
 }, {
     timestamps: true,
 });
 
+// Used by the job releasing scheduled orders
+orderSchema.index({ orderStatus: 1, deliveryTime: 1 });
+// Current load of a courier, used by dispatch
+orderSchema.index({ deliveryPersonnel: 1, orderStatus: 1 });
+
 module.exports = mongoose.model("Order", orderSchema);
@@ -1,9 +1,17 @@
 const mongoose = require('mongoose');
+const selectedModifierSchema = require('./selectedModifier');
 
+// Name, price and chosen modifiers are copied from the menu when the order is
+// placed, so later menu edits do not change past orders. The unit price
+// includes the price deltas of the modifiers.
 const orderItemSchema = new mongoose.Schema({
     order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true },
     menuItem: { type: mongoose.Schema.Types.ObjectId, ref: 'Menu', required: true },
-    quantity: { type: Number, required: true }
+    itemName: { type: String, required: true },
+    unitPrice: { type: Number, required: true, min: 0 },
+    modifiers: [selectedModifierSchema],
+    quantity: { type: Number, required: true, min: 1 },
+    lineTotal: { type: Number, required: true, min: 0 }
 });
 
-module.exports = mongoose.model("OrderItem", orderItemSchema);
\ No newline at end of file
+module.exports = mongoose.model("OrderItem", orderItemSchema);
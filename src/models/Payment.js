@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// Money for one order: authorized at checkout, captured on delivery, refunded on cancellation
+const paymentSchema = new mongoose.Schema({
+    order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true, unique: true },
+    customer: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    amount: { type: Number, required: true, min: 0 },
+    currency: { type: String, required: true },
+    provider: { type: String, required: true },
+    providerPaymentId: { type: String, index: true },
+    status: {
+        type: String,
+        enum: ['pending', 'authorized', 'declined', 'captured', 'voided', 'refunded'],
+        default: 'pending'
+    },
+    authorizedAt: { type: Date },
+    capturedAt: { type: Date },
+    refundedAmount: { type: Number, default: 0 },
+    failureReason: { type: String }
+}, {
+    timestamps: true,
+});
+
+module.exports = mongoose.model("Payment", paymentSchema);
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+const payoutLineSchema = new mongoose.Schema({
+    courier: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    deliveries: { type: Number, default: 0 },
+    fees: { type: Number, default: 0 },
+    tips: { type: Number, default: 0 },
+    adjustments: { type: Number, default: 0 },
+    // Balance left from earlier periods, e.g. a negative adjustment not yet paid off
+    carriedOver: { type: Number, default: 0 },
+    amount: { type: Number, required: true }
+}, { _id: false });
+
+// Settlement of everything couriers earned in [periodStart, periodEnd). Batches
+// follow each other without gaps: a batch starts where the previous one ended.
+const payoutBatchSchema = new mongoose.Schema({
+    periodStart: { type: Date, required: true },
+    periodEnd: { type: Date, required: true },
+    currency: { type: String, required: true },
+    total: { type: Number, required: true },
+    lines: [payoutLineSchema],
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+    timestamps: true,
+});
+
+// Two batches for the same period cannot both be created
+payoutBatchSchema.index({ periodStart: 1 }, { unique: true });
+payoutBatchSchema.index({ periodEnd: -1 });
+
+module.exports = mongoose.model('PayoutBatch', payoutBatchSchema);
@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+const refundSchema = new mongoose.Schema({
+    payment: { type: mongoose.Schema.Types.ObjectId, ref: 'Payment', required: true, index: true },
+    order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true, index: true },
+    amount: { type: Number, required: true, min: 0 },
+    reason: { type: String },
+    providerRefundId: { type: String, index: true },
+    status: { type: String, enum: ['pending', 'succeeded', 'failed'], default: 'pending' },
+    failureReason: { type: String },
+    requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+    timestamps: true,
+});
+
+module.exports = mongoose.model("Refund", refundSchema);
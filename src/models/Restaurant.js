@@ -1,13 +1,56 @@
 const mongoose = require('mongoose');
+const { pointSchema, areaSchema } = require('./geoJson');
+const imageSchema = require('./image');
+const ratingSummarySchema = require('./ratingSummary');
+const { DAYS } = require('../utils/openingHours');
+
+// Times are "HH:mm" in the schedule's time zone; a range closing before it opens runs past midnight
+const timeRangeSchema = new mongoose.Schema({
+    opens: { type: String, required: true },
+    closes: { type: String, required: true }
+}, { _id: false });
+
+const weeklyRangeSchema = new mongoose.Schema({
+    day: { type: String, enum: DAYS, required: true },
+    opens: { type: String, required: true },
+    closes: { type: String, required: true }
+}, { _id: false });
+
+// Replaces the weekly hours of one date, e.g. a holiday or special hours
+const hoursExceptionSchema = new mongoose.Schema({
+    date: { type: String, required: true },
+    closed: { type: Boolean, default: false },
+    ranges: { type: [timeRangeSchema] },
+    note: { type: String }
+}, { _id: false });
+
+const scheduleSchema = new mongoose.Schema({
+    timeZone: { type: String, required: true },
+    weekly: { type: [weeklyRangeSchema] },
+    exceptions: { type: [hoursExceptionSchema] }
+}, { _id: false });
 
 const restaurantSchema = new mongoose.Schema({
     owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
     restaurantName: { type: String, required: true },
     address: { type: String, required: true },
     cuisineType: { type: String },
+    // Free-text hours for display, orders are checked against schedule
     openingHours: { type: String },
-    deliveryZone: { type: String }
+    schedule: { type: scheduleSchema },
+    // Display label of the area, the delivery check uses deliveryArea
+    deliveryZone: { type: String },
+    location: { type: pointSchema },
+    deliveryArea: { type: areaSchema },
+    logo: { type: imageSchema },
+    banner: { type: imageSchema },
+    rating: { type: ratingSummarySchema, default: () => ({}) }
 });
 
+restaurantSchema.index({ restaurantName: 'text', cuisineType: 'text' }, { weights: { restaurantName: 2, cuisineType: 1 }, name: 'restaurant_text' });
+restaurantSchema.index({ location: '2dsphere' });
+restaurantSchema.index({ deliveryArea: '2dsphere' });
+// Ranking by rating in the popular restaurants report
+restaurantSchema.index({ 'rating.average': -1, 'rating.count': -1 });
 
 module.exports = mongoose.model('Restaurant', restaurantSchema);
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+const rating = { type: Number, min: 1, max: 5, required: true };
+
+const itemReviewSchema = new mongoose.Schema({
+    orderItem: { type: mongoose.Schema.Types.ObjectId, ref: 'OrderItem', required: true },
+    menuItem: { type: mongoose.Schema.Types.ObjectId, ref: 'Menu', required: true },
+    itemName: { type: String },
+    rating,
+    comment: { type: String, maxlength: 1000 }
+}, { _id: false });
+
+// One review per delivered order: the restaurant, optionally some of the
+// ordered dishes and the courier. Hidden reviews are left out of listings and
+// of the average ratings.
+const reviewSchema = new mongoose.Schema({
+    order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true, unique: true },
+    customer: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    restaurant: { type: mongoose.Schema.Types.ObjectId, ref: 'Restaurant', required: true },
+    rating,
+    comment: { type: String, maxlength: 2000 },
+    items: [itemReviewSchema],
+    courier: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    courierRating: { type: Number, min: 1, max: 5 },
+    courierComment: { type: String, maxlength: 1000 },
+    reply: {
+        text: { type: String, maxlength: 2000 },
+        repliedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        repliedAt: { type: Date }
+    },
+    hidden: { type: Boolean, default: false },
+    moderation: {
+        reason: { type: String },
+        moderatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        moderatedAt: { type: Date }
+    }
+}, {
+    timestamps: true,
+});
+
+reviewSchema.index({ restaurant: 1, hidden: 1, createdAt: -1 });
+reviewSchema.index({ 'items.menuItem': 1, hidden: 1 });
+reviewSchema.index({ courier: 1, hidden: 1 });
+
+module.exports = mongoose.model('Review', reviewSchema);
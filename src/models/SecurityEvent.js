@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// Audit trail of security relevant events, reviewed by admins
+const securityEventSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        required: true,
+        enum: ['account-locked', 'ip-locked', 'account-unlocked', 'two-factor-enabled', 'two-factor-disabled', 'two-factor-reset', 'handoff-code-failed']
+    },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    emailId: { type: String },
+    ipAddress: { type: String },
+    actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    details: { type: mongoose.Schema.Types.Mixed }
+}, {
+    timestamps: true,
+});
+
+securityEventSchema.index({ type: 1, createdAt: -1 });
+
+module.exports = mongoose.model("SecurityEvent", securityEventSchema);
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// One document per logged in device. The refresh token rotates on every use,
+// earlier hashes are kept so a replayed token can be recognised.
+const sessionSchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    refreshTokenHash: { type: String, required: true, unique: true },
+    previousTokenHashes: { type: [String], index: true },
+    userAgent: { type: String },
+    ipAddress: { type: String },
+    lastUsedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date },
+    revokedReason: { type: String, enum: ['logout', 'logout-all', 'revoked', 'password-reset', 'reuse-detected'] }
+}, {
+    timestamps: true,
+});
+
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function () {
+    return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model("Session", sessionSchema);
@@ -0,0 +1,12 @@
+const mongoose = require('mongoose');
+
+// Application wide settings changed at runtime by admins, one document per key
+const settingSchema = new mongoose.Schema({
+    key: { type: String, required: true, unique: true },
+    value: { type: mongoose.Schema.Types.Mixed },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+    timestamps: true,
+});
+
+module.exports = mongoose.model("Setting", settingSchema);
@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// Log of every change to a menu item's stock count
+const stockAdjustmentSchema = new mongoose.Schema({
+    menuItem: { type: mongoose.Schema.Types.ObjectId, ref: 'Menu', required: true },
+    restaurant: { type: mongoose.Schema.Types.ObjectId, ref: 'Restaurant', required: true },
+    change: { type: Number, required: true },
+    stockAfter: { type: Number },
+    reason: { type: String, enum: ['order-accepted', 'order-cancelled', 'count', 'adjustment'], required: true },
+    order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+    actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    note: { type: String }
+}, {
+    timestamps: true,
+});
+
+stockAdjustmentSchema.index({ menuItem: 1, createdAt: -1 });
+
+module.exports = mongoose.model('StockAdjustment', stockAdjustmentSchema);
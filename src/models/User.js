@@ -2,6 +2,40 @@ const mongoose = require('mongoose');
 const validator = require("validator");
 const jwt = require("jsonwebtoken");
 const bcrypt = require("bcrypt");
+const { ACCESS_TOKEN_TTL_MINUTES } = require("../utils/session");
+const { pointSchema } = require("./geoJson");
+
+const courierProfileSchema = new mongoose.Schema(
+    {
+        vehicleType: {
+            type: String
+        },
+        contactDetails: {
+            type: String
+        },
+        isAvailable: {
+            type: Boolean,
+            default: true
+        },
+        // Last reported position, used by the dispatch service to find nearby couriers
+        lastLocation: {
+            type: pointSchema
+        },
+        lastLocationAt: {
+            type: Date
+        },
+        // Outcomes of the orders offered by dispatch; couriers who take their offers are preferred
+        dispatchStats: {
+            offered: { type: Number, default: 0 },
+            accepted: { type: Number, default: 0 },
+            declined: { type: Number, default: 0 },
+            expired: { type: Number, default: 0 },
+        },
+    },
+    {
+        _id: false,
+    }
+);
 
 const userSchema = new mongoose.Schema(
     {
@@ -25,6 +59,13 @@ const userSchema = new mongoose.Schema(
                 }
             },
         },
+        emailVerified: {
+            type: Boolean,
+            default: false
+        },
+        emailVerifiedAt: {
+            type: Date
+        },
         password: {
             type: String,
             required: true,
@@ -70,16 +111,50 @@ const userSchema = new mongoose.Schema(
         phoneNumber: {
             type: String
         },
+        // TOTP second factor, available to admin and restaurant accounts
+        twoFactor: {
+            enabled: {
+                type: Boolean,
+                default: false
+            },
+            enabledAt: {
+                type: Date
+            },
+            secret: {
+                type: String,
+                select: false
+            },
+            pendingSecret: {
+                type: String,
+                select: false
+            },
+            recoveryCodes: {
+                type: [String],
+                select: false
+            },
+            lastUsedStep: {
+                type: Number,
+                select: false
+            },
+        },
+        // Only present for users with the "delivery" role
+        courierProfile: {
+            type: courierProfileSchema
+        },
     },
     {
         timestamps: true,
     }
 );
 
-userSchema.methods.getJWT = async function () {
+// Nearby couriers for dispatch
+userSchema.index({ "courierProfile.lastLocation": "2dsphere" });
+
+// Short-lived access token bound to a Session, renewed through /api/token/refresh
+userSchema.methods.getJWT = async function (sessionId) {
     const user = this;
-    const token = await jwt.sign({ _id: user._id }, process.env.JWT_PRIVATE_KEY, {
-        expiresIn: "1d",
+    const token = await jwt.sign({ _id: user._id, sid: sessionId }, process.env.JWT_PRIVATE_KEY, {
+        expiresIn: `${ACCESS_TOKEN_TTL_MINUTES}m`,
     });
     return token;
 };
@@ -0,0 +1,14 @@
+const mongoose = require('mongoose');
+
+// GeoJSON shapes embedded in other models; coordinates are [longitude, latitude]
+const pointSchema = new mongoose.Schema({
+    type: { type: String, enum: ['Point'], required: true },
+    coordinates: { type: [Number], required: true }
+}, { _id: false });
+
+const areaSchema = new mongoose.Schema({
+    type: { type: String, enum: ['Polygon', 'MultiPolygon'], required: true },
+    coordinates: { type: mongoose.Schema.Types.Mixed, required: true }
+}, { _id: false });
+
+module.exports = { pointSchema, areaSchema };
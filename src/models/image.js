@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+const imageVariantSchema = new mongoose.Schema({
+    size: { type: String, required: true },
+    key: { type: String, required: true },
+    url: { type: String, required: true },
+    width: { type: Number },
+    height: { type: Number }
+}, { _id: false });
+
+// An uploaded image and its thumbnails; key is the name in the storage
+// backend, url what clients load
+const imageSchema = new mongoose.Schema({
+    key: { type: String, required: true },
+    url: { type: String, required: true },
+    contentType: { type: String, required: true },
+    width: { type: Number },
+    height: { type: Number },
+    thumbnails: [imageVariantSchema],
+    uploadedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+module.exports = imageSchema;
@@ -0,0 +1,9 @@
+const mongoose = require('mongoose');
+
+// Average of the visible review ratings, kept up to date by the review service
+const ratingSummarySchema = new mongoose.Schema({
+    average: { type: Number, default: 0 },
+    count: { type: Number, default: 0 }
+}, { _id: false });
+
+module.exports = ratingSummarySchema;
@@ -0,0 +1,13 @@
+const mongoose = require('mongoose');
+
+// A modifier option picked for a cart line or order item, with its name and
+// price copied from the menu when it was picked
+const selectedModifierSchema = new mongoose.Schema({
+    group: { type: mongoose.Schema.Types.ObjectId, required: true },
+    groupName: { type: String, required: true },
+    option: { type: mongoose.Schema.Types.ObjectId, required: true },
+    optionName: { type: String, required: true },
+    priceDelta: { type: Number, default: 0 }
+}, { _id: false });
+
+module.exports = selectedModifierSchema;
@@ -4,28 +4,38 @@ const { validateSignUpData } = require("../utils/validation");
 const User = require("../models/User");
 const Order = require("../models/Order");
 const DeliveryAddress = require("../models/DeliveryAddress");
+const SecurityEvent = require("../models/SecurityEvent");
+const Payment = require("../models/Payment");
+const Restaurant = require("../models/Restaurant");
 const bcrypt = require("bcrypt");
-const { userAuth } = require("../middlewares/auth");
-
-const isAdmin = (req, res, next) => {
-    try {
-        const { role } = req.user;
-        if (role !== "admin") {
-            throw new Error("Invalid Authorization");
-        }
-        next()
-    }
-    catch (err) {
-        res.status(400).send("ERROR : " + err.message);
-    }
-}
+const { authorize } = require("../middlewares/authorize");
+const { idempotency } = require("../middlewares/idempotency");
+const { PERMISSIONS } = require("../configuration/permissions");
+const { startSession, endSession } = require("../utils/session");
+const { assertCanLogin } = require("../utils/loginPolicy");
+const { checkCredentials, unlockAccount } = require("../utils/loginGuard");
+const { queueVerificationEmail } = require("../utils/accountEmails");
+const { transitionOrder } = require("../services/orderLifecycle");
+const { rescheduleOrder } = require("../services/orderService");
+const { moderateReview, listReviewsForModeration } = require("../services/reviewService");
+const { assignCourier, listOrderOffers } = require("../services/dispatchService");
+const { replayRoute } = require("../services/trackingService");
+const { getDeliveryProof, getDeliveryProofFile } = require("../services/deliveryService");
+const { addAdjustment, listLedger, createPayoutBatch, listPayoutBatches, exportPayoutBatch } = require("../services/earningsService");
+const {
+    needsSecondFactor,
+    createLoginChallenge,
+    getTwoFactorPolicy,
+    setTwoFactorPolicy,
+    disableTwoFactor,
+} = require("../utils/twoFactor");
 
 /**  
  * @swagger  
  * /api/admin/login:  
  *   post:  
  *     summary: Admin login  
- *     description: Allows an admin to log in  
+ *     description: Allows an admin to log in. With two-factor authentication the response is a challenge token for /api/login/2fa  
  *     tags: [Admin]  
  *     requestBody:  
  *       required: true  
@@ -50,25 +60,19 @@ adminRouter.post("/login", async (req, res) => {
     try {
         const { emailId, password } = req.body;
 
-        const user = await User.findOne({ emailId: emailId });
+        const user = await checkCredentials(req, res, emailId, password);
         if (!user) {
             throw new Error("Invalid credentials");
         }
 
-        const isPasswordValid = await user.validatePassword(password);
-
-        if (isPasswordValid) {
-            const token = await user.getJWT();
-
-            res.cookie("token", token, {
-                expires: new Date(Date.now() + 8 * 3600000),
-            });
-            res.send("User login successfully");
-        } else {
-            throw new Error("Invalid credentials");
+        assertCanLogin(user);
+        if (await needsSecondFactor(user)) {
+            return res.json(await createLoginChallenge(user));
         }
+        await startSession(req, res, user);
+        res.send("User login successfully");
     } catch (err) {
-        res.status(400).send("ERROR : " + err.message);
+        res.status(err.statusCode || 400).send("ERROR : " + err.message);
     }
 });
 
@@ -85,10 +89,8 @@ adminRouter.post("/login", async (req, res) => {
  *       400:  
  *         description: Error message  
  */  
-adminRouter.post("/logout", userAuth, isAdmin, async (req, res) => {
-    res.cookie("token", null, {
-        expires: new Date(Date.now()),
-    });
+adminRouter.post("/logout", authorize(PERMISSIONS.ADMIN_SESSION), async (req, res) => {
+    await endSession(req, res);
     const userDocument = await User.findByIdAndUpdate(req.user._id, {
         lastActiveAt: Date.now()
     }, { new: true }); // Returns the updated document
@@ -133,7 +135,7 @@ adminRouter.post("/logout", userAuth, isAdmin, async (req, res) => {
  *       400:  
  *         description: Error message  
  */ 
-adminRouter.post("/register/users", userAuth, isAdmin, async (req, res) => {
+adminRouter.post("/register/users", authorize(PERMISSIONS.USER_CREATE), async (req, res) => {
     try {
         // Validation of data
         validateSignUpData(req);
@@ -153,6 +155,7 @@ adminRouter.post("/register/users", userAuth, isAdmin, async (req, res) => {
             gender
         });
         await user.save();
+        queueVerificationEmail(user);
 
         res.json({ message: "User Data added successfully!" });
     } catch (err) {
@@ -180,9 +183,9 @@ adminRouter.post("/register/users", userAuth, isAdmin, async (req, res) => {
  *       400:  
  *         description: Error deactivating user  
  */  
-adminRouter.patch("/users/deactivate/:userId", userAuth, isAdmin, async (req, res) => {
+adminRouter.patch("/users/deactivate/:userId", authorize(PERMISSIONS.USER_DEACTIVATE), async (req, res) => {
     try {
-        const user = await User.findByIdAndUpdate(req.params.userId, { status: 'inactive' }, { new: true });
+        const user = await User.findByIdAndUpdate(req.params.userId, { status: 'disabled' }, { new: true });
         if (user === null) {
             throw new Error("UserId is not found ");
         }
@@ -226,7 +229,7 @@ adminRouter.patch("/users/deactivate/:userId", userAuth, isAdmin, async (req, re
  *       400:  
  *         description: Error updating user  
  */ 
-adminRouter.patch("/users/:userId", userAuth, isAdmin, async (req, res) => {
+adminRouter.patch("/users/:userId", authorize(PERMISSIONS.USER_UPDATE), async (req, res) => {
     try {
         // Extract only the allowed fields from the request body
         const { phoneNumber, firstName, lastName, status } = req.body;
@@ -255,6 +258,196 @@ adminRouter.patch("/users/:userId", userAuth, isAdmin, async (req, res) => {
     }
 });
 
+/**  
+ * @swagger  
+ * /api/admin/users/{userId}/unlock:  
+ *   post:  
+ *     summary: Unlock a user account  
+ *     description: Clears the failed login counter of a user so they can log in again right away  
+ *     tags: [Admin]  
+ *     parameters:  
+ *       - in: path  
+ *         name: userId  
+ *         required: true  
+ *         schema:  
+ *           type: string  
+ *     responses:  
+ *       200:  
+ *         description: Account unlocked  
+ *       404:  
+ *         description: User not found  
+ *       400:  
+ *         description: Error unlocking user  
+ */  
+adminRouter.post("/users/:userId/unlock", authorize(PERMISSIONS.USER_UNLOCK), async (req, res) => {
+    try {
+        const user = await User.findById(req.params.userId);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        const wasLocked = await unlockAccount(user, req.user);
+        res.json({ message: wasLocked ? 'User account unlocked' : 'User account was not locked' });
+    } catch (error) {
+        res.status(400).json({ message: `Error unlocking user ${error}` });
+    }
+});
+
+/**  
+ * @swagger  
+ * /api/admin/security/lockouts:  
+ *   get:  
+ *     summary: Get lockout events  
+ *     description: Allows an admin to review account and IP lockouts and unlocks  
+ *     tags: [Admin]  
+ *     parameters:  
+ *       - in: query  
+ *         name: type  
+ *         schema:  
+ *           type: string  
+ *           enum: [account-locked, ip-locked, account-unlocked]  
+ *       - in: query  
+ *         name: userId  
+ *         schema:  
+ *           type: string  
+ *       - in: query  
+ *         name: page  
+ *         schema:  
+ *           type: integer  
+ *       - in: query  
+ *         name: limit  
+ *         schema:  
+ *           type: integer  
+ *     responses:  
+ *       200:  
+ *         description: Successful operation  
+ *       500:  
+ *         description: Failed to fetch lockout events  
+ */  
+adminRouter.get('/security/lockouts', authorize(PERMISSIONS.SECURITY_EVENT_READ), async (req, res) => {
+    try {
+        const { type, userId, page = 1, limit = 10 } = req.query;
+        const query = { type: { $in: ['account-locked', 'ip-locked', 'account-unlocked'] } };
+
+        if (type) query.type = String(type);
+        if (userId) query.user = userId;
+
+        const events = await SecurityEvent.find(query)
+            .sort({ createdAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(parseInt(limit));
+
+        const totalEvents = await SecurityEvent.countDocuments(query);
+
+        res.json({
+            data: events,
+            page: parseInt(page),
+            totalPages: Math.ceil(totalEvents / limit),
+            totalEvents
+        });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch lockout events' });
+    }
+});
+
+/**  
+ * @swagger  
+ * /api/admin/security/two-factor-policy:  
+ *   get:  
+ *     summary: Get the two-factor policy  
+ *     description: Lists the roles that must use two-factor authentication to log in  
+ *     tags: [Admin]  
+ *     responses:  
+ *       200:  
+ *         description: Current policy  
+ *         content:  
+ *           application/json:  
+ *             schema:  
+ *               type: object  
+ *               properties:  
+ *                 requiredRoles:  
+ *                   type: array  
+ *                   items:  
+ *                     type: string  
+ *                   example: ["admin"]  
+ *   put:  
+ *     summary: Update the two-factor policy  
+ *     description: Makes two-factor authentication mandatory for the given roles. Users of those roles without 2FA have to enrol at their next login.  
+ *     tags: [Admin]  
+ *     requestBody:  
+ *       required: true  
+ *       content:  
+ *         application/json:  
+ *           schema:  
+ *             type: object  
+ *             properties:  
+ *               requiredRoles:  
+ *                 type: array  
+ *                 items:  
+ *                   type: string  
+ *                   enum: [admin, restaurant]  
+ *     responses:  
+ *       200:  
+ *         description: Policy updated  
+ *       400:  
+ *         description: Invalid role  
+ */  
+adminRouter.get('/security/two-factor-policy', authorize(PERMISSIONS.SECURITY_POLICY_MANAGE), async (req, res) => {
+    try {
+        res.json(await getTwoFactorPolicy());
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch two-factor policy' });
+    }
+});
+
+adminRouter.put('/security/two-factor-policy', authorize(PERMISSIONS.SECURITY_POLICY_MANAGE), async (req, res) => {
+    try {
+        const { requiredRoles } = req.body;
+        if (!Array.isArray(requiredRoles)) {
+            throw new Error('requiredRoles must be an array');
+        }
+
+        res.json(await setTwoFactorPolicy([...new Set(requiredRoles)], req.user));
+    } catch (error) {
+        res.status(400).json({ message: `Error updating two-factor policy ${error}` });
+    }
+});
+
+/**  
+ * @swagger  
+ * /api/admin/users/{userId}/2fa/reset:  
+ *   post:  
+ *     summary: Reset two-factor authentication of a user  
+ *     description: Removes the authenticator and recovery codes of a user who lost access to them. If 2FA is mandatory for their role they enrol again at the next login.  
+ *     tags: [Admin]  
+ *     parameters:  
+ *       - in: path  
+ *         name: userId  
+ *         required: true  
+ *         schema:  
+ *           type: string  
+ *     responses:  
+ *       200:  
+ *         description: Two-factor authentication reset  
+ *       404:  
+ *         description: User not found  
+ *       400:  
+ *         description: Error resetting two-factor authentication  
+ */  
+adminRouter.post("/users/:userId/2fa/reset", authorize(PERMISSIONS.SECURITY_POLICY_MANAGE), async (req, res) => {
+    try {
+        const user = await User.findById(req.params.userId);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        await disableTwoFactor(user, req.user);
+        res.json({ message: 'Two-factor authentication reset' });
+    } catch (error) {
+        res.status(400).json({ message: `Error resetting two-factor authentication ${error}` });
+    }
+});
+
 /**  
  * @swagger  
  * /api/admin/users/{userId}/delivery-addresses:  
@@ -297,7 +490,7 @@ adminRouter.patch("/users/:userId", userAuth, isAdmin, async (req, res) => {
  *       500:  
  *         description: Internal server error  
  */ 
-adminRouter.post('/users/:userId/delivery-addresses', userAuth, isAdmin, async (req, res) => {
+adminRouter.post('/users/:userId/delivery-addresses', authorize(PERMISSIONS.USER_UPDATE), async (req, res) => {
     try {
         // Find the user
         const user = await User.findById(req.params.userId);
@@ -374,7 +567,7 @@ adminRouter.post('/users/:userId/delivery-addresses', userAuth, isAdmin, async (
  *       500:  
  *         description: Internal server error  
  */  
-adminRouter.patch('/users/:userId/delivery-addresses/:addressId', userAuth, isAdmin, async (req, res) => {
+adminRouter.patch('/users/:userId/delivery-addresses/:addressId', authorize(PERMISSIONS.USER_UPDATE), async (req, res) => {
     try {
         // Find the user and the delivery address
         const user = await User.findById(req.params.userId);
@@ -438,7 +631,7 @@ adminRouter.patch('/users/:userId/delivery-addresses/:addressId', userAuth, isAd
  *       500:  
  *         description: Failed to fetch orders  
  */  
-adminRouter.get('/orders', userAuth, isAdmin, async (req, res) => {
+adminRouter.get('/orders', authorize(PERMISSIONS.ORDER_READ_ALL), async (req, res) => {
     try {
         const { status, startDate, endDate, page = 1, limit = 10 } = req.query;
         const query = {};
@@ -501,7 +694,7 @@ adminRouter.get('/orders', userAuth, isAdmin, async (req, res) => {
  *       500:  
  *         description: Failed to fetch orders  
  */  
-adminRouter.get('/orders/:orderId', userAuth, isAdmin, async (req, res) => {
+adminRouter.get('/orders/:orderId', authorize(PERMISSIONS.ORDER_READ_ALL), async (req, res) => {
     try {
         const order = await Order.findById(req.params.orderId);
         if (!order) {
@@ -518,34 +711,48 @@ adminRouter.get('/orders/:orderId', userAuth, isAdmin, async (req, res) => {
  * /api/admin/orders/{orderId}/cancel:  
  *   post:  
  *     summary: Cancel an order  
- *     description: Allows an admin to cancel an order  
+ *     description: Allows an admin to cancel an order that has not left the restaurant yet. Any payment taken for the order is refunded.  
  *     tags: [Admin]  
  *     parameters:  
+ *       - $ref: '#/components/parameters/IdempotencyKey'  
  *       - in: path  
  *         name: orderId  
  *         required: true  
  *         schema:  
  *           type: string  
+ *     requestBody:  
+ *       content:  
+ *         application/json:  
+ *           schema:  
+ *             type: object  
+ *             properties:  
+ *               reason:  
+ *                 type: string  
  *     responses:  
  *       200:  
  *         description: Order cancelled successfully  
  *       404:  
  *         description: Order not found  
+ *       409:  
+ *         description: The order can no longer be cancelled  
  *       500:  
  *         description: Failed to cancel order  
  */  
-adminRouter.post('/orders/:orderId/cancel', async (req, res) => {
+adminRouter.post('/orders/:orderId/cancel', authorize(PERMISSIONS.ORDER_CANCEL), idempotency(), async (req, res) => {
     try {
         const order = await Order.findById(req.params.orderId);
         if (!order) {
             return res.status(404).json({ error: 'Order not found' });
         }
 
-        order.orderStatus = 'Cancelled';
-        await order.save();
+        await transitionOrder(order, 'Cancelled', { actor: req.user, reason: req.body?.reason });
+        const payment = await Payment.findOne({ order: order._id });
 
-        res.json({ message: 'Order cancelled successfully' });
+        res.json({ message: 'Order cancelled successfully', payment });
     } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
         res.status(500).json({ error: 'Failed to cancel order' });
     }
 });
@@ -555,7 +762,7 @@ adminRouter.post('/orders/:orderId/cancel', async (req, res) => {
  * /api/admin/orders/{orderId}/reschedule:  
  *   patch:  
  *     summary: Reschedule an order  
- *     description: Allows an admin to reschedule an order  
+ *     description: Allows an admin to reschedule an order. With slotId the order moves into that delivery slot and stays Scheduled until it is released to the kitchen; with newDate it becomes Rescheduled for that time. Its previous slot is freed.  
  *     tags: [Admin]  
  *     parameters:  
  *       - in: path  
@@ -570,33 +777,251 @@ adminRouter.post('/orders/:orderId/cancel', async (req, res) => {
  *           schema:  
  *             type: object  
  *             properties:  
+ *               slotId:  
+ *                 type: string  
  *               newDate:  
  *                 type: string  
- *                 format: date  
+ *                 format: date-time  
+ *               reason:  
+ *                 type: string  
  *     responses:  
  *       200:  
  *         description: Order rescheduled successfully  
+ *       400:  
+ *         description: Invalid newDate or slotId, or both sent  
  *       404:  
- *         description: Order not found  
+ *         description: Order or delivery slot not found  
+ *       409:  
+ *         description: The order can no longer be rescheduled, or the slot is full  
  *       500:  
  *         description: Failed to reschedule order  
  */  
-adminRouter.patch('/orders/:orderId/reschedule', userAuth, isAdmin, async (req, res) => {
+adminRouter.patch('/orders/:orderId/reschedule', authorize(PERMISSIONS.ORDER_RESCHEDULE), async (req, res) => {
     try {
-        const { newDate } = req.body;
-        const order = await Order.findById(req.params.orderId);
+        const { slotId, newDate, reason } = req.body;
+        const rescheduled = await rescheduleOrder(req.params.orderId, { slotId, newDate, reason, actor: req.user });
 
-        if (!order) {
-            return res.status(404).json({ error: 'Order not found' });
+        res.json({ message: 'Order rescheduled successfully', order: rescheduled });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
         }
+        res.status(500).json({ error: 'Failed to reschedule order' });
+    }
+});
 
-        order.date = newDate;
-        order.orderStatus = 'Rescheduled';
-        await order.save();
+/**  
+ * @swagger  
+ * /api/admin/orders/{orderId}/courier:  
+ *   put:  
+ *     summary: Assign or reassign the courier of an order  
+ *     description: Allows an admin to give an order to a courier, bypassing dispatch and withdrawing any open offer. A Pending or Rescheduled order is accepted on the way; orders out for delivery cannot be reassigned.  
+ *     tags: [Admin]  
+ *     parameters:  
+ *       - in: path  
+ *         name: orderId  
+ *         required: true  
+ *         schema:  
+ *           type: string  
+ *     requestBody:  
+ *       required: true  
+ *       content:  
+ *         application/json:  
+ *           schema:  
+ *             type: object  
+ *             required: [courierId]  
+ *             properties:  
+ *               courierId:  
+ *                 type: string  
+ *     responses:  
+ *       200:  
+ *         description: Courier assigned  
+ *       400:  
+ *         description: Invalid order or courier ID  
+ *       404:  
+ *         description: Order or courier not found  
+ *       409:  
+ *         description: The order can no longer be assigned  
+ *       500:  
+ *         description: Failed to assign courier  
+ */  
+adminRouter.put('/orders/:orderId/courier', authorize(PERMISSIONS.ORDER_DISPATCH), async (req, res) => {
+    try {
+        const order = await assignCourier(req.params.orderId, req.body.courierId, req.user);
+        res.json({ message: 'Courier assigned successfully', order });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        res.status(500).json({ error: 'Failed to assign courier' });
+    }
+});
 
-        res.json({ message: 'Order rescheduled successfully', order });
+/**  
+ * @swagger  
+ * /api/admin/orders/{orderId}/dispatch-offers:  
+ *   get:  
+ *     summary: Get the dispatch history of an order  
+ *     description: Allows an admin to see which couriers an order was offered to, their answers and admin assignments, oldest first  
+ *     tags: [Admin]  
+ *     parameters:  
+ *       - in: path  
+ *         name: orderId  
+ *         required: true  
+ *         schema:  
+ *           type: string  
+ *     responses:  
+ *       200:  
+ *         description: Successful operation  
+ *       400:  
+ *         description: Invalid order ID  
+ *       500:  
+ *         description: Failed to retrieve dispatch offers  
+ */  
+adminRouter.get('/orders/:orderId/dispatch-offers', authorize(PERMISSIONS.ORDER_DISPATCH), async (req, res) => {
+    try {
+        res.json({ data: await listOrderOffers(req.params.orderId) });
     } catch (error) {
-        res.status(500).json({ error: 'Failed to reschedule order' });
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        res.status(500).json({ error: 'Failed to retrieve dispatch offers' });
+    }
+});
+
+/**  
+ * @swagger  
+ * /api/admin/orders/{orderId}/route:  
+ *   get:  
+ *     summary: Replay the route of an order  
+ *     description: Allows an admin to replay the GPS pings recorded while the order was carried, oldest first, with the path as a GeoJSON LineString. Pings expire after COURIER_LOCATION_TTL_DAYS  
+ *     tags: [Admin]  
+ *     parameters:  
+ *       - in: path  
+ *         name: orderId  
+ *         required: true  
+ *         schema:  
+ *           type: string  
+ *     responses:  
+ *       200:  
+ *         description: Successful operation  
+ *         content:  
+ *           application/json:  
+ *             schema:  
+ *               $ref: '#/components/schemas/CourierRoute'  
+ *       400:  
+ *         description: Invalid order ID  
+ *       404:  
+ *         description: Order not found  
+ *       500:  
+ *         description: Failed to retrieve route  
+ */  
+adminRouter.get('/orders/:orderId/route', authorize(PERMISSIONS.ORDER_READ_ALL), async (req, res) => {
+    try {
+        res.json(await replayRoute(req.params.orderId));
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        res.status(500).json({ error: 'Failed to retrieve route' });
+    }
+});
+
+/**  
+ * @swagger  
+ * /api/admin/orders/{orderId}/delivery-proof:  
+ *   get:  
+ *     summary: Get the proof of delivery of an order  
+ *     description: Allows an admin to see each delivery of the order with its proof (handoff code or drop-off photo) and the wrong handoff codes entered. Photo URLs point at the files route below.  
+ *     tags: [Admin]  
+ *     parameters:  
+ *       - in: path  
+ *         name: orderId  
+ *         required: true  
+ *         schema:  
+ *           type: string  
+ *     responses:  
+ *       200:  
+ *         description: Successful operation  
+ *         content:  
+ *           application/json:  
+ *             schema:  
+ *               type: object  
+ *               properties:  
+ *                 orderId:  
+ *                   type: string  
+ *                 deliveries:  
+ *                   type: array  
+ *                   items:  
+ *                     $ref: '#/components/schemas/Delivery'  
+ *                 failedCodes:  
+ *                   type: array  
+ *                   items:  
+ *                     type: object  
+ *       400:  
+ *         description: Invalid order ID  
+ *       404:  
+ *         description: The order has no delivery  
+ *       500:  
+ *         description: Failed to retrieve proof of delivery  
+ */  
+adminRouter.get('/orders/:orderId/delivery-proof', authorize(PERMISSIONS.ORDER_READ_ALL), async (req, res) => {
+    try {
+        res.json(await getDeliveryProof(req.params.orderId));
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        res.status(500).json({ error: 'Failed to retrieve proof of delivery' });
+    }
+});
+
+/**  
+ * @swagger  
+ * /api/admin/orders/{orderId}/delivery-proof/files/{key}:  
+ *   get:  
+ *     summary: Get a drop-off photo of an order  
+ *     description: Streams a proof of delivery photo or one of its thumbnails. The photos are kept in the private storage and not served anywhere else.  
+ *     tags: [Admin]  
+ *     parameters:  
+ *       - in: path  
+ *         name: orderId  
+ *         required: true  
+ *         schema:  
+ *           type: string  
+ *       - in: path  
+ *         name: key  
+ *         required: true  
+ *         description: The storage key from the photo's URL, e.g. deliveries/{deliveryId}/1700000000000-a1b2c3d4e5f6.jpg  
+ *         schema:  
+ *           type: string  
+ *     responses:  
+ *       200:  
+ *         description: The image  
+ *         content:  
+ *           image/*:  
+ *             schema:  
+ *               type: string  
+ *               format: binary  
+ *       400:  
+ *         description: Invalid order ID  
+ *       404:  
+ *         description: The order has no such photo  
+ *       500:  
+ *         description: Failed to retrieve the photo  
+ */  
+adminRouter.get('/orders/:orderId/delivery-proof/files/*', authorize(PERMISSIONS.ORDER_READ_ALL), async (req, res) => {
+    try {
+        const file = await getDeliveryProofFile(req.params.orderId, req.params[0]);
+        res.set('Cache-Control', 'private, no-store');
+        res.type(file.contentType);
+        file.body.on('error', () => res.destroy());
+        file.body.pipe(res);
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        res.status(500).json({ error: 'Failed to retrieve the photo' });
     }
 });
 
@@ -605,22 +1030,56 @@ adminRouter.patch('/orders/:orderId/reschedule', userAuth, isAdmin, async (req,
  * /api/admin/reports/popular-restaurants:  
  *   get:  
  *     summary: Get popular restaurants  
- *     description: Allows an admin to get popular restaurants  
+ *     description: Allows an admin to get popular restaurants, ranked by order count or by average rating  
  *     tags: [Admin]  
  *     parameters:  
  *       - in: query  
  *         name: limit  
  *         schema:  
  *           type: integer  
+ *       - in: query  
+ *         name: rankBy  
+ *         schema:  
+ *           type: string  
+ *           enum: [orders, rating]  
+ *           default: orders  
+ *       - in: query  
+ *         name: minReviews  
+ *         description: With rankBy=rating, only restaurants with at least this many visible reviews  
+ *         schema:  
+ *           type: integer  
+ *           default: 1  
  *     responses:  
  *       200:  
  *         description: Successful operation  
  *       500:  
  *         description: Failed to retrieve popular restaurants  
  */ 
-adminRouter.get('/reports/popular-restaurants', userAuth, isAdmin, async (req, res) => {
+adminRouter.get('/reports/popular-restaurants', authorize(PERMISSIONS.REPORT_READ), async (req, res) => {
     try {
-        const { limit = 5 } = req.query;
+        const { limit = 5, rankBy = "orders", minReviews = 1 } = req.query;
+        if (!["orders", "rating"].includes(rankBy)) {
+            return res.status(400).json({ error: "rankBy must be orders or rating" });
+        }
+
+        if (rankBy === "rating") {
+            const topRated = await Restaurant.aggregate([
+                { $match: { "rating.count": { $gte: Math.max(parseInt(minReviews) || 1, 1) } } },
+                { $sort: { "rating.average": -1, "rating.count": -1 } },
+                { $limit: parseInt(limit) },
+                { $lookup: { from: Order.collection.name, localField: "_id", foreignField: "restaurant", pipeline: [{ $count: "count" }], as: "orders" } },
+                {
+                    $project: {
+                        _id: 1,
+                        restaurantInfo: "$$ROOT",
+                        orderCount: { $ifNull: [{ $first: "$orders.count" }, 0] },
+                        rating: 1,
+                    },
+                },
+                { $project: { "restaurantInfo.orders": 0 } },
+            ]);
+            return res.json(topRated);
+        }
 
         const popularRestaurants = await Order.aggregate([
             { $group: { _id: "$restaurant", orderCount: { $sum: 1 } } },
@@ -668,7 +1127,7 @@ adminRouter.get('/reports/popular-restaurants', userAuth, isAdmin, async (req, r
  *       500:  
  *         description: Failed to calculate average delivery time  
  */ 
-adminRouter.get('/reports/average-delivery-time', userAuth, isAdmin, async (req, res) => {
+adminRouter.get('/reports/average-delivery-time', authorize(PERMISSIONS.REPORT_READ), async (req, res) => {
     try {
         const { startDate, endDate } = req.query;
         const matchStage = {};
@@ -736,7 +1195,7 @@ adminRouter.get('/reports/average-delivery-time', userAuth, isAdmin, async (req,
  *       500:  
  *         description: Failed to retrieve order trends  
  */ 
-adminRouter.get('/reports/order-trends', userAuth, isAdmin, async (req, res) => {
+adminRouter.get('/reports/order-trends', authorize(PERMISSIONS.REPORT_READ), async (req, res) => {
     try {
         const { interval = "day", startDate, endDate } = req.query;
         const matchStage = {};
@@ -785,7 +1244,7 @@ adminRouter.get('/reports/order-trends', userAuth, isAdmin, async (req, res) =>
  *       500:  
  *         description: Failed to retrieve active user count  
  */  
-adminRouter.get('/monitor/active-users', userAuth, isAdmin, async (req, res) => {
+adminRouter.get('/monitor/active-users', authorize(PERMISSIONS.REPORT_READ), async (req, res) => {
     try {
         const { timeframe = 10 } = req.query; // timeframe in minutes
         const activeSince = new Date(Date.now() - timeframe * 60 * 1000); // timeframe in milliseconds
@@ -813,7 +1272,7 @@ adminRouter.get('/monitor/active-users', userAuth, isAdmin, async (req, res) =>
  *       500:  
  *         description: Failed to retrieve delivery activity  
  */
-adminRouter.get('/monitor/delivery-activity', userAuth, isAdmin, async (req, res) => {
+adminRouter.get('/monitor/delivery-activity', authorize(PERMISSIONS.REPORT_READ), async (req, res) => {
     try {
         const activeDeliveries = await Order.find({ orderStatus: "OutForDelivery" });
 
@@ -839,7 +1298,7 @@ adminRouter.get('/monitor/delivery-activity', userAuth, isAdmin, async (req, res
  *       500:  
  *         description: Failed to retrieve order statuses  
  */  
-adminRouter.get('/monitor/order-statuses', userAuth, isAdmin, async (req, res) => {
+adminRouter.get('/monitor/order-statuses', authorize(PERMISSIONS.REPORT_READ), async (req, res) => {
     try {
         const orderStatusSummary = await Order.aggregate([
             { $group: { _id: "$orderStatus", count: { $sum: 1 } } },
@@ -854,5 +1313,313 @@ adminRouter.get('/monitor/order-statuses', userAuth, isAdmin, async (req, res) =
 });
 
 
+/**  
+ * @swagger  
+ * /api/admin/reviews:  
+ *   get:  
+ *     summary: List reviews for moderation  
+ *     description: Allows an admin to list all reviews, hidden ones included, newest first  
+ *     tags: [Admin]  
+ *     parameters:  
+ *       - in: query  
+ *         name: hidden  
+ *         schema:  
+ *           type: boolean  
+ *       - in: query  
+ *         name: restaurant  
+ *         schema:  
+ *           type: string  
+ *       - in: query  
+ *         name: page  
+ *         schema:  
+ *           type: integer  
+ *       - in: query  
+ *         name: limit  
+ *         schema:  
+ *           type: integer  
+ *     responses:  
+ *       200:  
+ *         description: Successful operation  
+ *       400:  
+ *         description: Invalid restaurant ID  
+ *       500:  
+ *         description: Failed to retrieve reviews  
+ */  
+adminRouter.get('/reviews', authorize(PERMISSIONS.REVIEW_MODERATE), async (req, res) => {
+    try {
+        const { hidden, restaurant, page, limit } = req.query;
+        res.json(await listReviewsForModeration({ hidden, restaurant, page, limit }));
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        res.status(500).json({ error: 'Failed to retrieve reviews' });
+    }
+});
+
+/**  
+ * @swagger  
+ * /api/admin/reviews/{reviewId}/moderation:  
+ *   patch:  
+ *     summary: Hide or show a review  
+ *     description: Allows an admin to hide an abusive review from listings and average ratings, or to show it again  
+ *     tags: [Admin]  
+ *     parameters:  
+ *       - in: path  
+ *         name: reviewId  
+ *         required: true  
+ *         schema:  
+ *           type: string  
+ *     requestBody:  
+ *       required: true  
+ *       content:  
+ *         application/json:  
+ *           schema:  
+ *             type: object  
+ *             required: [hidden]  
+ *             properties:  
+ *               hidden:  
+ *                 type: boolean  
+ *               reason:  
+ *                 type: string  
+ *                 example: "Abusive language"  
+ *     responses:  
+ *       200:  
+ *         description: Review updated  
+ *       400:  
+ *         description: Invalid request  
+ *       404:  
+ *         description: Review not found  
+ *       500:  
+ *         description: Failed to moderate review  
+ */  
+adminRouter.patch('/reviews/:reviewId/moderation', authorize(PERMISSIONS.REVIEW_MODERATE), async (req, res) => {
+    try {
+        const { hidden, reason } = req.body;
+        const review = await moderateReview(req.params.reviewId, { hidden, reason }, req.user);
+        res.json({ message: hidden ? 'Review hidden' : 'Review visible again', review });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        res.status(500).json({ error: 'Failed to moderate review' });
+    }
+});
+
+/**  
+ * @swagger  
+ * /api/admin/couriers/{courierId}/ledger:  
+ *   get:  
+ *     summary: Get a courier's earnings ledger  
+ *     description: Allows an admin to list a courier's ledger entries, newest first  
+ *     tags: [Admin]  
+ *     parameters:  
+ *       - in: path  
+ *         name: courierId  
+ *         required: true  
+ *         schema:  
+ *           type: string  
+ *       - in: query  
+ *         name: page  
+ *         schema:  
+ *           type: integer  
+ *       - in: query  
+ *         name: limit  
+ *         schema:  
+ *           type: integer  
+ *     responses:  
+ *       200:  
+ *         description: Successful operation  
+ *       400:  
+ *         description: Invalid courier ID  
+ *       500:  
+ *         description: Failed to retrieve ledger  
+ *   post:  
+ *     summary: Adjust a courier's earnings  
+ *     description: Allows an admin to add an adjustment to a courier's ledger, negative to deduct. Entries are never changed, a wrong one is corrected with another adjustment  
+ *     tags: [Admin]  
+ *     parameters:  
+ *       - in: path  
+ *         name: courierId  
+ *         required: true  
+ *         schema:  
+ *           type: string  
+ *     requestBody:  
+ *       required: true  
+ *       content:  
+ *         application/json:  
+ *           schema:  
+ *             type: object  
+ *             required: [amount, note]  
+ *             properties:  
+ *               amount:  
+ *                 type: number  
+ *                 example: -25  
+ *               note:  
+ *                 type: string  
+ *                 example: "Fee paid twice for order 6512"  
+ *     responses:  
+ *       201:  
+ *         description: Adjustment recorded  
+ *         content:  
+ *           application/json:  
+ *             schema:  
+ *               $ref: '#/components/schemas/CourierLedgerEntry'  
+ *       400:  
+ *         description: Invalid amount or missing note  
+ *       404:  
+ *         description: Courier not found  
+ *       500:  
+ *         description: Failed to record adjustment  
+ */  
+adminRouter.get('/couriers/:courierId/ledger', authorize(PERMISSIONS.PAYOUT_MANAGE), async (req, res) => {
+    try {
+        res.json(await listLedger(req.params.courierId, req.query));
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        res.status(500).json({ error: 'Failed to retrieve ledger' });
+    }
+});
+
+adminRouter.post('/couriers/:courierId/ledger', authorize(PERMISSIONS.PAYOUT_MANAGE), async (req, res) => {
+    try {
+        const { amount, note } = req.body;
+        res.status(201).json(await addAdjustment(req.params.courierId, { amount, note }, req.user));
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        res.status(500).json({ error: 'Failed to record adjustment' });
+    }
+});
+
+/**  
+ * @swagger  
+ * /api/admin/payouts:  
+ *   post:  
+ *     summary: Settle courier earnings  
+ *     description: Allows an admin to settle everything couriers earned since the previous payout batch up to `until` (now by default). Every courier owed money gets a payout entry for their balance; export the batch as CSV for the transfer  
+ *     tags: [Admin]  
+ *     parameters:  
+ *       - $ref: '#/components/parameters/IdempotencyKey'  
+ *     requestBody:  
+ *       content:  
+ *         application/json:  
+ *           schema:  
+ *             type: object  
+ *             properties:  
+ *               until:  
+ *                 type: string  
+ *                 format: date-time  
+ *                 example: "2026-10-19T00:00:00Z"  
+ *     responses:  
+ *       201:  
+ *         description: Payout batch created  
+ *         content:  
+ *           application/json:  
+ *             schema:  
+ *               $ref: '#/components/schemas/PayoutBatch'  
+ *       400:  
+ *         description: Invalid or future date  
+ *       409:  
+ *         description: The period is already settled  
+ *       500:  
+ *         description: Failed to create payout batch  
+ *   get:  
+ *     summary: Get payout batches  
+ *     description: Allows an admin to list payout batches, newest period first, without their lines  
+ *     tags: [Admin]  
+ *     parameters:  
+ *       - in: query  
+ *         name: page  
+ *         schema:  
+ *           type: integer  
+ *       - in: query  
+ *         name: limit  
+ *         schema:  
+ *           type: integer  
+ *     responses:  
+ *       200:  
+ *         description: Successful operation  
+ *       500:  
+ *         description: Failed to retrieve payout batches  
+ */  
+adminRouter.post('/payouts', authorize(PERMISSIONS.PAYOUT_MANAGE), idempotency(), async (req, res) => {
+    try {
+        const batch = await createPayoutBatch({ until: req.body?.until }, req.user);
+        res.status(201).json(batch);
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        res.status(500).json({ error: 'Failed to create payout batch' });
+    }
+});
+
+adminRouter.get('/payouts', authorize(PERMISSIONS.PAYOUT_MANAGE), async (req, res) => {
+    try {
+        res.json(await listPayoutBatches(req.query));
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to retrieve payout batches' });
+    }
+});
+
+/**  
+ * @swagger  
+ * /api/admin/payouts/{batchId}:  
+ *   get:  
+ *     summary: Get or export a payout batch  
+ *     description: Allows an admin to get a payout batch with the amount per courier, or download it as CSV with `format=csv`  
+ *     tags: [Admin]  
+ *     parameters:  
+ *       - in: path  
+ *         name: batchId  
+ *         required: true  
+ *         schema:  
+ *           type: string  
+ *       - in: query  
+ *         name: format  
+ *         schema:  
+ *           type: string  
+ *           enum: [json, csv]  
+ *           default: json  
+ *     responses:  
+ *       200:  
+ *         description: Successful operation  
+ *         content:  
+ *           application/json:  
+ *             schema:  
+ *               $ref: '#/components/schemas/PayoutBatch'  
+ *           text/csv:  
+ *             schema:  
+ *               type: string  
+ *       400:  
+ *         description: Invalid batch ID or unknown format  
+ *       404:  
+ *         description: Payout batch not found  
+ *       500:  
+ *         description: Failed to export payout batch  
+ */  
+adminRouter.get('/payouts/:batchId', authorize(PERMISSIONS.PAYOUT_MANAGE), async (req, res) => {
+    try {
+        const format = req.query.format || 'json';
+        if (!['json', 'csv'].includes(format)) {
+            return res.status(400).json({ error: 'format must be json or csv' });
+        }
+        const batch = await exportPayoutBatch(req.params.batchId, format);
+        if (format === 'csv') {
+            res.attachment(`payouts-${req.params.batchId}.csv`);
+            return res.type('text/csv').send(batch);
+        }
+        res.json(batch);
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        res.status(500).json({ error: 'Failed to export payout batch' });
+    }
+});
 
 module.exports = adminRouter;
\ No newline at end of file
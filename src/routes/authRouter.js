@@ -4,13 +4,44 @@ const authRouter = express.Router();
 const { validateSignUpData } = require("../utils/validation");
 const User = require("../models/User");
 const bcrypt = require("bcrypt");
+const { SELF_SERVICE_ROLES, PERMISSIONS } = require("../configuration/permissions");
+const { authorize } = require("../middlewares/authorize");
+const {
+    getRequestRefreshToken,
+    startSession,
+    rotateSession,
+    endSession,
+    revokeSession,
+    revokeAllSessions,
+    listActiveSessions,
+} = require("../utils/session");
+const { assertCanLogin, canStartSession } = require("../utils/loginPolicy");
+const { queueVerificationEmail, sendVerificationEmail, sendPasswordResetEmail } = require("../utils/accountEmails");
+const {
+    consumeActionToken,
+    peekActionToken,
+    recordActionTokenFailure,
+    discardActionTokens,
+} = require("../utils/actionToken");
+const { checkCredentials, resetLoginFailures } = require("../utils/loginGuard");
+const {
+    needsSecondFactor,
+    isTwoFactorMandatory,
+    createLoginChallenge,
+    beginEnrollment,
+    confirmEnrollment,
+    verifySecondFactor,
+    regenerateRecoveryCodes,
+    disableTwoFactor,
+} = require("../utils/twoFactor");
+const validator = require("validator");
 
 /**
  * @swagger
  * /api/signup:
  *   post:
  *     summary: Register a user
- *     description: Allows an admin to register a user
+ *     description: Registers a customer or restaurant user. Admin and delivery accounts cannot be created here. When two-factor authentication is mandatory for the role, no session is started; twoFactor holds the challenge to enrol with through /api/login/2fa/enroll.
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -33,7 +64,8 @@ const bcrypt = require("bcrypt");
  *                 example: "Faiz.123"
  *               role:
  *                 type: string
- *                 example: "admin"
+ *                 enum: [customer, restaurant]
+ *                 example: "customer"
  *               gender:
  *                 type: string
  *                 example: "male"
@@ -49,6 +81,10 @@ authRouter.post("/signup", async (req, res) => {
         validateSignUpData(req);
 
         const { firstName, lastName, emailId, password, role, gender } = req.body;
+        // Admins and couriers are created through /api/admin/register/users and /api/delivery/register
+        if (!SELF_SERVICE_ROLES.includes(role)) {
+            throw new Error("Invalid role");
+        }
 
         // Encrypt the password
         const passwordHash = await bcrypt.hash(password, 10);
@@ -64,12 +100,18 @@ authRouter.post("/signup", async (req, res) => {
             gender
         });
         const savedUser = await user.save();
-        const token = await savedUser.getJWT();
-        res.cookie("token", token, {
-            expires: new Date(Date.now() + 24 * 60 * 60 * 1000),
-        });
+        queueVerificationEmail(savedUser);
+        let twoFactor;
+        if (canStartSession(savedUser)) {
+            // Where admins made 2FA mandatory the session waits for the enrolment, as on login
+            if (await needsSecondFactor(savedUser)) {
+                twoFactor = await createLoginChallenge(savedUser);
+            } else {
+                await startSession(req, res, savedUser);
+            }
+        }
 
-        res.json({ message: "User Added successfully!", data: savedUser });
+        res.json({ message: "User Added successfully!", data: savedUser, twoFactor });
     } catch (err) {
         res.status(400).send("ERROR : " + err.message);
     }
@@ -80,7 +122,7 @@ authRouter.post("/signup", async (req, res) => {
  * /api/login:
  *   post:
  *     summary: Login user
- *     description: Authenticates a user and returns a JWT token.
+ *     description: Authenticates a user and returns a JWT token. Accounts with two-factor authentication get a challenge token instead, to be completed through /api/login/2fa.
  *     tags: [Authentication]
  *     requestBody:
  *       description: User login credentials
@@ -124,24 +166,19 @@ authRouter.post("/login", async (req, res) => {
     try {
         const { emailId, password } = req.body;
 
-        const user = await User.findOne({ emailId: emailId });
+        const user = await checkCredentials(req, res, emailId, password);
         if (!user) {
             throw new Error("Invalid credentials");
         }
-        const isPasswordValid = await user.validatePassword(password);
-
-        if (isPasswordValid) {
-            const token = await user.getJWT();
 
-            res.cookie("token", token, {
-                expires: new Date(Date.now() + 8 * 3600000),
-            });
-            res.send(user);
-        } else {
-            throw new Error("Invalid credentials");
+        assertCanLogin(user);
+        if (await needsSecondFactor(user)) {
+            return res.json(await createLoginChallenge(user));
         }
+        await startSession(req, res, user);
+        res.send(user);
     } catch (err) {
-        res.status(400).send("ERROR : " + err.message);
+        res.status(err.statusCode || 400).send("ERROR : " + err.message);
     }
 });
 
@@ -150,7 +187,7 @@ authRouter.post("/login", async (req, res) => {
  * /api/logout:
  *   post:
  *     summary: Logout user
- *     description: Logs the user out by clearing the JWT token.
+ *     description: Logs the user out by revoking the current session and clearing the token cookies.
  *     tags: [Authentication]
  *     responses:
  *       200:
@@ -165,214 +202,1546 @@ authRouter.post("/login", async (req, res) => {
  *                   example: "Logout is successful!!"
  */
 authRouter.post("/logout", async (req, res) => {
-    res.cookie("token", null, {
-        expires: new Date(Date.now()),
-    });
-    res.send("Logout is successfull!!");
+    try {
+        await endSession(req, res);
+        res.send("Logout is successfull!!");
+    } catch (err) {
+        res.status(400).send("ERROR : " + err.message);
+    }
 });
 
 /**
  * @swagger
- * components:
- *   schemas:
- *     User:
- *       type: object
- *       properties:
- *         firstName:
- *           type: string
- *           example: "Mohd"
- *         lastName:
- *           type: string
- *           example: "Faiz"
- *         emailId:
- *           type: string
- *           example: "mohdfaiz@example.com"
- *         password:
- *           type: string
- *           example: "Faiz.7860"
- *         role:
- *           type: string
- *           example: "admin"
- *         gender:
- *           type: string
- *           example: "male"
- *         createdAt:
- *           type: string
- *           format: date-time
- *           example: "2024-11-17T10:15:00Z"
- *         updatedAt:
- *           type: string
- *           format: date-time
- *           example: "2024-11-17T10:15:00Z"
- *         _id:
- *           type: string
- *           example: "605c72ef153207001f0d0c3"
- * 
- *     Delivery:
- *       type: object
- *       properties:
- *         order:
- *           type: string
- *           example: "605c72ef153207001f0d0c3"
- *         deliveryPersonnel:
- *           type: string
- *           example: "605c72ef153207001f0d0c4"
- *         pickupTime:
- *           type: string
- *           format: date-time
- *           example: "2024-11-17T10:30:00Z"
- *         deliveryTime:
- *           type: string
- *           format: date-time
- *           example: "2024-11-17T11:30:00Z"
- *         deliveryStatus:
- *           type: string
- *           enum:
- *             - Pending
- *             - PickedUp
- *             - EnRoute
- *             - Delivered
- *           example: "Pending"
+ * /api/token/refresh:
+ *   post:
+ *     summary: Refresh the access token
+ *     description: Exchanges a refresh token for a new access token and a new refresh token. Each refresh token can only be used once; presenting an already rotated token revokes the whole session.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       description: Optional when the refreshToken cookie is sent
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New token pair issued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Token refreshed"
+ *                 token:
+ *                   type: string
+ *                 refreshToken:
+ *                   type: string
+ *                   description: Only returned when the refresh token was sent in the body
+ *       401:
+ *         description: Missing, invalid, reused or expired refresh token
+ */
+authRouter.post("/token/refresh", async (req, res) => {
+    try {
+        const refreshToken = getRequestRefreshToken(req);
+        if (!refreshToken) {
+            return res.status(401).json({ error: "Refresh token is required" });
+        }
 
- *     DeliveryAddress:
- *       type: object
- *       properties:
- *         userId:
- *           type: string
- *           example: "605c72ef153207001f0d0c3"
- *         firstName:
- *           type: string
- *           example: "Mohd"
- *         lastName:
- *           type: string
- *           example: "Faiz"
- *         addressLine1:
- *           type: string
- *           example: "123 Main Street"
- *         addressLine2:
- *           type: string
- *           example: "Apt 101"
- *         city:
- *           type: string
- *           example: "New York"
- *         state:
- *           type: string
- *           example: "NY"
- *         country:
- *           type: string
- *           example: "USA"
- *         postalCode:
- *           type: string
- *           example: "10001"
- *         isDefault:
- *           type: boolean
- *           example: false
+        const tokens = await rotateSession(req, res, refreshToken);
 
- *     DeliveryPersonnel:
- *       type: object
- *       properties:
- *         name:
- *           type: string
- *           example: "John Doe"
- *         email:
- *           type: string
- *           example: "johndoe@example.com"
- *         contactDetails:
- *           type: string
- *           example: "123-456-7890"
- *         vehicleType:
- *           type: string
- *           example: "Motorcycle"
- *         isAvailable:
- *           type: boolean
- *           example: true
- *         role:
- *           type: string
- *           enum:
- *             - Delivery
- *             - Admin
- *           example: "Delivery"
- *         tokenVersion:
- *           type: integer
- *           example: 0
+        // Browsers keep the refresh token in the httpOnly cookie only
+        res.json({
+            message: "Token refreshed",
+            token: tokens.accessToken,
+            refreshToken: req.body?.refreshToken ? tokens.refreshToken : undefined,
+        });
+    } catch (err) {
+        res.status(401).json({ error: err.message });
+    }
+});
 
- *     Menu:
- *       type: object
- *       properties:
- *         restaurant:
- *           type: string
- *           example: "605c72ef153207001f0d0c3"
- *         itemName:
- *           type: string
- *           example: "Cheeseburger"
- *         description:
- *           type: string
- *           example: "A delicious cheeseburger with fresh ingredients."
- *         price:
- *           type: number
- *           example: 9.99
- *         availability:
- *           type: boolean
- *           example: true
+/**
+ * @swagger
+ * /api/logout/all:
+ *   post:
+ *     summary: Log out everywhere
+ *     description: Revokes every session of the logged in user, on all devices.
+ *     tags: [Authentication]
+ *     responses:
+ *       200:
+ *         description: All sessions revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Logged out from all devices"
+ *                 revokedSessions:
+ *                   type: integer
+ *                   example: 3
+ */
+authRouter.post("/logout/all", authorize(PERMISSIONS.SESSION_MANAGE), async (req, res) => {
+    try {
+        const revokedSessions = await revokeAllSessions(req.user._id);
+        await endSession(req, res);
+        res.json({ message: "Logged out from all devices", revokedSessions });
+    } catch (err) {
+        res.status(400).send("ERROR : " + err.message);
+    }
+});
 
- *     Order:
- *       type: object
- *       properties:
- *         customer:
- *           type: string
- *           example: "605c72ef153207001f0d0c3"
- *         restaurant:
- *           type: string
- *           example: "605c72ef153207001f0d0c4"
- *         orderDate:
- *           type: string
- *           format: date-time
- *           example: "2024-11-17T10:15:00Z"
- *         orderStatus:
- *           type: string
- *           enum:
- *             - Pending
- *             - Accepted
- *             - Preparing
- *             - OutForDelivery
- *             - Delivered
- *             - Cancelled
- *             - Rescheduled
- *           example: "Pending"
- *         totalAmount:
- *           type: number
- *           example: 35.50
- *         deliveryTime:
- *           type: string
- *           format: date-time
- *           example: "2024-11-17T11:00:00Z"
- *         items:
- *           type: array
- *           items:
- *             type: string
- *             example: "605c72ef153207001f0d0c3"
+/**
+ * @swagger
+ * /api/sessions:
+ *   get:
+ *     summary: List active sessions
+ *     description: Lists the active sessions (devices) of the logged in user.
+ *     tags: [Authentication]
+ *     responses:
+ *       200:
+ *         description: Active sessions, most recently used first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Session'
+ */
+authRouter.get("/sessions", authorize(PERMISSIONS.SESSION_MANAGE), async (req, res) => {
+    try {
+        const sessions = await listActiveSessions(req.user._id);
+        const data = sessions.map((session) => ({
+            ...session.toObject(),
+            current: session._id.equals(req.authSession._id),
+        }));
+        res.json({ data });
+    } catch (err) {
+        res.status(400).send("ERROR : " + err.message);
+    }
+});
 
- *     Restaurant:
- *       type: object
- *       properties:
- *         owner:
- *           type: string
- *           example: "605c72ef153207001f0d0c3"
- *         restaurantName:
- *           type: string
- *           example: "Awesome Pizza Place"
- *         address:
- *           type: string
- *           example: "123 Pizza St, New York"
- *         cuisineType:
- *           type: string
- *           example: "Italian"
- *         openingHours:
+/**
+ * @swagger
+ * /api/sessions/{sessionId}:
+ *   delete:
+ *     summary: Revoke a session
+ *     description: Logs out a single device of the logged in user.
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
  *           type: string
- *           example: "10:00 AM - 10:00 PM"
- *         deliveryZone:
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       404:
+ *         description: Session not found
+ */
+authRouter.delete("/sessions/:sessionId", authorize(PERMISSIONS.SESSION_MANAGE), async (req, res) => {
+    try {
+        const session = await revokeSession(req.user._id, req.params.sessionId);
+        if (!session) {
+            return res.status(404).json({ error: "Session not found" });
+        }
+        res.json({ message: "Session revoked" });
+    } catch (err) {
+        res.status(400).send("ERROR : " + err.message);
+    }
+});
+
+/**
+ * @swagger
+ * /api/login/2fa:
+ *   post:
+ *     summary: Complete a two-factor login
+ *     description: Second login step for accounts with two-factor authentication. Takes the challenge token returned by the login together with a code from the authenticator app or an unused recovery code, and only then starts the session. When the login asked for enrolment, the code confirms the authenticator set up through /api/login/2fa/enroll and the recovery codes are returned once.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: "287082"
+ *               recoveryCode:
+ *                 type: string
+ *                 example: "3f9a1-c07be"
+ *     responses:
+ *       200:
+ *         description: User successfully logged in
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 user:
+ *                   $ref: '#/components/schemas/User'
+ *                 recoveryCodes:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       400:
+ *         description: Invalid or expired challenge
+ *       401:
+ *         description: Invalid authentication code
+ */
+authRouter.post("/login/2fa", async (req, res) => {
+    try {
+        const { challengeToken, code, recoveryCode } = req.body;
+        if (!challengeToken || (!code && !recoveryCode)) {
+            throw new Error("Challenge token and code are required");
+        }
+
+        const challenge = await peekActionToken(challengeToken, "two-factor-login");
+        const user = await User.findById(challenge.user);
+        if (!user || user.status !== "active") {
+            throw new Error("Invalid or expired link");
+        }
+
+        let recoveryCodes;
+        if (user.twoFactor?.enabled) {
+            const isValid = await verifySecondFactor(user._id, { code, recoveryCode });
+            if (!isValid) {
+                await recordActionTokenFailure(challenge);
+                return res.status(401).send("ERROR : Invalid authentication code");
+            }
+        } else {
+            recoveryCodes = await confirmEnrollment(user._id, code);
+            if (!recoveryCodes) {
+                await recordActionTokenFailure(challenge);
+                return res.status(401).send("ERROR : Invalid authentication code");
+            }
+        }
+
+        await consumeActionToken(challengeToken, "two-factor-login");
+        await startSession(req, res, user);
+        res.json(recoveryCodes ? { user, recoveryCodes } : { user });
+    } catch (err) {
+        res.status(400).send("ERROR : " + err.message);
+    }
+});
+
+/**
+ * @swagger
+ * /api/login/2fa/enroll:
+ *   post:
+ *     summary: Set up two-factor authentication during login
+ *     description: For users whose role requires two-factor authentication but who have not enrolled yet. Returns a new secret and the otpauth URI to show as a QR code; the login is then completed through /api/login/2fa with a code from the app.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Secret to add to the authenticator app
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TwoFactorEnrollment'
+ *       400:
+ *         description: Invalid or expired challenge, or already enrolled
+ */
+authRouter.post("/login/2fa/enroll", async (req, res) => {
+    try {
+        const { challengeToken } = req.body;
+        if (!challengeToken) {
+            throw new Error("Invalid or expired link");
+        }
+
+        const challenge = await peekActionToken(challengeToken, "two-factor-login");
+        const user = await User.findById(challenge.user);
+        if (!user || user.status !== "active") {
+            throw new Error("Invalid or expired link");
+        }
+
+        res.json(await beginEnrollment(user));
+    } catch (err) {
+        res.status(400).send("ERROR : " + err.message);
+    }
+});
+
+/**
+ * @swagger
+ * /api/2fa/enroll:
+ *   post:
+ *     summary: Start two-factor enrolment
+ *     description: Generates a new TOTP secret for the logged in admin or restaurant account. Two-factor authentication is switched on once a code is confirmed through /api/2fa/enroll/verify.
+ *     tags: [Authentication]
+ *     responses:
+ *       200:
+ *         description: Secret to add to the authenticator app
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TwoFactorEnrollment'
+ *       400:
+ *         description: Already enrolled
+ */
+authRouter.post("/2fa/enroll", authorize(PERMISSIONS.TWO_FACTOR_MANAGE), async (req, res) => {
+    try {
+        res.json(await beginEnrollment(req.user));
+    } catch (err) {
+        res.status(400).send("ERROR : " + err.message);
+    }
+});
+
+/**
+ * @swagger
+ * /api/2fa/enroll/verify:
+ *   post:
+ *     summary: Confirm two-factor enrolment
+ *     description: Switches two-factor authentication on with the first code from the authenticator app and returns the recovery codes. They are shown only this once.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "287082"
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 recoveryCodes:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       400:
+ *         description: Enrolment not started
+ *       401:
+ *         description: Invalid authentication code
+ */
+authRouter.post("/2fa/enroll/verify", authorize(PERMISSIONS.TWO_FACTOR_MANAGE), async (req, res) => {
+    try {
+        const recoveryCodes = await confirmEnrollment(req.user._id, req.body.code);
+        if (!recoveryCodes) {
+            return res.status(401).send("ERROR : Invalid authentication code");
+        }
+
+        res.json({ message: "Two-factor authentication enabled", recoveryCodes });
+    } catch (err) {
+        res.status(400).send("ERROR : " + err.message);
+    }
+});
+
+/**
+ * @swagger
+ * /api/2fa/disable:
+ *   post:
+ *     summary: Disable two-factor authentication
+ *     description: Turns two-factor authentication off after checking a current code or recovery code. Not allowed while the policy requires 2FA for the role of the user.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code:
+ *                 type: string
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *       401:
+ *         description: Invalid authentication code
+ *       403:
+ *         description: Two-factor authentication is required for this role
+ */
+authRouter.post("/2fa/disable", authorize(PERMISSIONS.TWO_FACTOR_MANAGE), async (req, res) => {
+    try {
+        if (await isTwoFactorMandatory(req.user)) {
+            return res.status(403).send("ERROR : Two-factor authentication is required for your role");
+        }
+
+        const { code, recoveryCode } = req.body;
+        if (!(await verifySecondFactor(req.user._id, { code, recoveryCode }))) {
+            return res.status(401).send("ERROR : Invalid authentication code");
+        }
+
+        await disableTwoFactor(req.user);
+        res.json({ message: "Two-factor authentication disabled" });
+    } catch (err) {
+        res.status(400).send("ERROR : " + err.message);
+    }
+});
+
+/**
+ * @swagger
+ * /api/2fa/recovery-codes:
+ *   post:
+ *     summary: Regenerate recovery codes
+ *     description: Replaces all recovery codes after checking a current code from the authenticator app. The old codes stop working.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New recovery codes
+ *       401:
+ *         description: Invalid authentication code
+ */
+authRouter.post("/2fa/recovery-codes", authorize(PERMISSIONS.TWO_FACTOR_MANAGE), async (req, res) => {
+    try {
+        if (!(await verifySecondFactor(req.user._id, { code: req.body.code }))) {
+            return res.status(401).send("ERROR : Invalid authentication code");
+        }
+
+        res.json({ recoveryCodes: await regenerateRecoveryCodes(req.user._id) });
+    } catch (err) {
+        res.status(400).send("ERROR : " + err.message);
+    }
+});
+
+/**
+ * @swagger
+ * /api/password/forgot:
+ *   post:
+ *     summary: Request a password reset
+ *     description: Emails a single-use password reset link valid for 30 minutes. The response is the same whether or not the email is registered.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               emailId:
+ *                 type: string
+ *                 example: "mohdfaiz@example.com"
+ *     responses:
+ *       200:
+ *         description: Reset link sent if the account exists
+ *       400:
+ *         description: Invalid email
+ */
+authRouter.post("/password/forgot", async (req, res) => {
+    try {
+        const { emailId } = req.body;
+        if (!emailId || !validator.isEmail(emailId)) {
+            throw new Error("Email is not valid!");
+        }
+
+        const user = await User.findOne({ emailId: emailId.toLowerCase() });
+        if (user && user.status === "active") {
+            await discardActionTokens(user._id, "password-reset");
+            await sendPasswordResetEmail(user);
+        }
+
+        res.json({ message: "If the email is registered, a reset link has been sent" });
+    } catch (err) {
+        res.status(400).send("ERROR : " + err.message);
+    }
+});
+
+/**
+ * @swagger
+ * /api/password/reset:
+ *   post:
+ *     summary: Reset the password
+ *     description: Sets a new password using the token from the reset email. All sessions of the user are logged out.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 example: "Faiz.7861"
+ *     responses:
+ *       200:
+ *         description: Password updated
+ *       400:
+ *         description: Invalid or expired link, or weak password
+ */
+authRouter.post("/password/reset", async (req, res) => {
+    try {
+        const { token, password } = req.body;
+        if (!token) {
+            throw new Error("Invalid or expired link");
+        }
+        if (!password || !validator.isStrongPassword(password)) {
+            throw new Error("Please enter a strong Password!");
+        }
+
+        const userId = await consumeActionToken(token, "password-reset");
+        const passwordHash = await bcrypt.hash(password, 10);
+        const user = await User.findByIdAndUpdate(userId, { $set: { password: passwordHash } });
+        if (!user) {
+            throw new Error("Invalid or expired link");
+        }
+
+        await discardActionTokens(user._id, "password-reset");
+        await revokeAllSessions(user._id, "password-reset");
+        await resetLoginFailures(user.emailId);
+
+        res.json({ message: "Password updated, please login again" });
+    } catch (err) {
+        res.status(400).send("ERROR : " + err.message);
+    }
+});
+
+/**
+ * @swagger
+ * /api/email/verify:
+ *   get:
+ *     summary: Verify email address
+ *     description: Confirms the email address using the link sent after sign up.
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Email verified
+ *       400:
+ *         description: Invalid or expired link
+ */
+authRouter.get("/email/verify", async (req, res) => {
+    try {
+        const { token } = req.query;
+        if (!token) {
+            throw new Error("Invalid or expired link");
+        }
+
+        const userId = await consumeActionToken(token, "email-verify");
+        const user = await User.findByIdAndUpdate(userId, {
+            $set: { emailVerified: true, emailVerifiedAt: new Date() }
+        });
+        if (!user) {
+            throw new Error("Invalid or expired link");
+        }
+
+        res.json({ message: "Email verified successfully!" });
+    } catch (err) {
+        res.status(400).send("ERROR : " + err.message);
+    }
+});
+
+/**
+ * @swagger
+ * /api/email/verify/resend:
+ *   post:
+ *     summary: Resend the verification email
+ *     description: Sends a new verification link. The response is the same whether or not the email is registered.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               emailId:
+ *                 type: string
+ *                 example: "mohdfaiz@example.com"
+ *     responses:
+ *       200:
+ *         description: Verification link sent if the account exists and is not verified yet
+ */
+authRouter.post("/email/verify/resend", async (req, res) => {
+    try {
+        const { emailId } = req.body;
+        if (!emailId || !validator.isEmail(emailId)) {
+            throw new Error("Email is not valid!");
+        }
+
+        const user = await User.findOne({ emailId: emailId.toLowerCase() });
+        if (user && !user.emailVerified) {
+            await discardActionTokens(user._id, "email-verify");
+            await sendVerificationEmail(user);
+        }
+
+        res.json({ message: "If the email is registered, a verification link has been sent" });
+    } catch (err) {
+        res.status(400).send("ERROR : " + err.message);
+    }
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     User:
+ *       type: object
+ *       properties:
+ *         firstName:
+ *           type: string
+ *           example: "Mohd"
+ *         lastName:
+ *           type: string
+ *           example: "Faiz"
+ *         emailId:
+ *           type: string
+ *           example: "mohdfaiz@example.com"
+ *         password:
+ *           type: string
+ *           example: "Faiz.7860"
+ *         role:
+ *           type: string
+ *           example: "admin"
+ *         gender:
+ *           type: string
+ *           example: "male"
+ *         emailVerified:
+ *           type: boolean
+ *           example: true
+ *         courierProfile:
+ *           type: object
+ *           description: Only present for users with the delivery role
+ *           properties:
+ *             vehicleType:
+ *               type: string
+ *               example: "Motorcycle"
+ *             contactDetails:
+ *               type: string
+ *               example: "123-456-7890"
+ *             isAvailable:
+ *               type: boolean
+ *               example: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           example: "2024-11-17T10:15:00Z"
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *           example: "2024-11-17T10:15:00Z"
+ *         _id:
+ *           type: string
+ *           example: "605c72ef153207001f0d0c3"
+ * 
+ *     Delivery:
+ *       type: object
+ *       description: A courier's job for one order; the order's status follows it
+ *       properties:
+ *         order:
+ *           description: Order ID, or the order with its restaurant and address when listed
+ *           oneOf:
+ *             - type: string
+ *               example: "605c72ef153207001f0d0c3"
+ *             - $ref: '#/components/schemas/Order'
+ *         deliveryPersonnel:
+ *           type: string
+ *           example: "605c72ef153207001f0d0c4"
+ *         pickupTime:
+ *           type: string
+ *           format: date-time
+ *           description: Pickup at the restaurant
+ *           example: "2024-11-17T10:30:00Z"
+ *         deliveryTime:
+ *           type: string
+ *           format: date-time
+ *           description: Drop-off at the customer
+ *           example: "2024-11-17T11:30:00Z"
+ *         deliveryStatus:
+ *           type: string
+ *           enum:
+ *             - Pending
+ *             - PickedUp
+ *             - EnRoute
+ *             - Delivered
+ *             - Cancelled
+ *           example: "Pending"
+ *         proof:
+ *           type: object
+ *           description: Proof of delivery, required before Delivered
+ *           properties:
+ *             method:
+ *               type: string
+ *               enum: [code, photo]
+ *             photo:
+ *               $ref: '#/components/schemas/Image'
+ *             submittedAt:
+ *               type: string
+ *               format: date-time
+ *         handoffFailures:
+ *           type: integer
+ *           description: Wrong handoff codes entered in a row
+ *         handoffLockedUntil:
+ *           type: string
+ *           format: date-time
+ *         cancelledAt:
+ *           type: string
+ *           format: date-time
+ *         cancelReason:
+ *           type: string
+ *           example: "Order given to another courier"
+
+ *     DeliveryAddress:
+ *       type: object
+ *       properties:
+ *         userId:
+ *           type: string
+ *           example: "605c72ef153207001f0d0c3"
+ *         firstName:
+ *           type: string
+ *           example: "Mohd"
+ *         lastName:
+ *           type: string
+ *           example: "Faiz"
+ *         addressLine1:
+ *           type: string
+ *           example: "123 Main Street"
+ *         addressLine2:
+ *           type: string
+ *           example: "Apt 101"
+ *         city:
+ *           type: string
+ *           example: "New York"
+ *         state:
+ *           type: string
+ *           example: "NY"
+ *         country:
+ *           type: string
+ *           example: "USA"
+ *         postalCode:
+ *           type: string
+ *           example: "10001"
+ *         isDefault:
+ *           type: boolean
+ *           example: false
+ *         location:
+ *           $ref: '#/components/schemas/GeoPoint'
+
+ *     TwoFactorEnrollment:
+ *       type: object
+ *       properties:
+ *         secret:
+ *           type: string
+ *           description: Base32 secret for manual entry
+ *           example: "JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP"
+ *         otpauthUrl:
+ *           type: string
+ *           description: Provisioning URI to render as a QR code
+ *           example: "otpauth://totp/Faizos%3Amohdfaiz%40example.com?secret=JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP&issuer=Faizos"
+ *     Session:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: "605c72ef153207001f0d0c5"
+ *         userAgent:
+ *           type: string
+ *           example: "Mozilla/5.0"
+ *         ipAddress:
+ *           type: string
+ *           example: "203.0.113.7"
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         lastUsedAt:
+ *           type: string
+ *           format: date-time
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         current:
+ *           type: boolean
+ *           example: true
+
+ *     Menu:
+ *       type: object
+ *       properties:
+ *         restaurant:
+ *           type: string
+ *           example: "605c72ef153207001f0d0c3"
+ *         itemName:
+ *           type: string
+ *           example: "Cheeseburger"
+ *         description:
+ *           type: string
+ *           example: "A delicious cheeseburger with fresh ingredients."
+ *         price:
+ *           type: number
+ *           example: 9.99
+ *         availability:
+ *           type: boolean
+ *           example: true
+ *         category:
+ *           type: string
+ *           example: "605c72ef153207001f0d0c9"
+ *         position:
+ *           type: integer
+ *           example: 0
+ *         modifierGroups:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ModifierGroup'
+ *         stock:
+ *           type: integer
+ *           description: Absent when the item's stock is not tracked
+ *           example: 12
+ *         lowStockThreshold:
+ *           type: integer
+ *           example: 5
+ *         soldOut:
+ *           type: boolean
+ *           description: Made unavailable because stock ran out; becomes available again on restock
+ *           example: false
+ *         image:
+ *           $ref: '#/components/schemas/Image'
+ *         rating:
+ *           $ref: '#/components/schemas/RatingSummary'
+
+ *     MenuImportItem:
+ *       type: object
+ *       required: [itemName]
+ *       properties:
+ *         itemName:
+ *           type: string
+ *           example: "Margherita"
+ *         description:
+ *           type: string
+ *           example: "Tomato and mozzarella"
+ *         price:
+ *           type: number
+ *           description: Required for new items
+ *           example: 9.5
+ *         availability:
+ *           type: boolean
+ *           example: true
+ *         category:
+ *           type: string
+ *           description: Category name, created if the restaurant has none by that name
+ *           example: "Pizzas"
+ *         position:
+ *           type: integer
+ *           example: 1
+ *         modifierGroups:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ModifierGroup'
+
+ *     MenuImportReport:
+ *       type: object
+ *       properties:
+ *         dryRun:
+ *           type: boolean
+ *         created:
+ *           type: integer
+ *           example: 180
+ *         updated:
+ *           type: integer
+ *           example: 20
+ *         failed:
+ *           type: integer
+ *           example: 0
+ *         newCategories:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: ["Pizzas"]
+ *         rows:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               row:
+ *                 type: integer
+ *                 description: Position of the item in the import, the first item being 1
+ *               itemName:
+ *                 type: string
+ *               action:
+ *                 type: string
+ *                 enum: [create, update, error]
+ *               itemId:
+ *                 type: string
+ *               errors:
+ *                 type: array
+ *                 items:
+ *                   type: string
+
+ *     RatingSummary:
+ *       type: object
+ *       readOnly: true
+ *       description: Average of the visible review ratings
+ *       properties:
+ *         average:
+ *           type: number
+ *           example: 4.35
+ *         count:
+ *           type: integer
+ *           example: 120
+
+ *     Review:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         order:
+ *           type: string
+ *         customer:
+ *           type: string
+ *         restaurant:
+ *           type: string
+ *         rating:
+ *           type: integer
+ *           example: 4
+ *         comment:
+ *           type: string
+ *           example: "Hot and on time"
+ *         items:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               orderItem:
+ *                 type: string
+ *               menuItem:
+ *                 type: string
+ *               itemName:
+ *                 type: string
+ *                 example: "Margherita"
+ *               rating:
+ *                 type: integer
+ *                 example: 5
+ *               comment:
+ *                 type: string
+ *         courierRating:
+ *           type: integer
+ *           example: 5
+ *         courierComment:
+ *           type: string
+ *         reply:
+ *           type: object
+ *           properties:
+ *             text:
+ *               type: string
+ *             repliedAt:
+ *               type: string
+ *               format: date-time
+ *         hidden:
+ *           type: boolean
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+
+ *     StockAdjustment:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         menuItem:
+ *           type: string
+ *         restaurant:
+ *           type: string
+ *         change:
+ *           type: integer
+ *           example: -2
+ *         stockAfter:
+ *           type: integer
+ *           example: 10
+ *         reason:
+ *           type: string
+ *           enum: [order-accepted, order-cancelled, count, adjustment]
+ *         order:
+ *           type: string
+ *         actor:
+ *           type: string
+ *         note:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+
+ *     ModifierGroup:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *           example: "Extra toppings"
+ *         minSelect:
+ *           type: integer
+ *           example: 0
+ *         maxSelect:
+ *           type: integer
+ *           example: 3
+ *         options:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               _id:
+ *                 type: string
+ *                 example: "60d7c87b7393f7d6d0a56f01"
+ *               name:
+ *                 type: string
+ *                 example: "Olives"
+ *               priceDelta:
+ *                 type: number
+ *                 example: 1.5
+ *               available:
+ *                 type: boolean
+ *                 example: true
+
+ *     SelectedModifier:
+ *       type: object
+ *       properties:
+ *         group:
+ *           type: string
+ *         groupName:
+ *           type: string
+ *           example: "Size"
+ *         option:
+ *           type: string
+ *         optionName:
+ *           type: string
+ *           example: "Large"
+ *         priceDelta:
+ *           type: number
+ *           example: 3
+
+ *     MenuCategory:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: "605c72ef153207001f0d0c9"
+ *         restaurant:
+ *           type: string
+ *           example: "605c72ef153207001f0d0c4"
+ *         name:
+ *           type: string
+ *           example: "Pizzas"
+ *         description:
+ *           type: string
+ *         position:
+ *           type: integer
+ *           example: 1
+
+ *     MenuTree:
+ *       type: object
+ *       properties:
+ *         categories:
+ *           type: array
+ *           items:
+ *             allOf:
+ *               - $ref: '#/components/schemas/MenuCategory'
+ *               - type: object
+ *                 properties:
+ *                   items:
+ *                     type: array
+ *                     items:
+ *                       $ref: '#/components/schemas/Menu'
+ *         uncategorized:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/Menu'
+
+ *     Order:
+ *       type: object
+ *       properties:
+ *         customer:
+ *           type: string
+ *           example: "605c72ef153207001f0d0c3"
+ *         restaurant:
+ *           type: string
+ *           example: "605c72ef153207001f0d0c4"
+ *         orderDate:
+ *           type: string
+ *           format: date-time
+ *           example: "2024-11-17T10:15:00Z"
+ *         orderStatus:
+ *           type: string
+ *           enum:
+ *             - Scheduled
+ *             - Pending
+ *             - Accepted
+ *             - Preparing
+ *             - OutForDelivery
+ *             - Delivered
+ *             - Cancelled
+ *             - Rescheduled
+ *           example: "Pending"
+ *         totalAmount:
+ *           type: number
+ *           example: 35.50
+ *         tip:
+ *           type: number
+ *           description: Tip for the courier, not part of totalAmount
+ *           example: 20
+ *         deliveryTime:
+ *           type: string
+ *           format: date-time
+ *           example: "2024-11-17T11:00:00Z"
+ *         deliveryAddress:
+ *           type: string
+ *           example: "60d7c87b7393f7d6d0a56d97"
+ *         deliverySlot:
+ *           type: string
+ *           description: Slot a pre-order is booked into
+ *           example: "60d7c87b7393f7d6d0a56e01"
+ *         statusHistory:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               from:
+ *                 type: string
+ *                 example: "Pending"
+ *               status:
+ *                 type: string
+ *                 example: "Accepted"
+ *               actor:
+ *                 type: string
+ *                 example: "605c72ef153207001f0d0c3"
+ *               actorRole:
+ *                 type: string
+ *                 description: Role of the actor, "system" for scheduled orders released to the kitchen
+ *                 example: "restaurant"
+ *               reason:
+ *                 type: string
+ *               previousCourier:
+ *                 type: string
+ *                 description: On courier assignments, the courier the order was taken from
+ *               courier:
+ *                 type: string
+ *                 description: On courier assignments, the courier the order was given to
+ *               changedAt:
+ *                 type: string
+ *                 format: date-time
+ *         items:
+ *           type: array
+ *           items:
+ *             type: string
+ *             example: "605c72ef153207001f0d0c3"
+
+ *     DeliverySlot:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: "60d7c87b7393f7d6d0a56e01"
+ *         restaurant:
+ *           type: string
+ *           example: "605c72ef153207001f0d0c4"
+ *         startsAt:
+ *           type: string
+ *           format: date-time
+ *           example: "2026-11-08T12:00:00Z"
+ *         endsAt:
+ *           type: string
+ *           format: date-time
+ *           example: "2026-11-08T12:30:00Z"
+ *         capacity:
+ *           type: integer
+ *           example: 10
+ *         reserved:
+ *           type: integer
+ *           example: 6
+ *         remaining:
+ *           type: integer
+ *           example: 4
+
+ *     Restaurant:
+ *       type: object
+ *       properties:
+ *         owner:
+ *           type: string
+ *           example: "605c72ef153207001f0d0c3"
+ *         restaurantName:
+ *           type: string
+ *           example: "Awesome Pizza Place"
+ *         address:
+ *           type: string
+ *           example: "123 Pizza St, New York"
+ *         cuisineType:
+ *           type: string
+ *           example: "Italian"
+ *         openingHours:
+ *           type: string
+ *           example: "10:00 AM - 10:00 PM"
+ *         deliveryZone:
  *           type: string
  *           example: "Manhattan"
+ *         location:
+ *           $ref: '#/components/schemas/GeoPoint'
+ *         deliveryArea:
+ *           $ref: '#/components/schemas/DeliveryArea'
+ *         schedule:
+ *           $ref: '#/components/schemas/OpeningSchedule'
+ *         isOpen:
+ *           type: boolean
+ *           readOnly: true
+ *           description: Computed on listings; restaurants without a schedule are always open
+ *         nextOpenAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           readOnly: true
+ *           description: Computed on listings when the restaurant is closed
+ *         logo:
+ *           $ref: '#/components/schemas/Image'
+ *         banner:
+ *           $ref: '#/components/schemas/Image'
+ *         rating:
+ *           $ref: '#/components/schemas/RatingSummary'
+
+ *     CourierLedgerEntry:
+ *       type: object
+ *       description: One line of a courier's append-only earnings ledger; payouts are negative
+ *       properties:
+ *         _id:
+ *           type: string
+ *         courier:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [delivery-fee, tip, adjustment, payout]
+ *         amount:
+ *           type: number
+ *           example: 48
+ *         currency:
+ *           type: string
+ *           example: "INR"
+ *         order:
+ *           type: string
+ *         delivery:
+ *           type: string
+ *         distanceKm:
+ *           type: number
+ *           example: 1.8
+ *         payoutBatch:
+ *           type: string
+ *         note:
+ *           type: string
+ *         actor:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+
+ *     EarningsPeriod:
+ *       type: object
+ *       properties:
+ *         date:
+ *           type: string
+ *           description: Day of a daily row
+ *           example: "2026-10-18"
+ *         week:
+ *           type: string
+ *           description: ISO week of a weekly row
+ *           example: "2026-W42"
+ *         deliveries:
+ *           type: integer
+ *           example: 9
+ *         fees:
+ *           type: number
+ *           example: 412
+ *         tips:
+ *           type: number
+ *           example: 60
+ *         adjustments:
+ *           type: number
+ *           example: 0
+ *         total:
+ *           type: number
+ *           example: 472
+
+ *     PayoutBatch:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         periodStart:
+ *           type: string
+ *           format: date-time
+ *         periodEnd:
+ *           type: string
+ *           format: date-time
+ *         currency:
+ *           type: string
+ *           example: "INR"
+ *         total:
+ *           type: number
+ *         lines:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               courier:
+ *                 type: string
+ *               deliveries:
+ *                 type: integer
+ *               fees:
+ *                 type: number
+ *               tips:
+ *                 type: number
+ *               adjustments:
+ *                 type: number
+ *               carriedOver:
+ *                 type: number
+ *                 description: Balance left from earlier periods
+ *               amount:
+ *                 type: number
+ *         createdBy:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+
+ *     Image:
+ *       type: object
+ *       readOnly: true
+ *       properties:
+ *         url:
+ *           type: string
+ *           example: "/uploads/menu-items/605c72ef153207001f0d0c5/1718000000000-3f2a9c1b7d4e.jpg"
+ *         contentType:
+ *           type: string
+ *           example: "image/jpeg"
+ *         width:
+ *           type: integer
+ *           example: 1600
+ *         height:
+ *           type: integer
+ *           example: 1200
+ *         thumbnails:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               size:
+ *                 type: string
+ *                 enum: [small, medium, large]
+ *               url:
+ *                 type: string
+ *               width:
+ *                 type: integer
+ *               height:
+ *                 type: integer
+ *         uploadedAt:
+ *           type: string
+ *           format: date-time
+
+ *     OpeningSchedule:
+ *       type: object
+ *       description: Weekly hours in an IANA time zone. A range closing before it opens runs past midnight; an exception replaces the hours of one date.
+ *       properties:
+ *         timeZone:
+ *           type: string
+ *           example: "Asia/Kolkata"
+ *         weekly:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               day:
+ *                 type: string
+ *                 enum: [sun, mon, tue, wed, thu, fri, sat]
+ *               opens:
+ *                 type: string
+ *                 example: "11:00"
+ *               closes:
+ *                 type: string
+ *                 example: "23:30"
+ *         exceptions:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *                 example: "2026-11-08"
+ *               closed:
+ *                 type: boolean
+ *                 example: true
+ *               ranges:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     opens:
+ *                       type: string
+ *                     closes:
+ *                       type: string
+ *               note:
+ *                 type: string
+ *                 example: "Diwali"
+
+ *     LatLng:
+ *       type: object
+ *       description: A location as sent by clients; a GeoJSON Point is accepted too
+ *       properties:
+ *         lat:
+ *           type: number
+ *           example: 28.6304
+ *         lng:
+ *           type: number
+ *           example: 77.2177
+
+ *     GeoPoint:
+ *       type: object
+ *       description: GeoJSON Point, coordinates are [longitude, latitude]
+ *       properties:
+ *         type:
+ *           type: string
+ *           enum: [Point]
+ *         coordinates:
+ *           type: array
+ *           items:
+ *             type: number
+ *           example: [77.2177, 28.6304]
+
+ *     CourierTracking:
+ *       type: object
+ *       properties:
+ *         orderId:
+ *           type: string
+ *         status:
+ *           type: string
+ *           example: "OutForDelivery"
+ *         courier:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             firstName:
+ *               type: string
+ *             vehicleType:
+ *               type: string
+ *               example: "bicycle"
+ *         position:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             lat:
+ *               type: number
+ *             lng:
+ *               type: number
+ *             recordedAt:
+ *               type: string
+ *               format: date-time
+ *         etaMinutes:
+ *           type: integer
+ *           nullable: true
+ *           example: 12
+ *         estimatedArrivalAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+
+ *     CourierRoute:
+ *       type: object
+ *       properties:
+ *         orderId:
+ *           type: string
+ *         status:
+ *           type: string
+ *         courier:
+ *           type: string
+ *           description: The order's current courier
+ *         startedAt:
+ *           type: string
+ *           format: date-time
+ *         endedAt:
+ *           type: string
+ *           format: date-time
+ *         distanceKm:
+ *           type: number
+ *           example: 4.27
+ *         points:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               lat:
+ *                 type: number
+ *               lng:
+ *                 type: number
+ *               courier:
+ *                 type: string
+ *                 description: The courier who sent the ping
+ *               recordedAt:
+ *                 type: string
+ *                 format: date-time
+ *               accuracyMeters:
+ *                 type: number
+ *               speedKmh:
+ *                 type: number
+ *         path:
+ *           type: object
+ *           nullable: true
+ *           description: GeoJSON LineString of the points, null with fewer than two
+ *           properties:
+ *             type:
+ *               type: string
+ *               enum: [LineString]
+ *             coordinates:
+ *               type: array
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: number
+
+ *     DeliveryArea:
+ *       type: object
+ *       description: GeoJSON Polygon or MultiPolygon; every ring is closed and positions are [longitude, latitude]
+ *       properties:
+ *         type:
+ *           type: string
+ *           enum: [Polygon, MultiPolygon]
+ *         coordinates:
+ *           type: array
+ *           items:
+ *             type: array
+ *             items: {}
+ *           example: [[[77.18, 28.60], [77.26, 28.60], [77.26, 28.66], [77.18, 28.66], [77.18, 28.60]]]
 
  *     OrderItem:
  *       type: object
@@ -383,9 +1752,127 @@ authRouter.post("/logout", async (req, res) => {
  *         menuItem:
  *           type: string
  *           example: "605c72ef153207001f0d0c3"
+ *         itemName:
+ *           type: string
+ *           example: "Cheeseburger"
+ *         unitPrice:
+ *           type: number
+ *           description: Menu price when the order was placed, including the price deltas of the modifiers
+ *           example: 9.99
+ *         modifiers:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/SelectedModifier'
  *         quantity:
  *           type: integer
  *           example: 2
+ *         lineTotal:
+ *           type: number
+ *           example: 19.98
+
+ *     Payment:
+ *       type: object
+ *       properties:
+ *         order:
+ *           type: string
+ *           example: "605c72ef153207001f0d0c3"
+ *         customer:
+ *           type: string
+ *           example: "605c72ef153207001f0d0c4"
+ *         amount:
+ *           type: number
+ *           example: 35.50
+ *         currency:
+ *           type: string
+ *           example: "INR"
+ *         provider:
+ *           type: string
+ *           example: "mock"
+ *         providerPaymentId:
+ *           type: string
+ *           example: "mock_pay_4f1c2a9b0e7d3c5a6b8e9f01"
+ *         status:
+ *           type: string
+ *           enum: [pending, authorized, declined, captured, voided, refunded]
+ *           example: "authorized"
+ *         refundedAmount:
+ *           type: number
+ *           example: 0
+ *         failureReason:
+ *           type: string
+
+ *     Refund:
+ *       type: object
+ *       properties:
+ *         payment:
+ *           type: string
+ *         order:
+ *           type: string
+ *         amount:
+ *           type: number
+ *           example: 35.50
+ *         reason:
+ *           type: string
+ *           example: "Restaurant closed"
+ *         providerRefundId:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [pending, succeeded, failed]
+
+ *     Cart:
+ *       type: object
+ *       properties:
+ *         customer:
+ *           type: string
+ *           example: "605c72ef153207001f0d0c3"
+ *         restaurant:
+ *           type: string
+ *           example: "605c72ef153207001f0d0c4"
+ *         items:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               _id:
+ *                 type: string
+ *                 description: Line ID, used to change or remove the line
+ *               menuItem:
+ *                 type: string
+ *                 example: "605c72ef153207001f0d0c5"
+ *               itemName:
+ *                 type: string
+ *                 example: "Cheeseburger"
+ *               unitPrice:
+ *                 type: number
+ *                 example: 9.99
+ *               modifiers:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/SelectedModifier'
+ *               available:
+ *                 type: boolean
+ *                 example: true
+ *               quantity:
+ *                 type: integer
+ *                 example: 2
+ *         totalAmount:
+ *           type: number
+ *           example: 19.98
+ */
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     IdempotencyKey:
+ *       in: header
+ *       name: Idempotency-Key
+ *       required: false
+ *       description: Unique value per operation, e.g. a UUID. Retries with the same key and body get the first successful response back instead of repeating the operation; the same key with a different body is rejected with 409.
+ *       schema:
+ *         type: string
+ *         example: "9b2f4c1e-6a0d-4f8e-b3c7-2d5e8a1f0c94"
  */
 
 module.exports = authRouter;
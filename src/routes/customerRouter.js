@@ -7,7 +7,21 @@ const Restaurant = require("../models/Restaurant");
 const Order = require("../models/Order");
 const DeliveryAddress = require("../models/DeliveryAddress");
 const bcrypt = require("bcrypt");
-const { userAuth } = require("../middlewares/auth");
+const { authorize, ownerOfUser, ownerOfOrder } = require("../middlewares/authorize");
+const { idempotency } = require("../middlewares/idempotency");
+const { PERMISSIONS } = require("../configuration/permissions");
+const { startSession, endSession } = require("../utils/session");
+const { assertCanLogin, canStartSession } = require("../utils/loginPolicy");
+const { checkCredentials } = require("../utils/loginGuard");
+const { queueVerificationEmail } = require("../utils/accountEmails");
+const { getCart, addCartItem, updateCartItem, removeCartItem, clearCart } = require("../services/cartService");
+const { placeOrder, checkoutCart } = require("../services/orderService");
+const { searchMenu, findNearbyRestaurants } = require("../services/searchService");
+const { availableSlots } = require("../services/slotService");
+const { createReview, listRestaurantReviews } = require("../services/reviewService");
+const { trackCourier } = require("../services/trackingService");
+const { toPoint } = require("../utils/geo");
+const { withOpeningStatus } = require("../utils/openingHours");
 
 // Customer Registration
 /**
@@ -89,10 +103,10 @@ customerRouter.post("/register", async (req, res) => {
             gender
         });
         const savedUser = await user.save();
-        const token = await savedUser.getJWT();
-        res.cookie("token", token, {
-            expires: new Date(Date.now() + 24 * 60 * 60 * 1000),
-        });
+        queueVerificationEmail(savedUser);
+        if (canStartSession(savedUser)) {
+            await startSession(req, res, savedUser);
+        }
 
         res.json({ message: "Customer registered successfully!", data: savedUser });
     } catch (err) {
@@ -150,24 +164,17 @@ customerRouter.post("/login", async (req, res) => {
     try {
         const { emailId, password } = req.body;
 
-        const user = await User.findOne({ emailId });
+        const user = await checkCredentials(req, res, emailId, password);
         if (!user || user.role !== "customer" || user.status !== "active") {
             throw new Error("Invalid credentials or inactive account");
         }
 
-        const isPasswordValid = await user.validatePassword(password);
-        if (!isPasswordValid) {
-            throw new Error("Invalid credentials");
-        }
-
-        const token = await user.getJWT();
-        res.cookie("token", token, {
-            expires: new Date(Date.now() + 8 * 3600000),
-        });
+        assertCanLogin(user);
+        await startSession(req, res, user);
 
         res.json(user);
     } catch (err) {
-        res.status(400).send("ERROR : " + err.message);
+        res.status(err.statusCode || 400).send("ERROR : " + err.message);
     }
 });
 
@@ -245,6 +252,8 @@ customerRouter.post("/login", async (req, res) => {
  *               isDefault:
  *                 type: boolean
  *                 example: true
+ *               location:
+ *                 $ref: '#/components/schemas/LatLng'
  *     responses:
  *       201:
  *         description: Address added successfully
@@ -289,7 +298,7 @@ customerRouter.post("/login", async (req, res) => {
  *                   type: string
  *                   example: "ERROR : Failed to save address"
  */
-customerRouter.post('/users/:userId/delivery-addresses', userAuth, async (req, res) => {
+customerRouter.post('/users/:userId/delivery-addresses', authorize(PERMISSIONS.ADDRESS_WRITE, { owner: ownerOfUser((req) => req.params.userId) }), async (req, res) => {
     try {
         const user = await User.findById(req.params.userId);
         if (!user) {
@@ -303,7 +312,8 @@ customerRouter.post('/users/:userId/delivery-addresses', userAuth, async (req, r
             }
         }
 
-        const { isDefault } = req.body;
+        const { isDefault, location } = req.body;
+        const point = location === undefined ? undefined : toPoint(location);
 
         if (isDefault) {
             // Ensure only one default address per user
@@ -316,11 +326,15 @@ customerRouter.post('/users/:userId/delivery-addresses', userAuth, async (req, r
         const newAddress = new DeliveryAddress({
             userId: user._id,
             ...req.body,
+            location: point,
         });
 
         await newAddress.save();
         res.status(201).json({ message: 'Delivery address added successfully', address: newAddress });
     } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
         console.error("Error saving delivery address:", error);
         res.status(500).json({ error: 'Internal server error' });
     }
@@ -384,6 +398,8 @@ customerRouter.post('/users/:userId/delivery-addresses', userAuth, async (req, r
  *               isDefault:
  *                 type: boolean
  *                 example: false
+ *               location:
+ *                 $ref: '#/components/schemas/LatLng'
  *     responses:
  *       200:
  *         description: Address updated successfully
@@ -418,10 +434,13 @@ customerRouter.post('/users/:userId/delivery-addresses', userAuth, async (req, r
  *                   type: string
  *                   example: "ERROR : Internal server error"
  */
-customerRouter.put('/users/:userId/delivery-addresses/:addressId', userAuth, async (req, res) => {
+customerRouter.put('/users/:userId/delivery-addresses/:addressId', authorize(PERMISSIONS.ADDRESS_WRITE, { owner: ownerOfUser((req) => req.params.userId) }), async (req, res) => {
     try {
         const { userId, addressId } = req.params;
         const updatedData = { ...req.body };
+        if (updatedData.location !== undefined) {
+            updatedData.location = toPoint(updatedData.location);
+        }
 
         const user = await User.findById(userId);
         if (!user) {
@@ -447,6 +466,9 @@ customerRouter.put('/users/:userId/delivery-addresses/:addressId', userAuth, asy
 
         res.status(200).json({ message: 'Address updated successfully', address: savedAddress });
     } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
         console.error('Error updating delivery address:', error.message);
         res.status(500).json({ error: 'Internal server error' });
     }
@@ -499,7 +521,7 @@ customerRouter.put('/users/:userId/delivery-addresses/:addressId', userAuth, asy
  *                   type: string
  *                   example: "ERROR : Address not found"
  */
-customerRouter.delete('/users/:userId/delivery-addresses/:addressId', userAuth, async (req, res) => {
+customerRouter.delete('/users/:userId/delivery-addresses/:addressId', authorize(PERMISSIONS.ADDRESS_WRITE, { owner: ownerOfUser((req) => req.params.userId) }), async (req, res) => {
     try {
         const { userId, addressId } = req.params;
 
@@ -546,10 +568,8 @@ customerRouter.delete('/users/:userId/delivery-addresses/:addressId', userAuth,
  *                   type: string
  *                   example: "ERROR : Failed to log out"
  */
-customerRouter.post("/logout", userAuth, (req, res) => {
-    res.cookie("token", null, {
-        expires: new Date(Date.now()),
-    });
+customerRouter.post("/logout", authorize(PERMISSIONS.SESSION_MANAGE), async (req, res) => {
+    await endSession(req, res);
     res.send("Logout successful!");
 });
 
@@ -559,7 +579,7 @@ customerRouter.post("/logout", userAuth, (req, res) => {
  * /api/customer/restaurants:
  *   get:
  *     summary: List all restaurants
- *     description: This endpoint retrieves all available restaurants.
+ *     description: This endpoint retrieves all available restaurants, with whether each one is open right now.
  *     tags: ["Customer"]
  *     responses:
  *       200:
@@ -581,10 +601,11 @@ customerRouter.post("/logout", userAuth, (req, res) => {
  *                   type: string
  *                   example: "ERROR : Failed to fetch restaurants"
  */
-customerRouter.get("/restaurants", userAuth, async (req, res) => {
+customerRouter.get("/restaurants", authorize(PERMISSIONS.RESTAURANT_READ), async (req, res) => {
     try {
-        const restaurants = await Restaurant.find({});
-        res.json(restaurants);
+        const restaurants = await Restaurant.find({}).lean();
+        const now = new Date();
+        res.json(restaurants.map((restaurant) => withOpeningStatus(restaurant, now)));
     } catch (error) {
         res.status(500).json({ error: "Failed to fetch restaurants" });
     }
@@ -595,33 +616,107 @@ customerRouter.get("/restaurants", userAuth, async (req, res) => {
  * @swagger
  * /api/customer/restaurants/search:
  *   get:
- *     summary: Search restaurants by menu or type
- *     description: This endpoint searches restaurants based on menu item name or restaurant type.
+ *     summary: Search menus and restaurants
+ *     description: Full-text search over menu item names and descriptions and over restaurant names and cuisines. Returns matching menu items with their restaurant, paginated, plus the number of matches per cuisine.
  *     tags: ["Customer"]
  *     parameters:
- *       - name: query
+ *       - name: q
  *         in: query
  *         required: false
- *         description: Search query for menu item name or restaurant type
+ *         description: Search words, e.g. a dish or restaurant name
  *         schema:
  *           type: string
  *           example: "Pizza"
- *       - name: filter
+ *       - name: cuisine
  *         in: query
  *         required: false
- *         description: Filter restaurants based on type (e.g., fast food, fine dining)
+ *         description: Only restaurants of these cuisines, comma separated
  *         schema:
  *           type: string
- *           example: "Italian"
+ *           example: "Italian,Chinese"
+ *       - name: minPrice
+ *         in: query
+ *         schema:
+ *           type: number
+ *       - name: maxPrice
+ *         in: query
+ *         schema:
+ *           type: number
+ *       - name: available
+ *         in: query
+ *         description: Only items that can be ordered right now (true) or only unavailable ones (false)
+ *         schema:
+ *           type: boolean
+ *       - name: sort
+ *         in: query
+ *         description: Defaults to relevance when searching with q, otherwise to price_asc
+ *         schema:
+ *           type: string
+ *           enum: [relevance, price_asc, price_desc]
+ *       - name: page
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *       - name: limit
+ *         in: query
+ *         description: Results per page, at most 50
+ *         schema:
+ *           type: integer
+ *           example: 10
  *     responses:
  *       200:
- *         description: List of restaurants based on search criteria
+ *         description: Matching menu items
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Restaurant'
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       _id:
+ *                         type: string
+ *                       itemName:
+ *                         type: string
+ *                         example: "Margherita Pizza"
+ *                       description:
+ *                         type: string
+ *                       price:
+ *                         type: number
+ *                         example: 8.5
+ *                       availability:
+ *                         type: boolean
+ *                       relevance:
+ *                         type: number
+ *                       restaurant:
+ *                         $ref: '#/components/schemas/Restaurant'
+ *                 page:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 totalResults:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 facets:
+ *                   type: object
+ *                   properties:
+ *                     cuisines:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           cuisine:
+ *                             type: string
+ *                             example: "Italian"
+ *                           count:
+ *                             type: integer
+ *                             example: 12
+ *       400:
+ *         description: Invalid filter
  *       500:
  *         description: Internal server error
  *         content:
@@ -633,23 +728,319 @@ customerRouter.get("/restaurants", userAuth, async (req, res) => {
  *                   type: string
  *                   example: "ERROR : Failed to search restaurants"
  */
-customerRouter.get("/restaurants/search", userAuth, async (req, res) => {
+customerRouter.get("/restaurants/search", authorize(PERMISSIONS.RESTAURANT_READ, PERMISSIONS.MENU_READ), async (req, res) => {
     try {
-        const { query, filter } = req.query;
-        const searchCriteria = { 
-            $or: [
-                { "menuItems.name": { $regex: query, $options: "i" } },
-                { type: { $regex: filter, $options: "i" } }
-            ]
-        };
-
-        const restaurants = await Restaurant.find(searchCriteria);
-        res.json(restaurants);
+        const { q, query, cuisine, filter, minPrice, maxPrice, available, sort, page, limit } = req.query;
+
+        // `query` and `filter` are the parameter names of the first version of this endpoint
+        const results = await searchMenu({
+            q: q ?? query,
+            cuisine: cuisine ?? filter,
+            minPrice,
+            maxPrice,
+            available,
+            sort,
+            page,
+            limit,
+        });
+        res.json(results);
     } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
         res.status(500).json({ error: "Failed to search menus" });
     }
 });
 
+/**
+ * @swagger
+ * /api/customer/restaurants/nearby:
+ *   get:
+ *     summary: Restaurants that deliver to an address
+ *     description: Lists the restaurants whose delivery area contains the given saved address or coordinates, nearest first. Restaurants without a location and delivery area are not listed.
+ *     tags: ["Customer"]
+ *     parameters:
+ *       - name: addressId
+ *         in: query
+ *         description: One of the customer's delivery addresses; it needs a location
+ *         schema:
+ *           type: string
+ *       - name: lat
+ *         in: query
+ *         description: Latitude, used together with lng when no addressId is given
+ *         schema:
+ *           type: number
+ *           example: 28.6304
+ *       - name: lng
+ *         in: query
+ *         description: Longitude, used together with lat when no addressId is given
+ *         schema:
+ *           type: number
+ *           example: 77.2177
+ *       - name: maxDistanceKm
+ *         in: query
+ *         description: Only restaurants at most this far away
+ *         schema:
+ *           type: number
+ *           example: 10
+ *       - name: limit
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 50
+ *     responses:
+ *       200:
+ *         description: Restaurants delivering to the location, nearest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 location:
+ *                   $ref: '#/components/schemas/GeoPoint'
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Restaurant'
+ *                       - type: object
+ *                         properties:
+ *                           distanceKm:
+ *                             type: number
+ *                             example: 2.35
+ *       400:
+ *         description: Missing or invalid location, or the address has no location
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: "Provide addressId or lat and lng"
+ *       404:
+ *         description: Delivery address not found
+ *       500:
+ *         description: Internal server error
+ */
+customerRouter.get("/restaurants/nearby", authorize(PERMISSIONS.RESTAURANT_READ), async (req, res) => {
+    try {
+        const { addressId, lat, lng, maxDistanceKm, limit } = req.query;
+        const results = await findNearbyRestaurants(req.user._id, { addressId, lat, lng, maxDistanceKm, limit });
+        res.json(results);
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        res.status(500).json({ error: "Failed to find nearby restaurants" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/customer/restaurants/{restaurantId}/slots:
+ *   get:
+ *     summary: Available delivery slots of a restaurant
+ *     description: Future delivery slots that still have room, for booking a pre-order with slotId. The window defaults to the next seven days.
+ *     tags: ["Customer"]
+ *     parameters:
+ *       - name: restaurantId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: from
+ *         in: query
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - name: to
+ *         in: query
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: Bookable slots, earliest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       slotId:
+ *                         type: string
+ *                       startsAt:
+ *                         type: string
+ *                         format: date-time
+ *                       endsAt:
+ *                         type: string
+ *                         format: date-time
+ *                       remaining:
+ *                         type: integer
+ *                         example: 4
+ *       400:
+ *         description: Invalid restaurant ID or window
+ *       500:
+ *         description: Internal server error
+ */
+customerRouter.get("/restaurants/:restaurantId/slots", authorize(PERMISSIONS.RESTAURANT_READ), async (req, res) => {
+    try {
+        const slots = await availableSlots(req.params.restaurantId, { from: req.query.from, to: req.query.to });
+        res.json({ data: slots });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        res.status(500).json({ error: "Failed to fetch delivery slots" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/customer/restaurants/{restaurantId}/reviews:
+ *   get:
+ *     tags: ["Customer"]
+ *     summary: Reviews of a restaurant
+ *     description: Visible reviews with the restaurant's replies, newest first, and the restaurant's average rating.
+ *     parameters:
+ *       - name: restaurantId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: page
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - name: limit
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Reviews of the restaurant
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 rating:
+ *                   $ref: '#/components/schemas/RatingSummary'
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Review'
+ *                 page:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 totalResults:
+ *                   type: integer
+ *       400:
+ *         description: Invalid restaurant ID
+ *       404:
+ *         description: Restaurant not found
+ */
+customerRouter.get("/restaurants/:restaurantId/reviews", authorize(PERMISSIONS.RESTAURANT_READ), async (req, res) => {
+    try {
+        const reviews = await listRestaurantReviews(req.params.restaurantId, { page: req.query.page, limit: req.query.limit });
+        res.json(reviews);
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        res.status(500).json({ error: "Failed to fetch reviews" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/customer/orders/{orderId}/review:
+ *   post:
+ *     tags: ["Customer"]
+ *     summary: Review a delivered order
+ *     description: >
+ *       Rates the restaurant and, optionally, some of the ordered items and the courier, from 1 to 5.
+ *       Each order can be reviewed once, after it was delivered. The ratings count towards the
+ *       average ratings of the restaurant and the menu items.
+ *     parameters:
+ *       - name: orderId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [rating]
+ *             properties:
+ *               rating:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 5
+ *                 example: 4
+ *               comment:
+ *                 type: string
+ *                 example: "Hot and on time"
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     orderItem:
+ *                       type: string
+ *                       description: ID of an order item of this order
+ *                     rating:
+ *                       type: integer
+ *                       example: 5
+ *                     comment:
+ *                       type: string
+ *               courier:
+ *                 type: object
+ *                 properties:
+ *                   rating:
+ *                     type: integer
+ *                     example: 5
+ *                   comment:
+ *                     type: string
+ *     responses:
+ *       201:
+ *         description: Review recorded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Review'
+ *       400:
+ *         description: Invalid ratings or items
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: The order is not delivered yet or was already reviewed
+ */
+customerRouter.post("/orders/:orderId/review", authorize(PERMISSIONS.REVIEW_WRITE, { owner: ownerOfOrder((req) => req.params.orderId) }), async (req, res) => {
+    try {
+        const { rating, comment, items, courier } = req.body;
+        const review = await createReview(req.params.orderId, req.user, { rating, comment, items, courier });
+        res.status(201).json(review);
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        res.status(500).json({ error: "Failed to save review" });
+    }
+});
+
 // Place an Order
 // customerRouter.post("/orders", userAuth, async (req, res) => {
 //     try {
@@ -678,8 +1069,10 @@ customerRouter.get("/restaurants/search", userAuth, async (req, res) => {
  * /api/customer/orders:
  *   post:
  *     summary: Place a new order
- *     description: This endpoint allows customers to place a new order.
+ *     description: This endpoint allows customers to place a new order. Prices are taken from the menu and stored with each order item, the total is calculated from them.
  *     tags: ["Customer"]
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -695,15 +1088,32 @@ customerRouter.get("/restaurants/search", userAuth, async (req, res) => {
  *                 items:
  *                   type: object
  *                   properties:
- *                     itemId:
+ *                     menuItem:
  *                       type: string
  *                       example: "60d7c87b7393f7d6d0a56d89"
  *                     quantity:
  *                       type: integer
  *                       example: 2
+ *                     modifiers:
+ *                       type: array
+ *                       description: IDs of the modifier options picked
+ *                       items:
+ *                         type: string
+ *               deliveryTime:
+ *                 type: string
+ *                 format: date-time
+ *                 example: "2024-11-17T11:00:00Z"
+ *               slotId:
+ *                 type: string
+ *                 description: Delivery slot to book instead of a deliveryTime; the order stays Scheduled until it is released to the kitchen
+ *                 example: "60d7c87b7393f7d6d0a56e01"
  *               deliveryAddressId:
  *                 type: string
  *                 example: "60d7c87b7393f7d6d0a56d97"
+ *               paymentMethod:
+ *                 type: string
+ *                 description: Payment method token from the gateway; the total is authorized now and captured on delivery
+ *                 example: "mock_card"
  *     responses:
  *       201:
  *         description: Order placed successfully
@@ -717,6 +1127,18 @@ customerRouter.get("/restaurants/search", userAuth, async (req, res) => {
  *                   example: "Order placed successfully"
  *                 order:
  *                   $ref: '#/components/schemas/Order'
+ *                 payment:
+ *                   $ref: '#/components/schemas/Payment'
+ *       402:
+ *         description: Payment declined
+ *       502:
+ *         description: The payment gateway could not be reached
+ *       404:
+ *         description: Restaurant, menu item or delivery address not found
+ *       409:
+ *         description: A menu item is not available, or the delivery slot is full
+ *       422:
+ *         description: The restaurant does not deliver to this address, or is closed at the requested time
  *       400:
  *         description: Missing or invalid request data
  *         content:
@@ -738,27 +1160,287 @@ customerRouter.get("/restaurants/search", userAuth, async (req, res) => {
  *                   type: string
  *                   example: "ERROR : Failed to place order"
  */
-customerRouter.post("/orders", userAuth, async (req, res) => {
+customerRouter.post("/orders", authorize(PERMISSIONS.ORDER_CREATE), idempotency(), async (req, res) => {
     try {
-        console.log(req.body); // Check the received request body
-        const { restaurantId, items, deliveryAddressId } = req.body;
+        const { restaurantId, items, deliveryTime, deliveryAddressId, slotId, paymentMethod } = req.body;
 
-        const newOrder = new Order({
-            userId: req.user._id,
+        const { order, payment } = await placeOrder({
+            customerId: req.user._id,
             restaurantId,
             items,
+            deliveryTime,
             deliveryAddressId,
-            status: "preparing"
+            slotId,
+            paymentMethod,
+            actor: req.user,
         });
+        res.status(201).json({ message: "Order placed successfully", order, payment });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error(error);
+        res.status(500).json({ error: "Failed to place order" });
+    }
+});
+
+
+// Shopping Cart
+/**
+ * @swagger
+ * /api/customer/cart:
+ *   get:
+ *     summary: View the cart
+ *     description: Returns the cart of the logged in customer with the prices captured when the items were added.
+ *     tags: ["Customer"]
+ *     responses:
+ *       200:
+ *         description: Current cart
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Cart'
+ *       500:
+ *         description: Internal server error
+ *   delete:
+ *     summary: Empty the cart
+ *     tags: ["Customer"]
+ *     responses:
+ *       200:
+ *         description: Cart emptied
+ *       500:
+ *         description: Internal server error
+ */
+customerRouter.get("/cart", authorize(PERMISSIONS.CART_MANAGE), async (req, res) => {
+    try {
+        res.json(await getCart(req.user._id));
+    } catch (error) {
+        res.status(500).json({ error: "Failed to fetch cart" });
+    }
+});
+
+customerRouter.delete("/cart", authorize(PERMISSIONS.CART_MANAGE), async (req, res) => {
+    try {
+        await clearCart(req.user._id);
+        res.json({ message: "Cart emptied" });
+    } catch (error) {
+        res.status(500).json({ error: "Failed to empty cart" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/customer/cart/items:
+ *   post:
+ *     summary: Add an item to the cart
+ *     description: Adds a menu item with the options picked from its modifier groups, or increases the quantity of the line with the same item and options. A cart holds items of one restaurant only.
+ *     tags: ["Customer"]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               menuItemId:
+ *                 type: string
+ *                 example: "60d7c87b7393f7d6d0a56d89"
+ *               quantity:
+ *                 type: integer
+ *                 example: 2
+ *               modifiers:
+ *                 type: array
+ *                 description: IDs of the modifier options picked
+ *                 items:
+ *                   type: string
+ *                 example: ["60d7c87b7393f7d6d0a56f01"]
+ *     responses:
+ *       200:
+ *         description: Updated cart
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Cart'
+ *       400:
+ *         description: Invalid quantity, or the options do not fit the item's modifier groups
+ *       404:
+ *         description: Menu item not found
+ *       409:
+ *         description: Item or option not available, or the cart has items from another restaurant
+ */
+customerRouter.post("/cart/items", authorize(PERMISSIONS.CART_MANAGE), async (req, res) => {
+    try {
+        const { menuItemId, quantity = 1, modifiers = [] } = req.body;
+        res.json(await addCartItem(req.user._id, menuItemId, quantity, modifiers));
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : "Failed to update cart" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/customer/cart/items/{lineId}:
+ *   patch:
+ *     summary: Change the quantity of a cart item
+ *     tags: ["Customer"]
+ *     parameters:
+ *       - name: lineId
+ *         in: path
+ *         required: true
+ *         description: ID of the cart line, or the menu item ID when the item is in the cart only once
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               quantity:
+ *                 type: integer
+ *                 example: 3
+ *     responses:
+ *       200:
+ *         description: Updated cart
+ *       400:
+ *         description: Invalid quantity
+ *       404:
+ *         description: Item is not in the cart
+ *       409:
+ *         description: The item is in the cart with different options, use the line ID
+ *   delete:
+ *     summary: Remove an item from the cart
+ *     tags: ["Customer"]
+ *     parameters:
+ *       - name: lineId
+ *         in: path
+ *         required: true
+ *         description: ID of the cart line, or the menu item ID when the item is in the cart only once
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Updated cart
+ *       404:
+ *         description: Item is not in the cart
+ *       409:
+ *         description: The item is in the cart with different options, use the line ID
+ */
+customerRouter.patch("/cart/items/:lineId", authorize(PERMISSIONS.CART_MANAGE), async (req, res) => {
+    try {
+        res.json(await updateCartItem(req.user._id, req.params.lineId, req.body.quantity));
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : "Failed to update cart" });
+    }
+});
 
-        const savedOrder = await newOrder.save();
-        res.status(201).json({ message: "Order placed successfully", order: savedOrder });
+customerRouter.delete("/cart/items/:lineId", authorize(PERMISSIONS.CART_MANAGE), async (req, res) => {
+    try {
+        res.json(await removeCartItem(req.user._id, req.params.lineId));
     } catch (error) {
-        console.error(error); // Log the detailed error
-        res.status(500).json({ error: "Failed to place order", details: error.message });
+        res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : "Failed to update cart" });
     }
 });
 
+/**
+ * @swagger
+ * /api/customer/cart/checkout:
+ *   post:
+ *     summary: Check out the cart
+ *     description: Re-checks every item against the menu, authorizes the total with the payment gateway and places the order in a single transaction. When a price or availability changed since the item was added, the cart is updated and the checkout is refused with the list of changes. The payment is captured on delivery and refunded if the order is cancelled.
+ *     tags: ["Customer"]
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               deliveryTime:
+ *                 type: string
+ *                 format: date-time
+ *                 example: "2024-11-17T11:00:00Z"
+ *               slotId:
+ *                 type: string
+ *                 description: Delivery slot to book instead of a deliveryTime; the order stays Scheduled until it is released to the kitchen
+ *                 example: "60d7c87b7393f7d6d0a56e01"
+ *               deliveryAddressId:
+ *                 type: string
+ *                 example: "60d7c87b7393f7d6d0a56d97"
+ *               paymentMethod:
+ *                 type: string
+ *                 description: Payment method token from the gateway. With the mock gateway any value works except ones containing "declined" or "insufficient".
+ *                 example: "mock_card"
+ *               tip:
+ *                 type: number
+ *                 description: Tip for the courier, authorized together with the order and paid to the courier on delivery
+ *                 example: 20
+ *     responses:
+ *       201:
+ *         description: Order placed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Order placed successfully"
+ *                 order:
+ *                   $ref: '#/components/schemas/Order'
+ *                 payment:
+ *                   $ref: '#/components/schemas/Payment'
+ *       400:
+ *         description: Cart is empty or invalid delivery time
+ *       402:
+ *         description: Payment declined
+ *       502:
+ *         description: The payment gateway could not be reached
+ *       422:
+ *         description: The restaurant does not deliver to this address, or is closed at the requested time
+ *       409:
+ *         description: Items changed since they were added (listed in details), or the delivery slot is full
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                 details:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       lineId:
+ *                         type: string
+ *                       menuItem:
+ *                         type: string
+ *                       itemName:
+ *                         type: string
+ *                       change:
+ *                         type: string
+ *                         enum: [removed, unavailable, options-changed, price-changed]
+ *                       oldPrice:
+ *                         type: number
+ *                       newPrice:
+ *                         type: number
+ */
+customerRouter.post("/cart/checkout", authorize(PERMISSIONS.ORDER_CREATE, PERMISSIONS.CART_MANAGE), idempotency(), async (req, res) => {
+    try {
+        const { deliveryTime, deliveryAddressId, slotId, paymentMethod, tip } = req.body;
+        const { order, payment } = await checkoutCart(req.user, { deliveryTime, deliveryAddressId, slotId, paymentMethod, tip });
+        res.status(201).json({ message: "Order placed successfully", order, payment });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message, details: error.details });
+        }
+        console.error(error);
+        res.status(500).json({ error: "Failed to place order" });
+    }
+});
 
 // Track Orders
 /**
@@ -766,7 +1448,7 @@ customerRouter.post("/orders", userAuth, async (req, res) => {
  * /api/customer/orders/{orderId}/track:
  *   get:
  *     summary: Track an order's status
- *     description: This endpoint tracks the status of an order.
+ *     description: Returns the current status of an order, the timeline of every status change and, once a courier has the order, the handoff code to give them at the door.
  *     tags: ["Customer"]
  *     parameters:
  *       - name: orderId
@@ -784,9 +1466,37 @@ customerRouter.post("/orders", userAuth, async (req, res) => {
  *             schema:
  *               type: object
  *               properties:
+ *                 orderId:
+ *                   type: string
  *                 status:
  *                   type: string
  *                   example: "Preparing"
+ *                 deliveryTime:
+ *                   type: string
+ *                   format: date-time
+ *                 handoffCode:
+ *                   type: string
+ *                   description: Code to give the courier at the door, shown to the customer only while the order is on its way
+ *                   example: "4821"
+ *                 timeline:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       status:
+ *                         type: string
+ *                         example: "Accepted"
+ *                       from:
+ *                         type: string
+ *                         example: "Pending"
+ *                       actorRole:
+ *                         type: string
+ *                         example: "restaurant"
+ *                       reason:
+ *                         type: string
+ *                       changedAt:
+ *                         type: string
+ *                         format: date-time
  *       404:
  *         description: Order not found or unauthorized access
  *         content:
@@ -808,19 +1518,76 @@ customerRouter.post("/orders", userAuth, async (req, res) => {
  *                   type: string
  *                   example: "ERROR : Failed to fetch order status"
  */
-customerRouter.get("/orders/:orderId/track", userAuth, async (req, res) => {
+customerRouter.get("/orders/:orderId/track", authorize(PERMISSIONS.ORDER_READ, { owner: ownerOfOrder((req) => req.params.orderId) }), async (req, res) => {
     try {
-        const order = await Order.findById(req.params.orderId);
-        if (!order || order.userId.toString() !== req.user._id.toString()) {
+        const order = await Order.findById(req.params.orderId).select("+handoffCode");
+        if (!order) {
             return res.status(404).json({ error: "Order not found" });
         }
 
-        res.json({ status: order.status });
+        res.json({
+            orderId: order._id,
+            status: order.orderStatus,
+            deliveryTime: order.deliveryTime,
+            // The customer's proof of delivery: kept from the restaurant, and only needed until the handover
+            handoffCode: order.customer.equals(req.user._id) && ["Accepted", "Preparing", "OutForDelivery"].includes(order.orderStatus)
+                ? order.handoffCode
+                : undefined,
+            timeline: order.statusHistory.map(({ from, status, actorRole, reason, changedAt }) => ({
+                status,
+                from,
+                actorRole,
+                reason,
+                changedAt,
+            })),
+        });
     } catch (error) {
         res.status(500).json({ error: "Failed to track order" });
     }
 });
 
+/**
+ * @swagger
+ * /api/customer/orders/{orderId}/courier:
+ *   get:
+ *     summary: Follow the courier of an order
+ *     description: >
+ *       Returns the courier's last known position and an arrival estimate recomputed from it: through the
+ *       restaurant before pickup, straight to the delivery address once out for delivery. position is null
+ *       until the courier has reported one, and etaMinutes is null when the order is not under way or a
+ *       location is missing.
+ *     tags: ["Customer"]
+ *     parameters:
+ *       - name: orderId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Courier position and ETA
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CourierTracking'
+ *       400:
+ *         description: Invalid order ID
+ *       404:
+ *         description: Order not found
+ *       500:
+ *         description: Internal server error
+ */
+customerRouter.get("/orders/:orderId/courier", authorize(PERMISSIONS.ORDER_READ, { owner: ownerOfOrder((req) => req.params.orderId) }), async (req, res) => {
+    try {
+        res.json(await trackCourier(req.params.orderId));
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        res.status(500).json({ error: "Failed to track courier" });
+    }
+});
+
 // View Order History
 /**
  * @swagger
@@ -849,7 +1616,7 @@ customerRouter.get("/orders/:orderId/track", userAuth, async (req, res) => {
  *                   type: string
  *                   example: "ERROR : Failed to fetch order history"
  */
-customerRouter.get("/orders/history", userAuth, async (req, res) => {
+customerRouter.get("/orders/history", authorize(PERMISSIONS.ORDER_READ), async (req, res) => {
     try {
         const orders = await Order.find({ userId: req.user._id });
         res.json(orders);
@@ -4,12 +4,22 @@ const {
   loginPersonnel,
   getAvailableOrders,
   acceptOrder,
+  declineOrder,
   updateDeliveryStatus,
+  submitHandoffCode,
+  submitDeliveryPhoto,
+  getMyDeliveries,
   setAvailability,
+  recordLocation,
+  getEarnings,
+  getEarningsLedger,
   createOrder,
   getAllDeliveryPersonnel,
 } = require('../controllers/deliveryController');
-const { protect } = require('../middlewares/authMiddleware');
+const { authorize, ownerOfUser } = require('../middlewares/authorize');
+const { idempotency } = require('../middlewares/idempotency');
+const { imageUpload } = require('../middlewares/imageUpload');
+const { PERMISSIONS } = require('../configuration/permissions');
 
 const deliveryRouter = express.Router();
 
@@ -33,15 +43,21 @@ const deliveryRouter = express.Router();
  *               lastName:
  *                 type: string
  *                 example: "Doe"
- *               email:
+ *               emailId:
  *                 type: string
  *                 example: "john.doe@example.com"
- *               phoneNumber:
- *                 type: string
- *                 example: "1234567890"
  *               password:
  *                 type: string
- *                 example: "password123"
+ *                 example: "John.Doe123"
+ *               gender:
+ *                 type: string
+ *                 example: "male"
+ *               contactDetails:
+ *                 type: string
+ *                 example: "123-456-7890"
+ *               vehicleType:
+ *                 type: string
+ *                 example: "Motorcycle"
  *     responses:
  *       201:
  *         description: Personnel registered successfully
@@ -58,7 +74,7 @@ deliveryRouter.post('/register', registerPersonnel);
  *   post:
  *     tags: ["Delivery Personnel"]
  *     summary: Login for delivery personnel
- *     description: Allows a delivery personnel to log in to the system.
+ *     description: Allows a delivery personnel to log in to the system. The returned token can be sent as a Bearer token or used through the cookie that is set.
  *     requestBody:
  *       required: true
  *       content:
@@ -66,12 +82,12 @@ deliveryRouter.post('/register', registerPersonnel);
  *           schema:
  *             type: object
  *             properties:
- *               email:
+ *               emailId:
  *                 type: string
  *                 example: "john.doe@example.com"
  *               password:
  *                 type: string
- *                 example: "password123"
+ *                 example: "John.Doe123"
  *     responses:
  *       200:
  *         description: Successfully logged in
@@ -95,23 +111,40 @@ deliveryRouter.post('/login', loginPersonnel);
  * /api/delivery/orders:
  *   get:
  *     tags: ["Delivery Personnel"]
- *     summary: Get available orders for delivery personnel
- *     description: Fetches a list of available orders that can be accepted by delivery personnel.
+ *     summary: Get the orders offered to the courier
+ *     description: >
+ *       Lists the orders the dispatch service currently offers to this courier, each with its offer.
+ *       Offers expire after DISPATCH_OFFER_TIMEOUT_SECONDS (60 by default), after which the order is
+ *       offered to the next courier.
  *     responses:
  *       200:
- *         description: List of available orders
+ *         description: Orders offered to the courier
  *         content:
  *           application/json:
  *             schema:
  *               type: array
  *               items:
- *                 $ref: '#/components/schemas/Order'
+ *                 allOf:
+ *                   - $ref: '#/components/schemas/Order'
+ *                   - type: object
+ *                     properties:
+ *                       offer:
+ *                         type: object
+ *                         properties:
+ *                           _id:
+ *                             type: string
+ *                           expiresAt:
+ *                             type: string
+ *                             format: date-time
+ *                           distanceKm:
+ *                             type: number
+ *                             example: 1.8
  *       401:
  *         description: Unauthorized access
  *       500:
  *         description: Internal server error
  */
-deliveryRouter.get('/orders', protect, getAvailableOrders);
+deliveryRouter.get('/orders', authorize(PERMISSIONS.DELIVERY_ACCEPT), getAvailableOrders);
 
 /**
  * @swagger
@@ -119,7 +152,7 @@ deliveryRouter.get('/orders', protect, getAvailableOrders);
  *   put:
  *     tags: ["Delivery Personnel"]
  *     summary: Accept an order for delivery
- *     description: Allows a delivery personnel to accept a specific order.
+ *     description: Allows a delivery personnel to accept an order offered to them. A Pending order is accepted on the way.
  *     parameters:
  *       - name: id
  *         in: path
@@ -131,19 +164,54 @@ deliveryRouter.get('/orders', protect, getAvailableOrders);
  *       200:
  *         description: Order accepted successfully
  *       400:
- *         description: Invalid order ID or order already accepted
+ *         description: Invalid order ID
+ *       403:
+ *         description: Not a courier, or currently unavailable
+ *       409:
+ *         description: The order is not offered to this courier or the offer expired
+ *       500:
+ *         description: Internal server error
+ */
+deliveryRouter.put('/orders/:id/accept', authorize(PERMISSIONS.DELIVERY_ACCEPT), acceptOrder);
+
+/**
+ * @swagger
+ * /api/delivery/orders/{id}/decline:
+ *   put:
+ *     tags: ["Delivery Personnel"]
+ *     summary: Decline an offered order
+ *     description: Hands an offered order back to dispatch, which offers it to the next courier.
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: The ID of the order to decline
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Order declined
+ *       400:
+ *         description: Invalid order ID
+ *       409:
+ *         description: The order is not offered to this courier
  *       500:
  *         description: Internal server error
  */
-deliveryRouter.put('/orders/:id/accept', protect, acceptOrder);
+deliveryRouter.put('/orders/:id/decline', authorize(PERMISSIONS.DELIVERY_ACCEPT), declineOrder);
 
 /**
  * @swagger
  * /api/delivery/orders/{id}/status:
  *   put:
  *     tags: ["Delivery Personnel"]
- *     summary: Update the status of an order
- *     description: Allows a delivery personnel to update the status of an order (e.g., "in progress", "delivered").
+ *     summary: Update the status of a delivery
+ *     description: >
+ *       Moves the courier's delivery of the order from Pending to PickedUp at the restaurant, then EnRoute and
+ *       Delivered, recording the pickup and drop-off times. The order follows: PickedUp moves it from
+ *       Preparing to OutForDelivery and Delivered to Delivered, both recorded in its status history.
+ *       OutForDelivery is accepted as PickedUp for older courier apps. Delivered needs proof of delivery
+ *       first, the customer's handoff code or a photo of the drop-off.
  *     parameters:
  *       - name: id
  *         in: path
@@ -160,16 +228,177 @@ deliveryRouter.put('/orders/:id/accept', protect, acceptOrder);
  *             properties:
  *               status:
  *                 type: string
- *                 example: "delivered"
+ *                 enum: [PickedUp, EnRoute, Delivered]
+ *                 example: "PickedUp"
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Delivery status updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 delivery:
+ *                   $ref: '#/components/schemas/Delivery'
+ *                 order:
+ *                   $ref: '#/components/schemas/Order'
+ *       400:
+ *         description: Invalid status or order ID
+ *       403:
+ *         description: The delivery belongs to another courier
+ *       404:
+ *         description: The order has no delivery
+ *       409:
+ *         description: The delivery or the order cannot move to this status from its current one, or proof of delivery is missing
+ *       500:
+ *         description: Internal server error
+ */
+deliveryRouter.put('/orders/:id/status', authorize(PERMISSIONS.ORDER_STATUS_UPDATE), updateDeliveryStatus);
+
+/**
+ * @swagger
+ * /api/delivery/orders/{id}/handoff-code:
+ *   put:
+ *     tags: ["Delivery Personnel"]
+ *     summary: Submit the customer's handoff code
+ *     description: >
+ *       Checks the 4 digit code the customer sees on their order and records it as proof of delivery.
+ *       Wrong codes are logged as security events; after HANDOFF_MAX_FAILURES (5) in a row codes are
+ *       refused for HANDOFF_LOCK_MINUTES (15), a photo can still be uploaded.
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: The ID of the order
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code]
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "4821"
+ *     responses:
+ *       200:
+ *         description: Code accepted, the delivery can be completed
+ *       400:
+ *         description: Not a 4 digit code, or invalid order ID
+ *       403:
+ *         description: The delivery belongs to another courier
+ *       404:
+ *         description: The order has no delivery
+ *       409:
+ *         description: The order is not picked up yet
+ *       422:
+ *         description: Wrong code
+ *       429:
+ *         description: Too many wrong codes
+ *       500:
+ *         description: Internal server error
+ */
+deliveryRouter.put('/orders/:id/handoff-code', authorize(PERMISSIONS.ORDER_STATUS_UPDATE), submitHandoffCode);
+
+/**
+ * @swagger
+ * /api/delivery/orders/{id}/proof-photo:
+ *   put:
+ *     tags: ["Delivery Personnel"]
+ *     summary: Upload a photo of a contactless drop-off
+ *     description: Stores a photo of the order at the door as proof of delivery, instead of the handoff code. A new photo replaces the previous one.
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: The ID of the order
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [photo]
+ *             properties:
+ *               photo:
+ *                 type: string
+ *                 format: binary
  *     responses:
  *       200:
- *         description: Order status updated successfully
+ *         description: Photo stored, the delivery can be completed
  *       400:
- *         description: Invalid status or order not found
+ *         description: No photo or not a readable image
+ *       403:
+ *         description: The delivery belongs to another courier
+ *       404:
+ *         description: The order has no delivery
+ *       409:
+ *         description: The order is not picked up yet
+ *       413:
+ *         description: The photo is too large
+ *       415:
+ *         description: Unsupported image type
  *       500:
  *         description: Internal server error
  */
-deliveryRouter.put('/orders/:id/status', protect, updateDeliveryStatus);
+deliveryRouter.put('/orders/:id/proof-photo', authorize(PERMISSIONS.ORDER_STATUS_UPDATE), imageUpload('photo'), submitDeliveryPhoto);
+
+/**
+ * @swagger
+ * /api/delivery/deliveries:
+ *   get:
+ *     tags: ["Delivery Personnel"]
+ *     summary: Get the courier's deliveries
+ *     description: Lists the courier's own deliveries with their orders, newest first. Active ones are Pending, PickedUp or EnRoute; past ones Delivered or Cancelled.
+ *     parameters:
+ *       - name: scope
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [active, past]
+ *       - name: page
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - name: limit
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: The courier's deliveries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Delivery'
+ *                 page:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 totalResults:
+ *                   type: integer
+ *       400:
+ *         description: Invalid scope
+ *       500:
+ *         description: Internal server error
+ */
+deliveryRouter.get('/deliveries', authorize(PERMISSIONS.DELIVERY_ACCEPT), getMyDeliveries);
 
 /**
  * @swagger
@@ -177,7 +406,7 @@ deliveryRouter.put('/orders/:id/status', protect, updateDeliveryStatus);
  *   put:
  *     tags: ["Delivery Personnel"]
  *     summary: Set delivery personnel availability
- *     description: Allows a delivery personnel to set their availability status for taking orders.
+ *     description: Allows a delivery personnel to set their availability status for taking orders, and their current position used by dispatch. Going unavailable hands back open offers.
  *     requestBody:
  *       required: true
  *       content:
@@ -185,9 +414,11 @@ deliveryRouter.put('/orders/:id/status', protect, updateDeliveryStatus);
  *           schema:
  *             type: object
  *             properties:
- *               available:
+ *               isAvailable:
  *                 type: boolean
  *                 example: true
+ *               location:
+ *                 $ref: '#/components/schemas/LatLng'
  *     responses:
  *       200:
  *         description: Availability status updated successfully
@@ -196,7 +427,163 @@ deliveryRouter.put('/orders/:id/status', protect, updateDeliveryStatus);
  *       500:
  *         description: Internal server error
  */
-deliveryRouter.put('/availability', protect, setAvailability);
+deliveryRouter.put('/availability', authorize(PERMISSIONS.DELIVERY_AVAILABILITY), setAvailability);
+
+/**
+ * @swagger
+ * /api/delivery/location:
+ *   post:
+ *     tags: ["Delivery Personnel"]
+ *     summary: Send a GPS ping
+ *     description: >
+ *       Records the courier's position while they carry at least one order; customers follow it on the
+ *       tracking endpoint. Pings buffered while offline may be sent late with their recordedAt (up to an
+ *       hour old), and count for the orders the courier had at that time. Pings are kept for
+ *       COURIER_LOCATION_TTL_DAYS (7 by default).
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [location]
+ *             properties:
+ *               location:
+ *                 $ref: '#/components/schemas/LatLng'
+ *               accuracyMeters:
+ *                 type: number
+ *                 example: 12
+ *               speedKmh:
+ *                 type: number
+ *                 example: 18.5
+ *               heading:
+ *                 type: number
+ *                 description: Degrees clockwise from north
+ *                 example: 270
+ *               recordedAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: When the position was taken, now by default
+ *     responses:
+ *       201:
+ *         description: Location recorded
+ *       400:
+ *         description: Invalid location or timestamp
+ *       403:
+ *         description: Not a courier
+ *       409:
+ *         description: The courier carried no order when the ping was taken
+ *       500:
+ *         description: Internal server error
+ */
+deliveryRouter.post('/location', authorize(PERMISSIONS.COURIER_LOCATION_WRITE), recordLocation);
+
+/**
+ * @swagger
+ * /api/delivery/earnings:
+ *   get:
+ *     tags: ["Delivery Personnel"]
+ *     summary: Get the courier's earnings
+ *     description: >
+ *       Sums the courier's delivery fees, tips and adjustments per day and per ISO week, the last 28 days by
+ *       default. Each delivery earns COURIER_BASE_FEE plus COURIER_FEE_PER_KM per km from restaurant to
+ *       customer. balance is what was earned and not yet paid out.
+ *     parameters:
+ *       - name: from
+ *         in: query
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - name: to
+ *         in: query
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - name: timeZone
+ *         in: query
+ *         description: Time zone the days and weeks are counted in, DEFAULT_TIME_ZONE by default
+ *         schema:
+ *           type: string
+ *           example: "Asia/Kolkata"
+ *     responses:
+ *       200:
+ *         description: Earnings summary
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 currency:
+ *                   type: string
+ *                   example: "INR"
+ *                 timeZone:
+ *                   type: string
+ *                 from:
+ *                   type: string
+ *                   format: date-time
+ *                 to:
+ *                   type: string
+ *                   format: date-time
+ *                 totals:
+ *                   $ref: '#/components/schemas/EarningsPeriod'
+ *                 balance:
+ *                   type: number
+ *                   example: 1280
+ *                 daily:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/EarningsPeriod'
+ *                 weekly:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/EarningsPeriod'
+ *       400:
+ *         description: Invalid period or time zone
+ *       500:
+ *         description: Internal server error
+ */
+deliveryRouter.get('/earnings', authorize(PERMISSIONS.EARNINGS_READ), getEarnings);
+
+/**
+ * @swagger
+ * /api/delivery/earnings/ledger:
+ *   get:
+ *     tags: ["Delivery Personnel"]
+ *     summary: Get the courier's ledger
+ *     description: Lists the entries of the courier's earnings ledger, newest first. Payouts are negative entries.
+ *     parameters:
+ *       - name: page
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - name: limit
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Ledger entries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CourierLedgerEntry'
+ *                 page:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 totalResults:
+ *                   type: integer
+ *       500:
+ *         description: Internal server error
+ */
+deliveryRouter.get('/earnings/ledger', authorize(PERMISSIONS.EARNINGS_READ), getEarningsLedger);
 
 /**
  * @swagger
@@ -205,6 +592,8 @@ deliveryRouter.put('/availability', protect, setAvailability);
  *     tags: ["Delivery Personnel"]
  *     summary: Create a new order
  *     description: Allows a customer to create a new order, which will be assigned to a delivery personnel.
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -215,30 +604,71 @@ deliveryRouter.put('/availability', protect, setAvailability);
  *               customerId:
  *                 type: string
  *                 example: "605c72ef1532075ab5c7dbd"
+ *               restaurantId:
+ *                 type: string
+ *                 example: "60d7c87b7393f7d6d0a56d88"
  *               items:
  *                 type: array
  *                 items:
- *                   type: string
- *                   example: "item1, item2"
- *               totalPrice:
- *                 type: number
- *                 example: 29.99
- *               address:
+ *                   type: object
+ *                   properties:
+ *                     menuItem:
+ *                       type: string
+ *                       example: "60d7c87b7393f7d6d0a56d89"
+ *                     quantity:
+ *                       type: integer
+ *                       example: 2
+ *                     modifiers:
+ *                       type: array
+ *                       description: IDs of the modifier options picked
+ *                       items:
+ *                         type: string
+ *               deliveryTime:
+ *                 type: string
+ *                 format: date-time
+ *                 example: "2024-11-17T11:00:00Z"
+ *               slotId:
  *                 type: string
- *                 example: "123 Main St, Anytown, USA"
+ *                 description: Delivery slot to book instead of a deliveryTime; the order stays Scheduled until it is released to the kitchen
+ *                 example: "60d7c87b7393f7d6d0a56e01"
+ *               deliveryAddressId:
+ *                 type: string
+ *                 example: "60d7c87b7393f7d6d0a56d97"
+ *               paymentMethod:
+ *                 type: string
+ *                 description: Payment method token from the gateway; the total is authorized now and captured on delivery
+ *                 example: "mock_card"
  *     responses:
  *       201:
  *         description: Order placed successfully
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/Order'
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Order placed successfully"
+ *                 order:
+ *                   $ref: '#/components/schemas/Order'
+ *                 payment:
+ *                   $ref: '#/components/schemas/Payment'
+ *       402:
+ *         description: Payment declined
+ *       502:
+ *         description: The payment gateway could not be reached
  *       400:
  *         description: Invalid order details
+ *       404:
+ *         description: Customer, restaurant, menu item or delivery address not found
+ *       409:
+ *         description: A menu item is not available, or the delivery slot is full
+ *       422:
+ *         description: The restaurant does not deliver to this address, or is closed at the requested time
  *       500:
  *         description: Internal server error
  */
-deliveryRouter.post('/place-order', createOrder);
+deliveryRouter.post('/place-order', authorize(PERMISSIONS.ORDER_CREATE, { owner: ownerOfUser((req) => req.body.customerId) }), idempotency(), createOrder);
 
 /**
  * @swagger
@@ -255,11 +685,11 @@ deliveryRouter.post('/place-order', createOrder);
  *             schema:
  *               type: array
  *               items:
- *                 $ref: '#/components/schemas/DeliveryPersonnel'
+ *                 $ref: '#/components/schemas/User'
  *       500:
  *         description: Internal server error
  */
-deliveryRouter.get('/delivery-personnel', getAllDeliveryPersonnel);
+deliveryRouter.get('/delivery-personnel', authorize(PERMISSIONS.COURIER_READ), getAllDeliveryPersonnel);
 
 
 module.exports = deliveryRouter;
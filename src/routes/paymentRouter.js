@@ -0,0 +1,102 @@
+const express = require("express");
+const paymentRouter = express.Router();
+
+const Order = require("../models/Order");
+const Payment = require("../models/Payment");
+const Refund = require("../models/Refund");
+const { authorize, ownerOfOrder } = require("../middlewares/authorize");
+const { PERMISSIONS } = require("../configuration/permissions");
+const { handlePaymentWebhook } = require("../services/paymentService");
+
+/**
+ * @swagger
+ * /api/payments/webhook:
+ *   post:
+ *     summary: Payment gateway webhook
+ *     description: Receives asynchronous notifications from the payment gateway, e.g. a capture or refund settled on their side. The request must carry the gateway signature (`x-mock-signature` for the mock gateway).
+ *     tags: ["Payments"]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [payment.captured, payment.failed, refund.succeeded, refund.failed]
+ *               providerPaymentId:
+ *                 type: string
+ *               providerRefundId:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Event accepted
+ *       400:
+ *         description: Invalid signature
+ */
+paymentRouter.post("/webhook", async (req, res) => {
+    try {
+        const event = await handlePaymentWebhook(req.rawBody, req.headers);
+        res.json({ received: true, type: event.type });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error(error);
+        res.status(500).json({ error: "Failed to process webhook" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/payments/orders/{orderId}:
+ *   get:
+ *     summary: Get the payment of an order
+ *     description: Returns the payment taken for an order and any refunds. Available to the customer, the restaurant and admins.
+ *     tags: ["Payments"]
+ *     parameters:
+ *       - name: orderId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Payment and refunds
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 payment:
+ *                   $ref: '#/components/schemas/Payment'
+ *                 refunds:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Refund'
+ *       404:
+ *         description: Order or payment not found
+ */
+paymentRouter.get("/orders/:orderId", authorize(PERMISSIONS.ORDER_READ, { owner: ownerOfOrder((req) => req.params.orderId) }), async (req, res) => {
+    try {
+        const order = await Order.findById(req.params.orderId);
+        if (!order) {
+            return res.status(404).json({ error: "Order not found" });
+        }
+
+        const payment = await Payment.findOne({ order: order._id });
+        if (!payment) {
+            return res.status(404).json({ error: "No payment for this order" });
+        }
+
+        const refunds = await Refund.find({ payment: payment._id }).sort({ createdAt: -1 });
+        res.json({ payment, refunds });
+    } catch (error) {
+        res.status(500).json({ error: "Failed to fetch payment" });
+    }
+});
+
+module.exports = paymentRouter;
@@ -6,23 +6,41 @@ const Menu = require("../models/Menu");
 const Restaurant = require("../models/Restaurant");
 const Order = require("../models/Order");
 const OrderItems = require("../models/OrderItem");
-const { userAuth } = require("../middlewares/auth");
+const { authorize, ownerOfUser, ownerOfRestaurant, ownerOfMenuItem, ownerOfOrder, ownerOfReview } = require("../middlewares/authorize");
+const { PERMISSIONS } = require("../configuration/permissions");
+const { startSession } = require("../utils/session");
+const { assertCanLogin, canStartSession } = require("../utils/loginPolicy");
+const { checkCredentials } = require("../utils/loginGuard");
+const { needsSecondFactor, createLoginChallenge } = require("../utils/twoFactor");
+const { transitionOrder } = require("../services/orderLifecycle");
+const { createSlots, listSlots, updateSlotCapacity, deleteSlot } = require("../services/slotService");
+const { setStock, adjustStock, listStockAdjustments, listLowStock } = require("../services/inventoryService");
+const { importMenu, exportMenu } = require("../services/menuImportService");
+const { setMenuItemImage, setRestaurantImage, removeImage } = require("../services/imageService");
+const { imageUpload } = require("../middlewares/imageUpload");
+const { replyToReview } = require("../services/reviewService");
+const {
+    parseModifierGroups,
+    resolveCategory,
+    parsePosition,
+    createCategory,
+    updateCategory,
+    deleteCategory,
+    getMenuTree,
+} = require("../services/menuService");
+const { queueVerificationEmail } = require("../utils/accountEmails");
+const { toPoint, toDeliveryArea } = require("../utils/geo");
+const { parseSchedule, withOpeningStatus } = require("../utils/openingHours");
 const restaurantRouter = express.Router();
 
-async function isAdminOrRestaurant (userId) {
-    try {
-        if (!userId) {
-            throw new Error("User ID not found in the request");
-        }
-        const user = await User.findById(userId);
-        if (!user || (user.role !== "admin" && user.role !== "restaurant")) {
-            throw new Error("Invalid Authorization");
-        }
-    }
-    catch (err) {
-        throw new Error(err);
-    }
-}
+// Validated location, delivery area and schedule from a request body, only the ones that were sent
+const structuredFields = ({ location, deliveryArea, schedule }) => {
+    const fields = {};
+    if (location !== undefined) fields.location = toPoint(location);
+    if (deliveryArea !== undefined) fields.deliveryArea = toDeliveryArea(deliveryArea);
+    if (schedule !== undefined) fields.schedule = parseSchedule(schedule);
+    return fields;
+};
 
 /**
  * @swagger
@@ -30,7 +48,7 @@ async function isAdminOrRestaurant (userId) {
  *   post:
  *     tags: ["Restaurant"]
  *     summary: Register a new restaurant
- *     description: Registers a new restaurant with the provided data.
+ *     description: Registers a new restaurant with the provided data. When two-factor authentication is mandatory for restaurants, no session is started; twoFactor holds the challenge to enrol with through /api/login/2fa/enroll.
  *     requestBody:
  *       required: true
  *       content:
@@ -74,6 +92,12 @@ async function isAdminOrRestaurant (userId) {
  *               deliveryZone:
  *                 type: string
  *                 example: "North Delhi"
+ *               location:
+ *                 $ref: '#/components/schemas/LatLng'
+ *               deliveryArea:
+ *                 $ref: '#/components/schemas/DeliveryArea'
+ *               schedule:
+ *                 $ref: '#/components/schemas/OpeningSchedule'
  *     responses:
  *       200:
  *         description: Restaurant successfully registered
@@ -92,6 +116,14 @@ async function isAdminOrRestaurant (userId) {
  *                       $ref: '#/components/schemas/User'
  *                     restaurant:
  *                       $ref: '#/components/schemas/Restaurant'
+ *                 twoFactor:
+ *                   type: object
+ *                   description: Present instead of a session when 2FA is mandatory
+ *                   properties:
+ *                     enrollmentRequired:
+ *                       type: boolean
+ *                     challengeToken:
+ *                       type: string
  *       400:
  *         description: Validation or data error
  *         content:
@@ -111,6 +143,7 @@ restaurantRouter.post("/register", async (req, res) => {
         if (role !== "restaurant") {
             throw new Error("Invalid role");
         }
+        const structured = structuredFields(req.body);
 
         // Encrypt the password
         const passwordHash = await bcrypt.hash(password, 10);
@@ -132,17 +165,24 @@ restaurantRouter.post("/register", async (req, res) => {
             address,
             cuisineType,
             openingHours,
-            deliveryZone
+            deliveryZone,
+            ...structured
         })
         const savedRestaurant = await restaurant.save()
         // const savedUser = await user.save();
-        const token = await savedUser.getJWT();
-        res.cookie("token", token, {
-            expires: new Date(Date.now() + 24 * 60 * 60 * 1000),
-        });
+        queueVerificationEmail(savedUser);
+        let twoFactor;
+        if (canStartSession(savedUser)) {
+            // Where admins made 2FA mandatory the session waits for the enrolment, as on login
+            if (await needsSecondFactor(savedUser)) {
+                twoFactor = await createLoginChallenge(savedUser);
+            } else {
+                await startSession(req, res, savedUser);
+            }
+        }
 
         const response = { user: savedUser, restaurant: savedRestaurant};
-        res.json({ message: "Customer Data added successfully!", data: response});
+        res.json({ message: "Customer Data added successfully!", data: response, twoFactor });
     } catch (err) {
         res.status(400).send("ERROR : " + err.message);
     }
@@ -184,6 +224,12 @@ restaurantRouter.post("/register", async (req, res) => {
  *               deliveryZone:
  *                 type: string
  *                 example: "North Delhi"
+ *               location:
+ *                 $ref: '#/components/schemas/LatLng'
+ *               deliveryArea:
+ *                 $ref: '#/components/schemas/DeliveryArea'
+ *               schedule:
+ *                 $ref: '#/components/schemas/OpeningSchedule'
  *     responses:
  *       200:
  *         description: Restaurant successfully registered under user
@@ -208,11 +254,9 @@ restaurantRouter.post("/register", async (req, res) => {
  *                   type: string
  *                   example: "ERROR : <error message>"
  */
-restaurantRouter.post("/register/:userId", async (req, res) => {
+restaurantRouter.post("/register/:userId", authorize(PERMISSIONS.RESTAURANT_CREATE, { owner: ownerOfUser((req) => req.params.userId) }), async (req, res) => {
     try {
-        // Validation of data\
         const { restaurantName, address, cuisineType, openingHours, deliveryZone } = req.body;
-        isAdminOrRestaurant(req.params.userId);
 
         const restaurant = new Restaurant({
             owner: req.params.userId,
@@ -220,7 +264,8 @@ restaurantRouter.post("/register/:userId", async (req, res) => {
             address,
             cuisineType,
             openingHours,
-            deliveryZone
+            deliveryZone,
+            ...structuredFields(req.body)
         })
         const savedRestaurant = await restaurant.save()
 
@@ -236,7 +281,7 @@ restaurantRouter.post("/register/:userId", async (req, res) => {
  *   post:
  *     tags: ["Restaurant"]
  *     summary: Restaurant login
- *     description: Login for restaurant users with their credentials.
+ *     description: Login for restaurant users with their credentials. With two-factor authentication the response is a challenge token for /api/login/2fa.
  *     requestBody:
  *       required: true
  *       content:
@@ -279,7 +324,7 @@ restaurantRouter.post("/login", async (req, res) => {
     try {
         const { emailId, password } = req.body;
 
-        const user = await User.findOne({ emailId: emailId });
+        const user = await checkCredentials(req, res, emailId, password);
         if (!user) {
             throw new Error("Invalid credentials");
         }
@@ -289,21 +334,16 @@ restaurantRouter.post("/login", async (req, res) => {
         if (user.status !== "active") {
             throw new Error("Customer account is not active");
         }
-        const isPasswordValid = await user.validatePassword(password);
 
-        if (isPasswordValid) {
-            const token = await user.getJWT();
-
-            res.cookie("token", token, {
-                expires: new Date(Date.now() + 8 * 3600000),
-            });
-            
-            res.send(user);
-        } else {
-            throw new Error("Invalid credentials");
+        assertCanLogin(user);
+        if (await needsSecondFactor(user)) {
+            return res.json(await createLoginChallenge(user));
         }
+        await startSession(req, res, user);
+
+        res.send(user);
     } catch (err) {
-        res.status(400).send("ERROR : " + err.message);
+        res.status(err.statusCode || 400).send("ERROR : " + err.message);
     }
 });
 
@@ -347,11 +387,11 @@ restaurantRouter.post("/login", async (req, res) => {
  *                   type: string
  *                   example: "ERROR : <error message>"
  */
-restaurantRouter.get("/:userId", userAuth, async (req, res) => {
+restaurantRouter.get("/:userId", authorize(PERMISSIONS.RESTAURANT_READ, { owner: ownerOfUser((req) => req.params.userId) }), async (req, res) => {
     try {
-        isAdminOrRestaurant(req.params.userId);
-        const restaurant = await Restaurant.find( {owner: req.params.userId} );
-        res.json({ message: "Restaurant Found !!!", data: restaurant });
+        const restaurant = await Restaurant.find( {owner: req.params.userId} ).lean();
+        const now = new Date();
+        res.json({ message: "Restaurant Found !!!", data: restaurant.map((entry) => withOpeningStatus(entry, now)) });
     }
     catch (err) {
         res.status(400).send("ERROR : " + err.message);
@@ -379,9 +419,6 @@ restaurantRouter.get("/:userId", userAuth, async (req, res) => {
  *           schema:
  *             type: object
  *             properties:
- *               userId:
- *                 type: string
- *                 example: "605c72ef1532075ab5c7dbd"
  *               restaurantName:
  *                 type: string
  *                 example: "New Pizza Hub"
@@ -397,6 +434,12 @@ restaurantRouter.get("/:userId", userAuth, async (req, res) => {
  *               deliveryZone:
  *                 type: string
  *                 example: "South Noida"
+ *               location:
+ *                 $ref: '#/components/schemas/LatLng'
+ *               deliveryArea:
+ *                 $ref: '#/components/schemas/DeliveryArea'
+ *               schedule:
+ *                 $ref: '#/components/schemas/OpeningSchedule'
  *     responses:
  *       200:
  *         description: Restaurant details updated successfully
@@ -415,13 +458,12 @@ restaurantRouter.get("/:userId", userAuth, async (req, res) => {
  *                   type: string
  *                   example: "Error updating restaurant details"
  */
-restaurantRouter.patch("/:restaurantId", userAuth, async (req, res) => {
+restaurantRouter.patch("/:restaurantId", authorize(PERMISSIONS.RESTAURANT_UPDATE, { owner: ownerOfRestaurant((req) => req.params.restaurantId) }), async (req, res) => {
     try {
         // Extract only the allowed fields from the request body
-        const { userId, restaurantName, address, cuisineType, openingHours, deliveryZone } = req.body;
-        isAdminOrRestaurant(userId);
+        const { restaurantName, address, cuisineType, openingHours, deliveryZone } = req.body;
         // Prepare an update object with only the permitted fields
-        const updateData = {};
+        const updateData = { ...structuredFields(req.body) };
         if (restaurantName) updateData['restaurantName'] = restaurantName;
         if (address) updateData['address'] = address;
         if (cuisineType) updateData['cuisineType'] = cuisineType;
@@ -441,18 +483,117 @@ restaurantRouter.patch("/:restaurantId", userAuth, async (req, res) => {
 
         res.json(updatedRestaurant);
     } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
         res.status(400).json({ message: 'Error updating user', error });
     }
 });
 
 
+/**
+ * @swagger
+ * /api/restaurant/{restaurantId}/images/{kind}:
+ *   put:
+ *     tags: ["Restaurant"]
+ *     summary: Upload the logo or banner of a restaurant
+ *     description: >
+ *       Takes a JPEG, PNG or WebP image (at most IMAGE_MAX_SIZE_MB, 5 MB by default) and stores it with
+ *       small, medium and large WebP thumbnails, replacing the previous one.
+ *     parameters:
+ *       - name: restaurantId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: kind
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [logo, banner]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [image]
+ *             properties:
+ *               image:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: Image stored
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Restaurant'
+ *       400:
+ *         description: No image or not a readable image
+ *       404:
+ *         description: Restaurant not found
+ *       413:
+ *         description: The image is too large
+ *       415:
+ *         description: Unsupported image type
+ *   delete:
+ *     tags: ["Restaurant"]
+ *     summary: Remove the logo or banner of a restaurant
+ *     parameters:
+ *       - name: restaurantId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: kind
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [logo, banner]
+ *     responses:
+ *       200:
+ *         description: Image removed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Restaurant'
+ *       404:
+ *         description: Restaurant not found
+ */
+restaurantRouter.put("/:restaurantId/images/:kind", authorize(PERMISSIONS.RESTAURANT_UPDATE, { owner: ownerOfRestaurant((req) => req.params.restaurantId) }), imageUpload("image"), async (req, res) => {
+    try {
+        const restaurant = await setRestaurantImage(req.params.restaurantId, req.params.kind, req.file);
+        res.json(restaurant);
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        res.status(500).json({ error: "Failed to store image" });
+    }
+});
+
+restaurantRouter.delete("/:restaurantId/images/:kind", authorize(PERMISSIONS.RESTAURANT_UPDATE, { owner: ownerOfRestaurant((req) => req.params.restaurantId) }), async (req, res) => {
+    try {
+        const restaurant = await setRestaurantImage(req.params.restaurantId, req.params.kind, null);
+        res.json(restaurant);
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        res.status(500).json({ error: "Failed to remove image" });
+    }
+});
+
 /**
  * @swagger
  * /api/restaurant/menu/{userId}/{restaurantId}:
  *   get:
  *     tags: ["Restaurant"]
- *     summary: Get menu items for a specific restaurant
- *     description: Retrieves all menu items for a restaurant based on the restaurant ID.
+ *     summary: Get the menu of a specific restaurant
+ *     description: Retrieves the menu as a tree of categories in their order, each with its items and their modifier groups. Items without a category are listed under uncategorized.
  *     parameters:
  *       - name: userId
  *         in: path
@@ -468,13 +609,17 @@ restaurantRouter.patch("/:restaurantId", userAuth, async (req, res) => {
  *           type: string
  *     responses:
  *       200:
- *         description: List of menu items for the restaurant
+ *         description: Menu of the restaurant
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Menu'
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "List of all items in Menu"
+ *                 data:
+ *                   $ref: '#/components/schemas/MenuTree'
  *       400:
  *         description: Invalid user or restaurant ID
  *         content:
@@ -486,10 +631,9 @@ restaurantRouter.patch("/:restaurantId", userAuth, async (req, res) => {
  *                   type: string
  *                   example: "ERROR : Menu not found"
  */
-restaurantRouter.get("/menu/:userId/:restaurantId", userAuth, async (req, res) => {
+restaurantRouter.get("/menu/:userId/:restaurantId", authorize(PERMISSIONS.MENU_READ), async (req, res) => {
     try {
-        isAdminOrRestaurant(req.params.userId);
-        const menu = await Menu.find( {restaurant: req.params.restaurantId} );
+        const menu = await getMenuTree(req.params.restaurantId);
         res.json({ message: "List of all items in Menu", data: menu });
     }
     catch (err) {
@@ -533,6 +677,17 @@ restaurantRouter.get("/menu/:userId/:restaurantId", userAuth, async (req, res) =
  *               availability:
  *                 type: boolean
  *                 example: true
+ *               category:
+ *                 type: string
+ *                 description: Menu category of the restaurant, null to take the item out of its category
+ *                 example: "605c72ef153207001f0d0c9"
+ *               position:
+ *                 type: integer
+ *                 example: 2
+ *               modifierGroups:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/ModifierGroup'
  *     responses:
  *       201:
  *         description: Item added to the menu successfully
@@ -551,22 +706,24 @@ restaurantRouter.get("/menu/:userId/:restaurantId", userAuth, async (req, res) =
  *                   type: string
  *                   example: "ERROR : Invalid data"
  */
-restaurantRouter.post("/item/:userId", userAuth, async (req, res) => {
+restaurantRouter.post("/item/:userId", authorize(PERMISSIONS.MENU_WRITE, { owner: ownerOfRestaurant((req) => req.body.restaurant) }), async (req, res) => {
     try {
-        const { restaurant ,itemName, description, price, availability } = req.body;
-        isAdminOrRestaurant(req.params.userId);
+        const { restaurant ,itemName, description, price, availability, category, position, modifierGroups } = req.body;
         const menu = new Menu({
             restaurant,
             itemName,
             description,
             price,
-            availability
+            availability,
+            category: category ? await resolveCategory(restaurant, category) : undefined,
+            position: position === undefined ? undefined : parsePosition(position),
+            modifierGroups: modifierGroups === undefined ? [] : parseModifierGroups(modifierGroups)
         });
         await menu.save();
         res.status(201).json({ message: 'Item added Successfully!!!', data: menu });
 
     } catch (err) {
-        res.status(400).send("ERROR : " + err.message);
+        res.status(err.statusCode || 400).send("ERROR : " + err.message);
     }
 });
 
@@ -591,9 +748,6 @@ restaurantRouter.post("/item/:userId", userAuth, async (req, res) => {
  *           schema:
  *             type: object
  *             properties:
- *               userId:
- *                 type: string
- *                 example: "605c72ef1532075ab5c7dbd"
  *               itemName:
  *                 type: string
  *                 example: "New Vegetarian Pizza"
@@ -606,6 +760,18 @@ restaurantRouter.post("/item/:userId", userAuth, async (req, res) => {
  *               availability:
  *                 type: boolean
  *                 example: false
+ *               category:
+ *                 type: string
+ *                 description: Menu category of the restaurant, null to take the item out of its category
+ *                 example: "605c72ef153207001f0d0c9"
+ *               position:
+ *                 type: integer
+ *                 example: 2
+ *               modifierGroups:
+ *                 type: array
+ *                 description: Replaces all groups; send the _id of existing groups and options to keep carts holding them valid
+ *                 items:
+ *                   $ref: '#/components/schemas/ModifierGroup'
  *     responses:
  *       200:
  *         description: Menu item updated successfully
@@ -624,23 +790,36 @@ restaurantRouter.post("/item/:userId", userAuth, async (req, res) => {
  *                   type: string
  *                   example: "ERROR : Item not found"
  */
-restaurantRouter.patch("/item/:itemId", userAuth, async (req, res) => {
+restaurantRouter.patch("/item/:itemId", authorize(PERMISSIONS.MENU_WRITE, { owner: ownerOfMenuItem((req) => req.params.itemId) }), async (req, res) => {
     try {
         // Extract only the allowed fields from the request body
-        const { userId, itemName, description, price, availability  } = req.body;
-        isAdminOrRestaurant(userId);
+        const { itemName, description, price, availability, category, position, modifierGroups } = req.body;
         // Prepare an update object with only the permitted fields
         const updateData = {};
+        const unsetData = {};
         if (itemName) updateData['itemName'] = itemName;
         if (description) updateData['description'] = description;
         if (price) updateData['price'] = price;
         if (availability) updateData['availability'] = availability;
+        if (position !== undefined) updateData['position'] = parsePosition(position);
+        if (modifierGroups !== undefined) updateData['modifierGroups'] = parseModifierGroups(modifierGroups);
+        if (category !== undefined) {
+            const current = await Menu.findById(req.params.itemId).select('restaurant');
+            if (!current) {
+                return res.status(404).json({ message: 'MenuItem not found' });
+            }
+            const categoryId = await resolveCategory(current.restaurant, category);
+            if (categoryId) {
+                updateData['category'] = categoryId;
+            } else {
+                unsetData['category'] = '';
+            }
+        }
 
-        
         // Update the user with the filtered data
         const updatedMenuItem = await Menu.findByIdAndUpdate(
             req.params.itemId,
-            { $set: updateData },
+            { $set: updateData, $unset: unsetData },
             { new: true, runValidators: true }
         );
 
@@ -650,10 +829,99 @@ restaurantRouter.patch("/item/:itemId", userAuth, async (req, res) => {
 
         res.json(updatedMenuItem);
     } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
         res.status(400).json({ message: 'Error updating user', error });
     }
 });
 
+/**
+ * @swagger
+ * /api/restaurant/item/{itemId}/image:
+ *   put:
+ *     tags: ["Restaurant"]
+ *     summary: Upload the image of a menu item
+ *     description: >
+ *       Takes a JPEG, PNG or WebP image (at most IMAGE_MAX_SIZE_MB, 5 MB by default) and stores it with
+ *       small, medium and large WebP thumbnails, replacing the previous image. The URLs are returned in
+ *       the item's image field.
+ *     parameters:
+ *       - name: itemId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [image]
+ *             properties:
+ *               image:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: Image stored
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Menu'
+ *       400:
+ *         description: No image or not a readable image
+ *       404:
+ *         description: Menu item not found
+ *       413:
+ *         description: The image is too large
+ *       415:
+ *         description: Unsupported image type
+ *   delete:
+ *     tags: ["Restaurant"]
+ *     summary: Remove the image of a menu item
+ *     parameters:
+ *       - name: itemId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Image removed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Menu'
+ *       404:
+ *         description: Menu item not found
+ */
+// Ahead of DELETE /item/:userId/:menuItemId, which would take "image" for the item id
+restaurantRouter.put("/item/:itemId/image", authorize(PERMISSIONS.MENU_WRITE, { owner: ownerOfMenuItem((req) => req.params.itemId) }), imageUpload("image"), async (req, res) => {
+    try {
+        const item = await setMenuItemImage(req.params.itemId, req.file);
+        res.json(item);
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        res.status(500).json({ error: "Failed to store image" });
+    }
+});
+
+restaurantRouter.delete("/item/:itemId/image", authorize(PERMISSIONS.MENU_WRITE, { owner: ownerOfMenuItem((req) => req.params.itemId) }), async (req, res) => {
+    try {
+        const item = await setMenuItemImage(req.params.itemId, null);
+        res.json(item);
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        res.status(500).json({ error: "Failed to remove image" });
+    }
+});
+
 /**
  * @swagger
  * /api/restaurant/item/{userId}/{menuItemId}:
@@ -696,15 +964,15 @@ restaurantRouter.patch("/item/:itemId", userAuth, async (req, res) => {
  *                   type: string
  *                   example: "ERROR : Menu Item not found"
  */
-restaurantRouter.delete("/item/:userId/:menuItemId", userAuth, async (req, res) => {
+restaurantRouter.delete("/item/:userId/:menuItemId", authorize(PERMISSIONS.MENU_WRITE, { owner: ownerOfMenuItem((req) => req.params.menuItemId) }), async (req, res) => {
 
     try {
-        isAdminOrRestaurant(req.params.userId);
         const menuItem = await Menu.findById(req.params.menuItemId);
         if (!menuItem) {
             throw new Error("Menu Item not found to Delete!!!");
         }
-        Menu.deleteOne(menuItem);
+        await menuItem.deleteOne();
+        await removeImage(menuItem.image);
         res.status(201).json({ message: 'Menu Item Deleted Successfully!!!'});
     } catch (err) {
         res.status(400).send("ERROR : " + err.message);
@@ -757,9 +1025,8 @@ restaurantRouter.delete("/item/:userId/:menuItemId", userAuth, async (req, res)
  *                   type: string
  *                   example: "ERROR : No orders found"
  */
-restaurantRouter.get("/orders/:userId/:restaurantId/:status", userAuth, async (req, res) => {
+restaurantRouter.get("/orders/:userId/:restaurantId/:status", authorize(PERMISSIONS.ORDER_READ, { owner: ownerOfRestaurant((req) => req.params.restaurantId) }), async (req, res) => {
     try {
-        isAdminOrRestaurant(req.params.userId);
         const order = await Order.find( {restaurant: req.params.restaurantId, orderStatus: req.params.status} );
         res.json({ message: "List of all Orders with status - " + req.params.status, data: order });
     }
@@ -774,7 +1041,7 @@ restaurantRouter.get("/orders/:userId/:restaurantId/:status", userAuth, async (r
  *   patch:
  *     tags: ["Restaurant"]
  *     summary: Update an order status
- *     description: Updates the status of a specific order.
+ *     description: Moves an order to the next status, e.g. Accepted to Preparing. Only the transitions of the order lifecycle are allowed and each change is recorded in the status history.
  *     parameters:
  *       - name: orderId
  *         in: path
@@ -789,12 +1056,11 @@ restaurantRouter.get("/orders/:userId/:restaurantId/:status", userAuth, async (r
  *           schema:
  *             type: object
  *             properties:
- *               userId:
- *                 type: string
- *                 example: "605c72ef1532075ab5c7dbd"
  *               orderStatus:
  *                 type: string
- *                 example: "completed"
+ *                 example: "Preparing"
+ *               reason:
+ *                 type: string
  *     responses:
  *       200:
  *         description: Order status updated successfully
@@ -802,6 +1068,10 @@ restaurantRouter.get("/orders/:userId/:restaurantId/:status", userAuth, async (r
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Order'
+ *       403:
+ *         description: The role may not make this status change
+ *       409:
+ *         description: The order cannot move to this status from its current one
  *       400:
  *         description: Invalid request or order not found
  *         content:
@@ -813,29 +1083,739 @@ restaurantRouter.get("/orders/:userId/:restaurantId/:status", userAuth, async (r
  *                   type: string
  *                   example: "ERROR : Order not found"
  */
-restaurantRouter.patch("/order/:orderId", async (req, res) => {
+restaurantRouter.patch("/order/:orderId", authorize(PERMISSIONS.ORDER_STATUS_UPDATE, { owner: ownerOfOrder((req) => req.params.orderId) }), async (req, res) => {
     try {
-        // Extract only the allowed fields from the request body
-        const { userId, orderStatus } = req.body;
-        isAdminOrRestaurant(userId);
-        // Prepare an update object with only the permitted fields
-        const updateData = {};
-        if (orderStatus) updateData['orderStatus'] = orderStatus;
-
-        // Update the user with the filtered data
-        const updatedOrder = await Order.findByIdAndUpdate(
-            req.params.orderId,
-            { $set: updateData },
-            { new: true, runValidators: true }
-        );
+        const { orderStatus, reason } = req.body;
+        if (!orderStatus) {
+            return res.status(400).json({ message: 'orderStatus is required' });
+        }
 
-        if (!updatedOrder) {
+        const order = await Order.findById(req.params.orderId);
+        if (!order) {
             return res.status(404).json({ message: 'Order Details not found' });
         }
 
+        const updatedOrder = await transitionOrder(order, orderStatus, { actor: req.user, reason });
         res.json(updatedOrder);
     } catch (error) {
-        res.status(400).json({ message: 'Error updating user', error });
+        res.status(error.statusCode || 400).json({ message: error.message });
+    }
+});
+
+
+/**
+ * @swagger
+ * /api/restaurant/{restaurantId}/categories:
+ *   post:
+ *     tags: ["Restaurant"]
+ *     summary: Create a menu category
+ *     description: Adds a section to the menu; categories are listed by ascending position.
+ *     parameters:
+ *       - name: restaurantId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "Pizzas"
+ *               description:
+ *                 type: string
+ *               position:
+ *                 type: integer
+ *                 example: 1
+ *     responses:
+ *       201:
+ *         description: Category created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MenuCategory'
+ *       400:
+ *         description: Missing name or invalid position
+ */
+restaurantRouter.post("/:restaurantId/categories", authorize(PERMISSIONS.MENU_WRITE, { owner: ownerOfRestaurant((req) => req.params.restaurantId) }), async (req, res) => {
+    try {
+        const category = await createCategory(req.params.restaurantId, req.body);
+        res.status(201).json(category);
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        res.status(500).json({ error: "Failed to create menu category" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/restaurant/{restaurantId}/categories/{categoryId}:
+ *   patch:
+ *     tags: ["Restaurant"]
+ *     summary: Rename or reorder a menu category
+ *     parameters:
+ *       - name: restaurantId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: categoryId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               position:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Category updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MenuCategory'
+ *       404:
+ *         description: Menu category not found
+ *   delete:
+ *     tags: ["Restaurant"]
+ *     summary: Delete a menu category
+ *     description: The items of the category stay on the menu without a category.
+ *     parameters:
+ *       - name: restaurantId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: categoryId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Category deleted
+ *       404:
+ *         description: Menu category not found
+ */
+restaurantRouter.patch("/:restaurantId/categories/:categoryId", authorize(PERMISSIONS.MENU_WRITE, { owner: ownerOfRestaurant((req) => req.params.restaurantId) }), async (req, res) => {
+    try {
+        const category = await updateCategory(req.params.restaurantId, req.params.categoryId, req.body);
+        res.json(category);
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        res.status(500).json({ error: "Failed to update menu category" });
+    }
+});
+
+restaurantRouter.delete("/:restaurantId/categories/:categoryId", authorize(PERMISSIONS.MENU_WRITE, { owner: ownerOfRestaurant((req) => req.params.restaurantId) }), async (req, res) => {
+    try {
+        await deleteCategory(req.params.restaurantId, req.params.categoryId);
+        res.json({ message: "Menu category deleted" });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        res.status(500).json({ error: "Failed to delete menu category" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/restaurant/{restaurantId}/menu/import:
+ *   post:
+ *     tags: ["Restaurant"]
+ *     summary: Import menu items from CSV or JSON
+ *     description: >
+ *       Creates or updates items by itemName. CSV takes the columns itemName, description, price,
+ *       availability, category, position and modifierGroups (as JSON); JSON takes the same fields
+ *       per item. Empty cells keep the current value, categories are matched by name and created
+ *       when missing. Every row is validated first and nothing is written if any row fails.
+ *       With dryRun only the report is returned.
+ *     parameters:
+ *       - name: restaurantId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: dryRun
+ *         in: query
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *             example: "itemName,description,price,availability,category,position,modifierGroups\r\nMargherita,Tomato and mozzarella,9.5,true,Pizzas,1,"
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/MenuImportItem'
+ *     responses:
+ *       200:
+ *         description: Import applied, or the dry run report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MenuImportReport'
+ *       400:
+ *         description: Unreadable file, unknown columns or too many rows
+ *       422:
+ *         description: Some rows have errors, nothing was imported; the report is in details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                 details:
+ *                   $ref: '#/components/schemas/MenuImportReport'
+ */
+restaurantRouter.post(
+    "/:restaurantId/menu/import",
+    authorize(PERMISSIONS.MENU_WRITE, { owner: ownerOfRestaurant((req) => req.params.restaurantId) }),
+    express.text({ type: "text/csv", limit: "1mb" }),
+    async (req, res) => {
+        try {
+            const result = await importMenu(req.params.restaurantId, {
+                format: req.is("text/csv") ? "csv" : "json",
+                body: req.body,
+                dryRun: req.query.dryRun === "true",
+            });
+            res.json(result);
+        } catch (error) {
+            if (error.statusCode) {
+                return res.status(error.statusCode).json({ error: error.message, details: error.details });
+            }
+            res.status(500).json({ error: "Failed to import menu" });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/restaurant/{restaurantId}/menu/export:
+ *   get:
+ *     tags: ["Restaurant"]
+ *     summary: Export the menu as CSV or JSON
+ *     description: Writes the menu in the format taken by the import, so an export can be edited and imported again.
+ *     parameters:
+ *       - name: restaurantId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: format
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [json, csv]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: The menu
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 items:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/MenuImportItem'
+ *       400:
+ *         description: Unknown format
+ */
+restaurantRouter.get("/:restaurantId/menu/export", authorize(PERMISSIONS.MENU_READ, { owner: ownerOfRestaurant((req) => req.params.restaurantId) }), async (req, res) => {
+    try {
+        const format = req.query.format || "json";
+        if (!["json", "csv"].includes(format)) {
+            return res.status(400).json({ error: "format must be json or csv" });
+        }
+        const menu = await exportMenu(req.params.restaurantId, format);
+        if (format === "csv") {
+            res.attachment(`menu-${req.params.restaurantId}.csv`);
+            return res.type("text/csv").send(menu);
+        }
+        res.json(menu);
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        res.status(500).json({ error: "Failed to export menu" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/restaurant/{restaurantId}/slots:
+ *   post:
+ *     tags: ["Restaurant"]
+ *     summary: Create delivery slots
+ *     description: Adds delivery windows customers can book pre-orders into. Each slot takes at most `capacity` orders.
+ *     parameters:
+ *       - name: restaurantId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               slots:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     startsAt:
+ *                       type: string
+ *                       format: date-time
+ *                       example: "2026-11-08T12:00:00Z"
+ *                     endsAt:
+ *                       type: string
+ *                       format: date-time
+ *                       example: "2026-11-08T12:30:00Z"
+ *                     capacity:
+ *                       type: integer
+ *                       example: 10
+ *     responses:
+ *       201:
+ *         description: Slots created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Delivery slots created"
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/DeliverySlot'
+ *       400:
+ *         description: Invalid slots
+ *       409:
+ *         description: A slot starting at one of these times already exists
+ *   get:
+ *     tags: ["Restaurant"]
+ *     summary: List delivery slots
+ *     description: All slots starting in the window with their bookings, a week from now by default.
+ *     parameters:
+ *       - name: restaurantId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: from
+ *         in: query
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - name: to
+ *         in: query
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: Delivery slots, earliest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/DeliverySlot'
+ *       400:
+ *         description: Invalid window
+ */
+restaurantRouter.post("/:restaurantId/slots", authorize(PERMISSIONS.SLOT_MANAGE, { owner: ownerOfRestaurant((req) => req.params.restaurantId) }), async (req, res) => {
+    try {
+        const slots = await createSlots(req.params.restaurantId, req.body.slots);
+        res.status(201).json({ message: "Delivery slots created", data: slots });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        res.status(500).json({ error: "Failed to create delivery slots" });
+    }
+});
+
+restaurantRouter.get("/:restaurantId/slots", authorize(PERMISSIONS.SLOT_MANAGE, { owner: ownerOfRestaurant((req) => req.params.restaurantId) }), async (req, res) => {
+    try {
+        const slots = await listSlots(req.params.restaurantId, { from: req.query.from, to: req.query.to });
+        res.json({ data: slots });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        res.status(500).json({ error: "Failed to fetch delivery slots" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/restaurant/{restaurantId}/slots/{slotId}:
+ *   patch:
+ *     tags: ["Restaurant"]
+ *     summary: Change the capacity of a delivery slot
+ *     description: The capacity cannot go below the number of orders already booked into the slot.
+ *     parameters:
+ *       - name: restaurantId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: slotId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               capacity:
+ *                 type: integer
+ *                 example: 12
+ *     responses:
+ *       200:
+ *         description: Slot updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DeliverySlot'
+ *       400:
+ *         description: Invalid capacity
+ *       404:
+ *         description: Delivery slot not found
+ *       409:
+ *         description: More orders are booked than the new capacity
+ *   delete:
+ *     tags: ["Restaurant"]
+ *     summary: Delete a delivery slot
+ *     description: Only slots without bookings can be deleted.
+ *     parameters:
+ *       - name: restaurantId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: slotId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Slot deleted
+ *       404:
+ *         description: Delivery slot not found
+ *       409:
+ *         description: Orders are booked into the slot
+ */
+restaurantRouter.patch("/:restaurantId/slots/:slotId", authorize(PERMISSIONS.SLOT_MANAGE, { owner: ownerOfRestaurant((req) => req.params.restaurantId) }), async (req, res) => {
+    try {
+        const slot = await updateSlotCapacity(req.params.restaurantId, req.params.slotId, req.body.capacity);
+        res.json(slot);
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        res.status(500).json({ error: "Failed to update delivery slot" });
+    }
+});
+
+restaurantRouter.delete("/:restaurantId/slots/:slotId", authorize(PERMISSIONS.SLOT_MANAGE, { owner: ownerOfRestaurant((req) => req.params.restaurantId) }), async (req, res) => {
+    try {
+        await deleteSlot(req.params.restaurantId, req.params.slotId);
+        res.json({ message: "Delivery slot deleted" });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        res.status(500).json({ error: "Failed to delete delivery slot" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/restaurant/item/{itemId}/stock:
+ *   put:
+ *     tags: ["Restaurant"]
+ *     summary: Set the stock count of a menu item
+ *     description: >
+ *       Records a stock count and/or the low-stock threshold. Tracked items are
+ *       taken out of stock when an order is accepted and put back when it is
+ *       cancelled; at zero the item becomes unavailable until it is restocked.
+ *       `stock: null` stops tracking the item.
+ *     parameters:
+ *       - name: itemId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               stock:
+ *                 type: integer
+ *                 nullable: true
+ *                 example: 40
+ *               lowStockThreshold:
+ *                 type: integer
+ *                 nullable: true
+ *                 example: 5
+ *               note:
+ *                 type: string
+ *                 example: "Morning count"
+ *     responses:
+ *       200:
+ *         description: Stock updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Menu'
+ *       400:
+ *         description: Invalid count
+ *       404:
+ *         description: Menu item not found
+ */
+restaurantRouter.put("/item/:itemId/stock", authorize(PERMISSIONS.STOCK_MANAGE, { owner: ownerOfMenuItem((req) => req.params.itemId) }), async (req, res) => {
+    try {
+        const { stock, lowStockThreshold, note } = req.body;
+        const item = await setStock(req.params.itemId, { stock, lowStockThreshold, note }, req.user);
+        res.json(item);
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        res.status(500).json({ error: "Failed to update stock" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/restaurant/item/{itemId}/stock/adjustments:
+ *   post:
+ *     tags: ["Restaurant"]
+ *     summary: Adjust the stock of a menu item
+ *     description: Adds a delivery (positive change) or writes off items (negative change). Stock cannot go below zero.
+ *     parameters:
+ *       - name: itemId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [change]
+ *             properties:
+ *               change:
+ *                 type: integer
+ *                 example: -3
+ *               note:
+ *                 type: string
+ *                 example: "Dropped a tray"
+ *     responses:
+ *       201:
+ *         description: Stock adjusted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Menu'
+ *       400:
+ *         description: Invalid change
+ *       404:
+ *         description: Menu item not found
+ *       409:
+ *         description: The item is not tracked or has less stock than removed
+ *   get:
+ *     tags: ["Restaurant"]
+ *     summary: Stock adjustment log of a menu item
+ *     description: Counts, adjustments and the changes made by accepted and cancelled orders, newest first.
+ *     parameters:
+ *       - name: itemId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: page
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - name: limit
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Stock adjustments
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/StockAdjustment'
+ */
+restaurantRouter.post("/item/:itemId/stock/adjustments", authorize(PERMISSIONS.STOCK_MANAGE, { owner: ownerOfMenuItem((req) => req.params.itemId) }), async (req, res) => {
+    try {
+        const item = await adjustStock(req.params.itemId, { change: req.body.change, note: req.body.note }, req.user);
+        res.status(201).json(item);
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        res.status(500).json({ error: "Failed to adjust stock" });
+    }
+});
+
+restaurantRouter.get("/item/:itemId/stock/adjustments", authorize(PERMISSIONS.STOCK_MANAGE, { owner: ownerOfMenuItem((req) => req.params.itemId) }), async (req, res) => {
+    try {
+        const adjustments = await listStockAdjustments(req.params.itemId, { page: req.query.page, limit: req.query.limit });
+        res.json({ data: adjustments });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        res.status(500).json({ error: "Failed to fetch stock adjustments" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/restaurant/{restaurantId}/stock/low:
+ *   get:
+ *     tags: ["Restaurant"]
+ *     summary: Menu items running low
+ *     description: Tracked items whose stock is at or below their lowStockThreshold (zero when none is set), lowest first.
+ *     parameters:
+ *       - name: restaurantId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Items running low
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Menu'
+ */
+restaurantRouter.get("/:restaurantId/stock/low", authorize(PERMISSIONS.STOCK_MANAGE, { owner: ownerOfRestaurant((req) => req.params.restaurantId) }), async (req, res) => {
+    try {
+        const items = await listLowStock(req.params.restaurantId);
+        res.json({ data: items });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        res.status(500).json({ error: "Failed to fetch low stock items" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/restaurant/reviews/{reviewId}/reply:
+ *   put:
+ *     tags: ["Restaurant"]
+ *     summary: Reply to a review
+ *     description: Publishes the restaurant's answer under a review of one of its orders; a new reply replaces the previous one.
+ *     parameters:
+ *       - name: reviewId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [text]
+ *             properties:
+ *               text:
+ *                 type: string
+ *                 example: "Thank you, see you again soon!"
+ *     responses:
+ *       200:
+ *         description: Reply saved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Review'
+ *       400:
+ *         description: Missing text
+ *       404:
+ *         description: Review not found
+ */
+restaurantRouter.put("/reviews/:reviewId/reply", authorize(PERMISSIONS.REVIEW_REPLY, { owner: ownerOfReview((req) => req.params.reviewId) }), async (req, res) => {
+    try {
+        const review = await replyToReview(req.params.reviewId, req.body.text, req.user);
+        res.json(review);
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        res.status(500).json({ error: "Failed to save reply" });
     }
 });
 
@@ -0,0 +1,99 @@
+/**
+ * Moves couriers from the legacy `deliverypersonnels` collection into `users`.
+ *
+ * Every DeliveryPersonnel document becomes a User with the "delivery" role and a
+ * courierProfile sub-document. The original _id is kept so existing references
+ * (Delivery.deliveryPersonnel, Order.deliveryPersonnel) keep pointing at the courier.
+ * Both collections hash passwords with bcrypt, so the stored hash is copied as is.
+ *
+ * Usage:
+ *   npm run migrate:delivery-personnel            # migrate
+ *   npm run migrate:delivery-personnel -- --dry-run
+ *
+ * The script is idempotent: couriers already present in `users` are skipped.
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDatabase = require('../configuration/databaseConnect');
+const User = require('../models/User');
+
+const LEGACY_COLLECTION = 'deliverypersonnels';
+
+const splitName = (name = '') => {
+    const [firstName, ...rest] = name.trim().split(/\s+/);
+    return { firstName: firstName || 'Courier', lastName: rest.join(' ') || undefined };
+};
+
+const toUser = (personnel) => {
+    const { firstName, lastName } = splitName(personnel.name);
+    return {
+        _id: personnel._id,
+        firstName,
+        lastName,
+        emailId: personnel.email,
+        password: personnel.password,
+        role: personnel.role === 'Admin' ? 'admin' : 'delivery',
+        courierProfile: {
+            vehicleType: personnel.vehicleType,
+            contactDetails: personnel.contactDetails,
+            isAvailable: personnel.isAvailable !== false,
+        },
+        createdAt: personnel.createdAt,
+        updatedAt: personnel.updatedAt,
+    };
+};
+
+const migrate = async ({ dryRun }) => {
+    const legacy = mongoose.connection.collection(LEGACY_COLLECTION);
+    const summary = { migrated: 0, merged: 0, skipped: 0, failed: 0 };
+
+    for await (const personnel of legacy.find({})) {
+        try {
+            if (await User.exists({ _id: personnel._id })) {
+                summary.skipped += 1;
+                continue;
+            }
+
+            const data = toUser(personnel);
+            const existing = await User.findOne({ emailId: String(data.emailId).toLowerCase() });
+
+            // Same person already signed up through the User flow: attach the courier profile
+            if (existing) {
+                if (existing.role !== 'delivery' || existing.courierProfile) {
+                    console.warn(`Skipping ${data.emailId}: already registered as ${existing.role}`);
+                    summary.skipped += 1;
+                    continue;
+                }
+                if (!dryRun) {
+                    await User.updateOne({ _id: existing._id }, { $set: { courierProfile: data.courierProfile } });
+                }
+                summary.merged += 1;
+                continue;
+            }
+
+            if (!dryRun) {
+                await new User(data).save();
+            }
+            summary.migrated += 1;
+        } catch (err) {
+            console.error(`Failed to migrate ${personnel.email}: ${err.message}`);
+            summary.failed += 1;
+        }
+    }
+
+    return summary;
+};
+
+const dryRun = process.argv.includes('--dry-run');
+
+connectDatabase()
+    .then(() => migrate({ dryRun }))
+    .then((summary) => {
+        console.log(`${dryRun ? '[dry-run] ' : ''}DeliveryPersonnel migration finished`, summary);
+        return mongoose.disconnect();
+    })
+    .catch((err) => {
+        console.error(`DeliveryPersonnel migration failed ${err}`);
+        process.exitCode = 1;
+        return mongoose.disconnect();
+    });
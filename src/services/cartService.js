@@ -0,0 +1,183 @@
+const Cart = require("../models/Cart");
+const Menu = require("../models/Menu");
+const ServiceError = require("../utils/serviceError");
+const { priceSelection } = require("./menuService");
+
+const parseQuantity = (quantity) => {
+    const value = Number(quantity);
+    if (!Number.isInteger(value) || value < 1) {
+        throw new ServiceError("Quantity must be a positive whole number");
+    }
+    return value;
+};
+
+const optionKey = (modifiers) => modifiers.map((modifier) => modifier.option.toString()).sort().join(",");
+
+/**
+ * Finds a line by its _id, or by menu item ID as long as the item is in the
+ * cart only once, i.e. not several times with different modifiers.
+ */
+const findLine = (cart, lineOrMenuItemId) => {
+    const id = String(lineOrMenuItemId);
+    const byId = cart.items.find((line) => line._id?.toString() === id);
+    if (byId) {
+        return byId;
+    }
+    const lines = cart.items.filter((line) => line.menuItem.toString() === id);
+    if (lines.length > 1) {
+        throw new ServiceError("This item is in the cart with different modifiers, use the line ID", 409);
+    }
+    return lines[0];
+};
+
+const getCart = async (customerId) => {
+    const cart = await Cart.findOne({ customer: customerId });
+    return cart || new Cart({ customer: customerId, items: [] });
+};
+
+const addCartItem = async (customerId, menuItemId, quantity, optionIds = []) => {
+    const count = parseQuantity(quantity);
+    const menuItem = await Menu.findById(menuItemId);
+    if (!menuItem) {
+        throw new ServiceError("Menu item not found", 404);
+    }
+    if (!menuItem.availability) {
+        throw new ServiceError(`${menuItem.itemName} is not available right now`, 409);
+    }
+
+    const cart = await Cart.findOneAndUpdate(
+        { customer: customerId },
+        { $setOnInsert: { customer: customerId } },
+        { upsert: true, new: true }
+    );
+    if (cart.items.length > 0 && !cart.restaurant.equals(menuItem.restaurant)) {
+        throw new ServiceError("Your cart has items from another restaurant, clear it before adding this item", 409);
+    }
+
+    const { unitPrice, modifiers } = priceSelection(menuItem, optionIds);
+    const snapshot = { itemName: menuItem.itemName, unitPrice, modifiers, available: true };
+    // The same item with the same options adds up, other options make a new line
+    const line = cart.items.find((entry) => entry.menuItem.equals(menuItem._id) && optionKey(entry.modifiers) === optionKey(modifiers));
+    if (line) {
+        line.set({ ...snapshot, quantity: line.quantity + count });
+    } else {
+        cart.items.push({ menuItem: menuItem._id, ...snapshot, quantity: count });
+    }
+    cart.restaurant = menuItem.restaurant;
+
+    return cart.save();
+};
+
+const updateCartItem = async (customerId, lineOrMenuItemId, quantity) => {
+    const count = parseQuantity(quantity);
+    const cart = await Cart.findOne({ customer: customerId });
+    const line = cart && findLine(cart, lineOrMenuItemId);
+    if (!line) {
+        throw new ServiceError("Item is not in the cart", 404);
+    }
+
+    line.quantity = count;
+    return cart.save();
+};
+
+const removeCartItem = async (customerId, lineOrMenuItemId) => {
+    const cart = await Cart.findOne({ customer: customerId });
+    const line = cart && findLine(cart, lineOrMenuItemId);
+    if (!line) {
+        throw new ServiceError("Item is not in the cart", 404);
+    }
+
+    cart.items.pull(line);
+    if (cart.items.length === 0) {
+        cart.restaurant = undefined;
+    }
+    return cart.save();
+};
+
+const clearCart = async (customerId, session) => {
+    await Cart.updateOne(
+        { customer: customerId },
+        { $set: { items: [] }, $unset: { restaurant: "" } },
+        { session }
+    );
+};
+
+// Current price of a line's item and options, or null when an option was removed or is unavailable
+const repriceLine = (line, menuItem) => {
+    try {
+        return priceSelection(menuItem, line.modifiers.map((modifier) => modifier.option.toString()));
+    } catch (err) {
+        if (err.statusCode) {
+            return null;
+        }
+        throw err;
+    }
+};
+
+/**
+ * Compares every line with the current menu and returns the differences, e.g.
+ * a changed price, an item that was removed or marked unavailable or options
+ * that no longer fit the item's modifier groups, along with the menu items
+ * looked up. Checkout only goes ahead without changes.
+ */
+const findCartChanges = async (cart, session) => {
+    const menuItems = await Menu.find({ _id: { $in: cart.items.map((line) => line.menuItem) } }).session(session || null);
+    const menuById = new Map(menuItems.map((menuItem) => [menuItem._id.toString(), menuItem]));
+
+    const changes = [];
+    for (const line of cart.items) {
+        const menuItem = menuById.get(line.menuItem.toString());
+        const change = { lineId: line._id, menuItem: line.menuItem, itemName: line.itemName };
+        if (!menuItem || !menuItem.restaurant.equals(cart.restaurant)) {
+            changes.push({ ...change, change: "removed" });
+            continue;
+        }
+        if (!menuItem.availability) {
+            changes.push({ ...change, change: "unavailable" });
+            continue;
+        }
+        const priced = repriceLine(line, menuItem);
+        if (!priced) {
+            changes.push({ ...change, change: "options-changed" });
+        } else if (priced.unitPrice !== line.unitPrice) {
+            changes.push({ ...change, change: "price-changed", oldPrice: line.unitPrice, newPrice: priced.unitPrice });
+        }
+    }
+    return { changes, menuById };
+};
+
+// Brings the snapshots in line with the menu so the customer sees what they would pay
+const refreshCart = async (cart) => {
+    const { changes, menuById } = await findCartChanges(cart);
+    for (const change of changes) {
+        const line = cart.items.id(change.lineId);
+        if (change.change === "removed") {
+            cart.items.pull(line);
+            continue;
+        }
+        const menuItem = menuById.get(change.menuItem.toString());
+        const priced = change.change === "price-changed" ? repriceLine(line, menuItem) : null;
+        line.set({
+            itemName: menuItem.itemName,
+            ...(priced && { unitPrice: priced.unitPrice, modifiers: priced.modifiers }),
+            available: change.change === "price-changed",
+        });
+    }
+    if (cart.items.length === 0) {
+        cart.restaurant = undefined;
+    }
+    if (changes.length > 0) {
+        await cart.save();
+    }
+    return changes;
+};
+
+module.exports = {
+    getCart,
+    addCartItem,
+    updateCartItem,
+    removeCartItem,
+    clearCart,
+    findCartChanges,
+    refreshCart,
+};
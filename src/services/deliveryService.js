@@ -0,0 +1,282 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const Order = require("../models/Order");
+const Delivery = require("../models/Delivery");
+const SecurityEvent = require("../models/SecurityEvent");
+const ServiceError = require("../utils/serviceError");
+const { hasPermission, PERMISSIONS } = require("../configuration/permissions");
+const { OPEN_DELIVERY, transitionOrder } = require("./orderLifecycle");
+const { storeImage, removeImage } = require("./imageService");
+const { getPrivateStorage } = require("./storage");
+
+/**
+ * Steps a courier takes through a delivery and the order status each one
+ * moves the order to. EnRoute leaves the order OutForDelivery.
+ */
+const DELIVERY_STEPS = {
+    Pending: { PickedUp: "OutForDelivery" },
+    PickedUp: { EnRoute: null, Delivered: "Delivered" },
+    EnRoute: { Delivered: "Delivered" },
+};
+// Courier apps written before deliveries existed send order statuses
+const ORDER_STATUS_ALIASES = { OutForDelivery: "PickedUp" };
+const PAST_DELIVERY = ["Delivered", "Cancelled"];
+
+// Proof can be given once the courier has the order
+const CARRYING = ["PickedUp", "EnRoute"];
+const HANDOFF_MAX_FAILURES = Number(process.env.HANDOFF_MAX_FAILURES) || 5;
+const HANDOFF_LOCK_MINUTES = Number(process.env.HANDOFF_LOCK_MINUTES) || 15;
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const assertOrderId = (orderId) => {
+    if (!mongoose.isValidObjectId(orderId)) {
+        throw new ServiceError("Invalid order ID");
+    }
+};
+
+const newHandoffCode = () => String(crypto.randomInt(0, 10000)).padStart(4, "0");
+
+// Drop-off photos show customers' homes: they sit in the private storage and only admins get them, through this route
+const proofFileUrl = (orderId) => (key) => `/api/admin/orders/${orderId}/delivery-proof/files/${key}`;
+
+/**
+ * Opens the delivery of a courier who took the order. A delivery another
+ * courier still had open, i.e. when an admin reassigns the order, is cancelled.
+ * The order gets its handoff code here unless it already has one.
+ */
+const startDelivery = async (order, courierId) => {
+    await Order.updateOne({ _id: order._id, handoffCode: null }, { $set: { handoffCode: newHandoffCode() } });
+    await Delivery.updateMany(
+        { order: order._id, deliveryPersonnel: { $ne: courierId }, deliveryStatus: { $in: OPEN_DELIVERY } },
+        { $set: { deliveryStatus: "Cancelled", cancelledAt: new Date(), cancelReason: "Order given to another courier" } }
+    );
+    const open = await Delivery.findOne({ order: order._id, deliveryPersonnel: courierId, deliveryStatus: { $in: OPEN_DELIVERY } });
+    return open || Delivery.create({ order: order._id, deliveryPersonnel: courierId });
+};
+
+// The order's current delivery among `statuses`, if `actor` is its courier (or may act for any)
+const findCourierDelivery = async (orderId, actor, statuses = OPEN_DELIVERY) => {
+    const delivery = await Delivery.findOne({ order: orderId, deliveryStatus: { $in: statuses } }).sort({ createdAt: -1 });
+    if (!delivery) {
+        throw new ServiceError("This order has no delivery", 404);
+    }
+    if (delivery.deliveryPersonnel.toString() !== actor._id.toString() && !hasPermission(actor.role, PERMISSIONS.RESOURCE_ANY)) {
+        throw new ServiceError("This delivery belongs to another courier", 403);
+    }
+    return delivery;
+};
+
+/**
+ * Moves the order's delivery to `status` (PickedUp, EnRoute or Delivered) on
+ * behalf of its courier and records the pickup and drop-off times; the order
+ * follows. Delivered needs proof of delivery. If the order cannot move, e.g.
+ * the kitchen has not started preparing it, the delivery is set back.
+ */
+const advanceDelivery = async (orderId, status, actor, reason) => {
+    assertOrderId(orderId);
+    const to = ORDER_STATUS_ALIASES[status] || status;
+    if (!["PickedUp", "EnRoute", "Delivered"].includes(to)) {
+        throw new ServiceError("Status must be PickedUp, EnRoute or Delivered");
+    }
+
+    const delivery = await findCourierDelivery(orderId, actor, [...OPEN_DELIVERY, "Delivered"]);
+    let order = await Order.findById(orderId);
+    if (delivery.deliveryStatus === to) {
+        return { delivery, order, changed: false };
+    }
+
+    const from = delivery.deliveryStatus;
+    if (!Object.prototype.hasOwnProperty.call(DELIVERY_STEPS[from] || {}, to)) {
+        throw new ServiceError(`Delivery cannot move from ${from} to ${to}`, 409);
+    }
+    if (to === "Delivered" && !delivery.proof?.method) {
+        throw new ServiceError("Enter the customer's handoff code or upload a photo of the drop-off first", 409);
+    }
+    const times = { ...(to === "PickedUp" && { pickupTime: new Date() }), ...(to === "Delivered" && { deliveryTime: new Date() }) };
+    const updated = await Delivery.findOneAndUpdate(
+        { _id: delivery._id, deliveryStatus: from },
+        { $set: { deliveryStatus: to, ...times } },
+        { new: true }
+    );
+    if (!updated) {
+        throw new ServiceError("The delivery was updated in the meantime, please reload it", 409);
+    }
+
+    // The order may already be there, e.g. the restaurant marked it out for delivery
+    const orderStatus = DELIVERY_STEPS[from][to];
+    if (orderStatus && order.orderStatus !== orderStatus) {
+        try {
+            order = await transitionOrder(order, orderStatus, { actor, reason });
+        } catch (err) {
+            const unset = Object.fromEntries(Object.keys(times).map((field) => [field, ""]));
+            await Delivery.updateOne({ _id: delivery._id, deliveryStatus: to }, { $set: { deliveryStatus: from }, $unset: unset });
+            throw err;
+        }
+    }
+    return { delivery: updated, order, changed: true };
+};
+
+const assertCarrying = (delivery) => {
+    if (!CARRYING.includes(delivery.deliveryStatus)) {
+        throw new ServiceError("Proof of delivery can be given once the order is picked up", 409);
+    }
+};
+
+const sameCode = (given, expected) => {
+    const [a, b] = [Buffer.from(given), Buffer.from(expected)];
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+/**
+ * Checks the handoff code the customer gave the courier and records it as
+ * proof of delivery. Every wrong code is logged as a security event; after
+ * HANDOFF_MAX_FAILURES in a row, codes are refused for HANDOFF_LOCK_MINUTES.
+ * Each try is counted before the code is compared, so guesses sent in
+ * parallel cannot get past the limit.
+ */
+const submitHandoffCode = async (orderId, code, actor) => {
+    assertOrderId(orderId);
+    if (typeof code !== "string" || !/^\d{4}$/.test(code)) {
+        throw new ServiceError("code must be the customer's 4 digit handoff code");
+    }
+    const delivery = await findCourierDelivery(orderId, actor);
+    assertCarrying(delivery);
+    const now = new Date();
+
+    const attempt = await Delivery.findOneAndUpdate(
+        {
+            _id: delivery._id,
+            deliveryStatus: { $in: CARRYING },
+            handoffFailures: { $lt: HANDOFF_MAX_FAILURES },
+            $or: [{ handoffLockedUntil: null }, { handoffLockedUntil: { $lte: now } }],
+        },
+        { $inc: { handoffFailures: 1 }, $unset: { handoffLockedUntil: "" } },
+        { new: true }
+    );
+    if (!attempt) {
+        const current = await Delivery.findById(delivery._id).select("deliveryStatus handoffLockedUntil");
+        assertCarrying(current);
+        // Without a lock yet, the try that used up the budget is still being checked
+        const seconds = current.handoffLockedUntil > now ? Math.ceil((current.handoffLockedUntil.getTime() - now.getTime()) / 1000) : 1;
+        throw new ServiceError(`Too many wrong codes, try again in ${seconds} seconds or upload a photo`, 429);
+    }
+
+    const order = await Order.findById(orderId).select("+handoffCode");
+    if (order?.handoffCode && sameCode(code, order.handoffCode)) {
+        const updated = await Delivery.findOneAndUpdate(
+            { _id: delivery._id, deliveryStatus: { $in: CARRYING } },
+            { $set: { proof: { method: "code", submittedAt: now }, handoffFailures: 0 } },
+            { new: true }
+        );
+        if (!updated) {
+            throw new ServiceError("The delivery was updated in the meantime, please reload it", 409);
+        }
+        await removeImage(attempt.proof?.photo, getPrivateStorage());
+        return updated;
+    }
+
+    const lockedUntil = attempt.handoffFailures >= HANDOFF_MAX_FAILURES ? new Date(now.getTime() + HANDOFF_LOCK_MINUTES * 60000) : undefined;
+    if (lockedUntil) {
+        await Delivery.updateOne({ _id: delivery._id }, { $set: { handoffFailures: 0, handoffLockedUntil: lockedUntil } });
+    }
+    await SecurityEvent.create({
+        type: "handoff-code-failed",
+        user: delivery.deliveryPersonnel,
+        actor: actor._id,
+        details: { order: delivery.order, delivery: delivery._id, failures: attempt.handoffFailures, lockedUntil },
+    });
+    throw new ServiceError("The handoff code is wrong", 422);
+};
+
+// Contactless drop-off: a photo of the order at the door stands in for the code
+const submitDeliveryPhoto = async (orderId, file, actor) => {
+    assertOrderId(orderId);
+    const delivery = await findCourierDelivery(orderId, actor);
+    assertCarrying(delivery);
+
+    const photo = await storeImage(file, `deliveries/${delivery._id}`, { storage: getPrivateStorage(), urlOf: proofFileUrl(delivery.order) });
+    const previous = delivery.proof?.photo;
+    const updated = await Delivery.findOneAndUpdate(
+        { _id: delivery._id, deliveryStatus: { $in: CARRYING } },
+        { $set: { proof: { method: "photo", photo, submittedAt: new Date() } } },
+        { new: true }
+    );
+    if (!updated) {
+        await removeImage(photo, getPrivateStorage());
+        throw new ServiceError("The delivery was updated in the meantime, please reload it", 409);
+    }
+    await removeImage(previous, getPrivateStorage());
+    return updated;
+};
+
+// Admin view of how each delivery of the order was proven, with the wrong codes entered
+const getDeliveryProof = async (orderId) => {
+    assertOrderId(orderId);
+    const deliveries = await Delivery.find({ order: orderId })
+        .populate("deliveryPersonnel", "firstName lastName emailId")
+        .sort({ createdAt: 1 });
+    if (deliveries.length === 0) {
+        throw new ServiceError("This order has no delivery", 404);
+    }
+    const failedCodes = await SecurityEvent.find({ type: "handoff-code-failed", "details.order": deliveries[0].order })
+        .select("user details createdAt")
+        .sort({ createdAt: 1 });
+    return { orderId: deliveries[0].order, deliveries, failedCodes };
+};
+
+// A drop-off photo of the order, or one of its thumbnails, read from the private storage
+const getDeliveryProofFile = async (orderId, key) => {
+    assertOrderId(orderId);
+    const delivery = await Delivery.exists({
+        order: orderId,
+        $or: [{ "proof.photo.key": key }, { "proof.photo.thumbnails.key": key }],
+    });
+    const file = delivery && await getPrivateStorage().get(key);
+    if (!file) {
+        throw new ServiceError("Photo not found", 404);
+    }
+    return file;
+};
+
+// The courier's deliveries, newest first; `scope` active or past narrows the list
+const listCourierDeliveries = async (courier, { scope, page = 1, limit = DEFAULT_PAGE_SIZE } = {}) => {
+    const filter = { deliveryPersonnel: courier._id };
+    if (scope === "active") {
+        filter.deliveryStatus = { $in: OPEN_DELIVERY };
+    } else if (scope === "past") {
+        filter.deliveryStatus = { $in: PAST_DELIVERY };
+    } else if (scope !== undefined) {
+        throw new ServiceError("scope must be active or past");
+    }
+
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const [deliveries, total] = await Promise.all([
+        Delivery.find(filter)
+            .populate({
+                path: "order",
+                select: "orderStatus totalAmount deliveryTime restaurant deliveryAddress",
+                populate: [
+                    { path: "restaurant", select: "restaurantName address location" },
+                    { path: "deliveryAddress" },
+                ],
+            })
+            .sort({ createdAt: -1 })
+            .skip((pageNumber - 1) * pageSize)
+            .limit(pageSize),
+        Delivery.countDocuments(filter),
+    ]);
+    return { data: deliveries, page: pageNumber, limit: pageSize, totalResults: total };
+};
+
+module.exports = {
+    startDelivery,
+    advanceDelivery,
+    submitHandoffCode,
+    submitDeliveryPhoto,
+    getDeliveryProof,
+    getDeliveryProofFile,
+    listCourierDeliveries,
+};
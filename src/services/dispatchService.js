@@ -0,0 +1,310 @@
+const mongoose = require("mongoose");
+const Order = require("../models/Order");
+const User = require("../models/User");
+const Restaurant = require("../models/Restaurant");
+const DeliveryAddress = require("../models/DeliveryAddress");
+const DispatchOffer = require("../models/DispatchOffer");
+const ServiceError = require("../utils/serviceError");
+const { distanceKm } = require("../utils/geo");
+const { vehicleOf } = require("../utils/vehicles");
+const { transitionOrder, assignmentEntry } = require("./orderLifecycle");
+const { startDelivery } = require("./deliveryService");
+
+const OFFER_TIMEOUT_SECONDS = Number(process.env.DISPATCH_OFFER_TIMEOUT_SECONDS) || 60;
+const MAX_DISTANCE_KM = Number(process.env.DISPATCH_MAX_DISTANCE_KM) || 10;
+const MAX_ACTIVE_ORDERS = Number(process.env.DISPATCH_MAX_ACTIVE_ORDERS) || 2;
+// Couriers whose position is older than this are not offered orders
+const LOCATION_MAX_AGE_MINUTES = 15;
+// A courier who let an order go is offered it again only after this long
+const REOFFER_AFTER_MINUTES = 10;
+// Score penalties in minutes: per order the courier already carries, and for never accepting offers
+const LOAD_PENALTY_MINUTES = 10;
+const ACCEPTANCE_PENALTY_MINUTES = 10;
+const CANDIDATE_LIMIT = 50;
+const BATCH_SIZE = 100;
+
+// Orders that still need a courier, and the ones that count towards a courier's load
+const AWAITING_COURIER = ["Pending", "Rescheduled", "Accepted", "Preparing"];
+const COURIER_LOAD = ["Accepted", "Preparing", "OutForDelivery"];
+
+// Share of offers taken, smoothed so a new courier starts at one half instead of zero
+const acceptanceRate = (stats = {}) => ((stats.accepted || 0) + 1) / ((stats.offered || 0) + 2);
+
+const awaitsCourier = (order) => Boolean(order) && AWAITING_COURIER.includes(order.orderStatus) && !order.deliveryPersonnel;
+
+/**
+ * Ranks the couriers who could take the order, best first. Couriers must be
+ * available, active, not holding an open offer, below the load limit and on a
+ * vehicle suited to the trip length. The score estimates the minutes until
+ * the courier is at the restaurant, plus penalties for the orders they
+ * already carry and for a low acceptance rate. Without a restaurant location
+ * distance is left out.
+ */
+const rankCouriers = async (order, now = new Date()) => {
+    const [restaurant, address] = await Promise.all([
+        Restaurant.findById(order.restaurant).select("location").lean(),
+        order.deliveryAddress ? DeliveryAddress.findById(order.deliveryAddress).select("location").lean() : null,
+    ]);
+    const tripKm = restaurant?.location && address?.location ? distanceKm(restaurant.location, address.location) : null;
+
+    const [recentlyOffered, busy] = await Promise.all([
+        DispatchOffer.distinct("courier", { order: order._id, createdAt: { $gt: new Date(now.getTime() - REOFFER_AFTER_MINUTES * 60000) } }),
+        DispatchOffer.distinct("courier", { status: "offered" }),
+    ]);
+    const query = {
+        role: "delivery",
+        status: "active",
+        "courierProfile.isAvailable": true,
+        _id: { $nin: [...recentlyOffered, ...busy] },
+    };
+
+    const couriers = restaurant?.location
+        ? await User.aggregate([
+            {
+                $geoNear: {
+                    near: restaurant.location,
+                    key: "courierProfile.lastLocation",
+                    distanceField: "distanceMeters",
+                    maxDistance: MAX_DISTANCE_KM * 1000,
+                    spherical: true,
+                    query: { ...query, "courierProfile.lastLocationAt": { $gte: new Date(now.getTime() - LOCATION_MAX_AGE_MINUTES * 60000) } },
+                },
+            },
+            { $limit: CANDIDATE_LIMIT },
+            { $project: { courierProfile: 1, distanceMeters: 1 } },
+        ])
+        : await User.find(query).select("courierProfile").limit(CANDIDATE_LIMIT).lean();
+    if (couriers.length === 0) {
+        return [];
+    }
+
+    const loads = new Map((await Order.aggregate([
+        { $match: { deliveryPersonnel: { $in: couriers.map((courier) => courier._id) }, orderStatus: { $in: COURIER_LOAD } } },
+        { $group: { _id: "$deliveryPersonnel", count: { $sum: 1 } } },
+    ])).map(({ _id, count }) => [_id.toString(), count]));
+
+    return couriers
+        .map((courier) => {
+            const vehicle = vehicleOf(courier.courierProfile.vehicleType);
+            const load = loads.get(courier._id.toString()) || 0;
+            const distance = courier.distanceMeters === undefined ? null : courier.distanceMeters / 1000;
+            const travelMinutes = distance === null ? 0 : (distance / vehicle.speedKmh) * 60;
+            return {
+                courier: courier._id,
+                distanceKm: distance === null ? undefined : Math.round(distance * 100) / 100,
+                load,
+                suited: tripKm === null || tripKm <= vehicle.maxTripKm,
+                score: travelMinutes
+                    + load * LOAD_PENALTY_MINUTES
+                    + (1 - acceptanceRate(courier.courierProfile.dispatchStats)) * ACCEPTANCE_PENALTY_MINUTES,
+            };
+        })
+        .filter((candidate) => candidate.load < MAX_ACTIVE_ORDERS && candidate.suited)
+        .sort((a, b) => a.score - b.score);
+};
+
+// Offers the order to the best courier; null when nobody fits or another instance offered it first
+const offerOrder = async (order, now = new Date()) => {
+    const [best] = await rankCouriers(order, now);
+    if (!best) {
+        return null;
+    }
+
+    try {
+        const offer = await DispatchOffer.create({
+            order: order._id,
+            courier: best.courier,
+            score: Math.round(best.score * 10) / 10,
+            distanceKm: best.distanceKm,
+            expiresAt: new Date(now.getTime() + OFFER_TIMEOUT_SECONDS * 1000),
+        });
+        await User.updateOne({ _id: best.courier }, { $inc: { "courierProfile.dispatchStats.offered": 1 } });
+        return offer;
+    } catch (err) {
+        // The unique index allows one open offer per order
+        if (err.code === 11000) {
+            return null;
+        }
+        throw err;
+    }
+};
+
+/**
+ * Closes open offers that ran out (counted against the courier) or whose
+ * order no longer needs a courier, e.g. it was cancelled or assigned by an
+ * admin. Their orders cascade to the next courier on the next run.
+ */
+const closeStaleOffers = async (now = new Date()) => {
+    const open = await DispatchOffer.find({ status: "offered" }).populate("order", "orderStatus deliveryPersonnel");
+    for (const offer of open) {
+        const status = offer.expiresAt <= now ? "expired" : !awaitsCourier(offer.order) ? "withdrawn" : null;
+        if (!status) {
+            continue;
+        }
+        const closed = await DispatchOffer.findOneAndUpdate(
+            { _id: offer._id, status: "offered" },
+            { $set: { status, respondedAt: now } }
+        );
+        if (closed && status === "expired") {
+            await User.updateOne({ _id: offer.courier }, { $inc: { "courierProfile.dispatchStats.expired": 1 } });
+        }
+    }
+};
+
+/**
+ * One dispatch round: closes stale offers, then offers every order waiting
+ * for a courier without an open offer, oldest first. Safe to run on several
+ * instances at once, the unique index on open offers keeps one per order.
+ */
+const dispatchOrders = async (now = new Date()) => {
+    await closeStaleOffers(now);
+
+    const withOffer = await DispatchOffer.distinct("order", { status: "offered" });
+    const orders = await Order.find({
+        orderStatus: { $in: AWAITING_COURIER },
+        deliveryPersonnel: null,
+        _id: { $nin: withOffer },
+    }).sort({ createdAt: 1 }).limit(BATCH_SIZE);
+
+    let offered = 0;
+    for (const order of orders) {
+        if (await offerOrder(order, now)) {
+            offered += 1;
+        }
+    }
+    return offered;
+};
+
+/**
+ * Makes `courierId` the order's courier and opens their delivery. A Pending
+ * or Rescheduled order is accepted on the way, as when a courier accepted it
+ * before dispatch existed; the conditional updates make a concurrent
+ * assignment fail with a 409. Either way the order's history records who
+ * gave it from which courier to which.
+ */
+const assignOrder = async (orderId, courierId, actor, reason) => {
+    const order = await Order.findById(orderId);
+    if (!order) {
+        throw new ServiceError("Order not found", 404);
+    }
+    let updated;
+    if (["Pending", "Rescheduled"].includes(order.orderStatus)) {
+        updated = await transitionOrder(order, "Accepted", { actor, reason, set: { deliveryPersonnel: courierId } });
+    } else if (["Accepted", "Preparing"].includes(order.orderStatus)) {
+        updated = await Order.findOneAndUpdate(
+            { _id: order._id, orderStatus: order.orderStatus, deliveryPersonnel: order.deliveryPersonnel ?? null },
+            {
+                $set: { deliveryPersonnel: courierId },
+                $push: { statusHistory: assignmentEntry(order, courierId, actor, reason) },
+            },
+            { new: true }
+        );
+        if (!updated) {
+            throw new ServiceError("The order was updated in the meantime, please reload it", 409);
+        }
+    } else {
+        throw new ServiceError(`A courier cannot be assigned to a ${order.orderStatus} order`, 409);
+    }
+
+    await startDelivery(updated, courierId);
+    return updated;
+};
+
+const assertOrderId = (orderId) => {
+    if (!mongoose.isValidObjectId(orderId)) {
+        throw new ServiceError("Invalid order ID");
+    }
+};
+
+// Orders currently offered to the courier, each with its offer
+const listOffers = async (courier, now = new Date()) => {
+    const offers = await DispatchOffer.find({ courier: courier._id, status: "offered", expiresAt: { $gt: now } })
+        .populate("order")
+        .sort({ createdAt: 1 })
+        .lean();
+    return offers
+        .filter((offer) => awaitsCourier(offer.order))
+        .map(({ order, _id, expiresAt, distanceKm: distance }) => ({ ...order, offer: { _id, expiresAt, distanceKm: distance } }));
+};
+
+const acceptOffer = async (orderId, courier) => {
+    assertOrderId(orderId);
+    const now = new Date();
+    const offer = await DispatchOffer.findOneAndUpdate(
+        { order: orderId, courier: courier._id, status: "offered", expiresAt: { $gt: now } },
+        { $set: { status: "accepted", respondedAt: now } },
+        { new: true }
+    );
+    if (!offer) {
+        throw new ServiceError("This order is not offered to you, or the offer has expired", 409);
+    }
+
+    let order;
+    try {
+        order = await assignOrder(orderId, courier._id, courier);
+    } catch (err) {
+        await DispatchOffer.updateOne({ _id: offer._id }, { $set: { status: "withdrawn" } });
+        throw err;
+    }
+    await User.updateOne({ _id: courier._id }, { $inc: { "courierProfile.dispatchStats.accepted": 1 } });
+    return order;
+};
+
+// The order goes to the next courier on the next dispatch round
+const declineOffer = async (orderId, courier) => {
+    assertOrderId(orderId);
+    const offer = await DispatchOffer.findOneAndUpdate(
+        { order: orderId, courier: courier._id, status: "offered" },
+        { $set: { status: "declined", respondedAt: new Date() } },
+        { new: true }
+    );
+    if (!offer) {
+        throw new ServiceError("This order is not offered to you", 409);
+    }
+    await User.updateOne({ _id: courier._id }, { $inc: { "courierProfile.dispatchStats.declined": 1 } });
+    return offer;
+};
+
+// A courier going offline hands back their open offers without it counting against them
+const withdrawCourierOffers = async (courierId) => {
+    await DispatchOffer.updateMany({ courier: courierId, status: "offered" }, { $set: { status: "withdrawn", respondedAt: new Date() } });
+};
+
+/**
+ * Admin override: gives the order to `courierId`, whether it had a courier or
+ * not, withdrawing any open offer. The assignment is kept with the offers.
+ */
+const assignCourier = async (orderId, courierId, actor) => {
+    assertOrderId(orderId);
+    if (!mongoose.isValidObjectId(courierId)) {
+        throw new ServiceError("Invalid courier ID");
+    }
+    const courier = await User.findOne({ _id: courierId, role: "delivery", status: "active" }).select("_id");
+    if (!courier) {
+        throw new ServiceError("Courier not found", 404);
+    }
+
+    const now = new Date();
+    await DispatchOffer.updateMany({ order: orderId, status: "offered" }, { $set: { status: "withdrawn", respondedAt: now } });
+    const order = await assignOrder(orderId, courier._id, actor, "Courier assigned by an admin");
+    await DispatchOffer.create({ order: order._id, courier: courier._id, status: "assigned", assignedBy: actor._id, respondedAt: now });
+    return order;
+};
+
+const listOrderOffers = async (orderId) => {
+    assertOrderId(orderId);
+    return DispatchOffer.find({ order: orderId })
+        .populate("courier", "firstName lastName courierProfile.vehicleType")
+        .sort({ createdAt: 1 });
+};
+
+module.exports = {
+    rankCouriers,
+    dispatchOrders,
+    listOffers,
+    acceptOffer,
+    declineOffer,
+    withdrawCourierOffers,
+    assignCourier,
+    listOrderOffers,
+};
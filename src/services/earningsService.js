@@ -0,0 +1,331 @@
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Restaurant = require("../models/Restaurant");
+const DeliveryAddress = require("../models/DeliveryAddress");
+const Delivery = require("../models/Delivery");
+const CourierLedgerEntry = require("../models/CourierLedgerEntry");
+const PayoutBatch = require("../models/PayoutBatch");
+const ServiceError = require("../utils/serviceError");
+const { withTransaction } = require("../utils/transaction");
+const { distanceKm } = require("../utils/geo");
+const { toCsv } = require("../utils/csv");
+const { DEFAULT_TIME_ZONE } = require("../utils/openingHours");
+const { CURRENCY } = require("./paymentService");
+
+// Delivery fee: a base rate plus a rate per km from restaurant to customer
+const BASE_FEE = Number(process.env.COURIER_BASE_FEE) || 30;
+const FEE_PER_KM = Number(process.env.COURIER_FEE_PER_KM) || 10;
+// Entries that add to what a courier earned, as opposed to payouts
+const EARNING_TYPES = ["delivery-fee", "tip", "adjustment"];
+const DEFAULT_SUMMARY_DAYS = 28;
+const MAX_SUMMARY_DAYS = 366;
+const PAYOUT_COLUMNS = ["batchId", "periodStart", "periodEnd", "courierId", "courierName", "emailId", "deliveries", "fees", "tips", "adjustments", "carriedOver", "amount", "currency"];
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const parseDate = (value, name) => {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+        throw new ServiceError(`${name} must be a date`);
+    }
+    return date;
+};
+
+const parsePage = ({ page = 1, limit = DEFAULT_PAGE_SIZE }) => ({
+    pageNumber: Math.max(parseInt(page) || 1, 1),
+    pageSize: Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE),
+});
+
+/**
+ * Credits the courier of a delivered order with the delivery fee and the
+ * customer's tip. Recording twice is harmless, the unique index keeps one
+ * entry of each per order. Failures are logged: they must not undo the
+ * delivery, and an admin can make up for them with an adjustment.
+ */
+const recordDeliveryEarnings = async (order) => {
+    if (!order.deliveryPersonnel) {
+        return;
+    }
+    try {
+        const [restaurant, address, delivery] = await Promise.all([
+            Restaurant.findById(order.restaurant).select("location"),
+            order.deliveryAddress ? DeliveryAddress.findById(order.deliveryAddress).select("location") : null,
+            Delivery.findOne({ order: order._id, deliveryPersonnel: order.deliveryPersonnel }).sort({ createdAt: -1 }).select("_id"),
+        ]);
+        // Without both locations the courier still gets the base rate
+        const distance = restaurant?.location && address?.location
+            ? Math.round(distanceKm(restaurant.location, address.location) * 10) / 10
+            : 0;
+
+        const common = { courier: order.deliveryPersonnel, currency: CURRENCY, order: order._id, delivery: delivery?._id };
+        const entries = [{ ...common, type: "delivery-fee", amount: roundAmount(BASE_FEE + FEE_PER_KM * distance), distanceKm: distance }];
+        if (order.tip > 0) {
+            entries.push({ ...common, type: "tip", amount: order.tip });
+        }
+        await CourierLedgerEntry.insertMany(entries, { ordered: false });
+    } catch (err) {
+        if (err.code !== 11000) {
+            console.error(`Recording the earnings of order ${order._id} failed:`, err.message);
+        }
+    }
+};
+
+// Corrects a courier's earnings either way; the reason is kept with the entry
+const addAdjustment = async (courierId, { amount, note }, actor) => {
+    if (!mongoose.isValidObjectId(courierId)) {
+        throw new ServiceError("Invalid courier ID");
+    }
+    const value = Number(amount);
+    if (amount === null || amount === "" || !Number.isFinite(value) || value === 0) {
+        throw new ServiceError("amount must be a number other than 0, negative to deduct");
+    }
+    if (typeof note !== "string" || !note.trim()) {
+        throw new ServiceError("note is required, say why the earnings are adjusted");
+    }
+    const courier = await User.findOne({ _id: courierId, role: "delivery" }).select("_id");
+    if (!courier) {
+        throw new ServiceError("Courier not found", 404);
+    }
+    return CourierLedgerEntry.create({
+        courier: courier._id,
+        type: "adjustment",
+        amount: roundAmount(value),
+        currency: CURRENCY,
+        note: note.trim(),
+        actor: actor._id,
+    });
+};
+
+// Amounts per type folded into one row per period, in period order
+const foldPeriods = (groups, key) => {
+    const rows = new Map();
+    for (const { _id, amount, count } of groups) {
+        const row = rows.get(_id.period) || { [key]: _id.period, deliveries: 0, fees: 0, tips: 0, adjustments: 0, total: 0 };
+        if (_id.type === "delivery-fee") {
+            row.deliveries += count;
+            row.fees = roundAmount(row.fees + amount);
+        } else if (_id.type === "tip") {
+            row.tips = roundAmount(row.tips + amount);
+        } else {
+            row.adjustments = roundAmount(row.adjustments + amount);
+        }
+        row.total = roundAmount(row.total + amount);
+        rows.set(_id.period, row);
+    }
+    return [...rows.values()].sort((a, b) => a[key].localeCompare(b[key]));
+};
+
+/**
+ * What the courier earned between `from` and `to` (the last 28 days by
+ * default), per day and per ISO week in `timeZone`, with the balance not yet
+ * paid out.
+ */
+const earningsSummary = async (courier, { from, to, timeZone } = {}) => {
+    const end = to ? parseDate(to, "to") : new Date();
+    const start = from ? parseDate(from, "from") : new Date(end.getTime() - DEFAULT_SUMMARY_DAYS * DAY_MS);
+    if (start >= end) {
+        throw new ServiceError("from must be before to");
+    }
+    if (end.getTime() - start.getTime() > MAX_SUMMARY_DAYS * DAY_MS) {
+        throw new ServiceError(`A summary covers at most ${MAX_SUMMARY_DAYS} days`);
+    }
+    const zone = timeZone || DEFAULT_TIME_ZONE;
+    try {
+        new Intl.DateTimeFormat("en-US", { timeZone: zone });
+    } catch (err) {
+        throw new ServiceError(`Unknown time zone ${zone}`);
+    }
+
+    const match = { courier: courier._id, type: { $in: EARNING_TYPES }, createdAt: { $gte: start, $lt: end } };
+    const byPeriod = (format) => CourierLedgerEntry.aggregate([
+        { $match: match },
+        {
+            $group: {
+                _id: { period: { $dateToString: { format, date: "$createdAt", timezone: zone } }, type: "$type" },
+                amount: { $sum: "$amount" },
+                count: { $sum: 1 },
+            },
+        },
+    ]);
+    const [days, weeks, [balance]] = await Promise.all([
+        byPeriod("%Y-%m-%d"),
+        byPeriod("%G-W%V"),
+        CourierLedgerEntry.aggregate([
+            { $match: { courier: courier._id } },
+            { $group: { _id: null, amount: { $sum: "$amount" } } },
+        ]),
+    ]);
+
+    const daily = foldPeriods(days, "date");
+    const totals = daily.reduce((sum, day) => ({
+        deliveries: sum.deliveries + day.deliveries,
+        fees: roundAmount(sum.fees + day.fees),
+        tips: roundAmount(sum.tips + day.tips),
+        adjustments: roundAmount(sum.adjustments + day.adjustments),
+        total: roundAmount(sum.total + day.total),
+    }), { deliveries: 0, fees: 0, tips: 0, adjustments: 0, total: 0 });
+
+    return {
+        currency: CURRENCY,
+        timeZone: zone,
+        from: start,
+        to: end,
+        totals,
+        // Earned and not paid out yet, over all time
+        balance: roundAmount(balance?.amount || 0),
+        daily,
+        weekly: foldPeriods(weeks, "week"),
+    };
+};
+
+// The courier's ledger entries, newest first
+const listLedger = async (courierId, query = {}) => {
+    if (!mongoose.isValidObjectId(courierId)) {
+        throw new ServiceError("Invalid courier ID");
+    }
+    const { pageNumber, pageSize } = parsePage(query);
+    const filter = { courier: courierId };
+    const [entries, total] = await Promise.all([
+        CourierLedgerEntry.find(filter).sort({ createdAt: -1 }).skip((pageNumber - 1) * pageSize).limit(pageSize),
+        CourierLedgerEntry.countDocuments(filter),
+    ]);
+    return { data: entries, page: pageNumber, limit: pageSize, totalResults: total };
+};
+
+// The payout batch for the earnings from the previous batch's end to `periodEnd`, written in `session`
+const settlePeriod = async (periodEnd, actor, session) => {
+    const previous = await PayoutBatch.findOne().sort({ periodEnd: -1 }).select("periodEnd").session(session);
+    const periodStart = previous ? previous.periodEnd : new Date(0);
+    if (periodEnd <= periodStart) {
+        throw new ServiceError(`Earnings up to ${periodStart.toISOString()} are already settled`, 409);
+    }
+
+    // One after the other: a transaction runs one operation at a time
+    const earned = await CourierLedgerEntry.aggregate([
+        { $match: { type: { $in: EARNING_TYPES }, createdAt: { $gte: periodStart, $lt: periodEnd } } },
+        { $group: { _id: { courier: "$courier", type: "$type" }, amount: { $sum: "$amount" }, count: { $sum: 1 } } },
+    ]).session(session);
+    // Payouts count whenever they were written, earnings only up to the end of the period
+    const balances = await CourierLedgerEntry.aggregate([
+        { $match: { $or: [{ type: { $in: EARNING_TYPES }, createdAt: { $lt: periodEnd } }, { type: "payout" }] } },
+        { $group: { _id: "$courier", amount: { $sum: "$amount" } } },
+    ]).session(session);
+
+    const lines = balances
+        .map(({ _id: courier, amount }) => {
+            const line = { courier, deliveries: 0, fees: 0, tips: 0, adjustments: 0, amount: roundAmount(amount) };
+            for (const group of earned.filter((entry) => entry._id.courier.equals(courier))) {
+                if (group._id.type === "delivery-fee") {
+                    line.deliveries = group.count;
+                    line.fees = roundAmount(group.amount);
+                } else if (group._id.type === "tip") {
+                    line.tips = roundAmount(group.amount);
+                } else {
+                    line.adjustments = roundAmount(group.amount);
+                }
+            }
+            line.carriedOver = roundAmount(line.amount - line.fees - line.tips - line.adjustments);
+            return line;
+        })
+        .filter((line) => line.amount > 0);
+
+    const [batch] = await PayoutBatch.create([{
+        periodStart,
+        periodEnd,
+        currency: CURRENCY,
+        total: roundAmount(lines.reduce((sum, line) => sum + line.amount, 0)),
+        lines,
+        createdBy: actor._id,
+    }], { session });
+
+    await CourierLedgerEntry.insertMany(lines.map((line) => ({
+        courier: line.courier,
+        type: "payout",
+        amount: -line.amount,
+        currency: CURRENCY,
+        payoutBatch: batch._id,
+        note: `Payout for ${periodStart.toISOString()} to ${periodEnd.toISOString()}`,
+        actor: actor._id,
+    })), { session });
+    return batch;
+};
+
+/**
+ * Settles everything earned since the previous batch up to `until` (now by
+ * default): every courier owed money gets a payout entry for their balance,
+ * which includes what earlier periods left, e.g. a deduction larger than the
+ * earnings. Couriers whose balance is not positive are carried to the next
+ * batch. The unique period start stops two admins settling the same period.
+ * The balances are read and the batch and its payout entries written in one
+ * transaction: a batch never exists without its payouts, which would pay the
+ * balances again next time.
+ */
+const createPayoutBatch = async ({ until } = {}, actor) => {
+    const now = new Date();
+    const periodEnd = until ? parseDate(until, "until") : now;
+    if (periodEnd > now) {
+        throw new ServiceError("until cannot lie in the future");
+    }
+
+    try {
+        return await withTransaction((session) => settlePeriod(periodEnd, actor, session));
+    } catch (err) {
+        if (err.code === 11000) {
+            throw new ServiceError("This period was settled in the meantime, please reload", 409);
+        }
+        throw err;
+    }
+};
+
+const listPayoutBatches = async (query = {}) => {
+    const { pageNumber, pageSize } = parsePage(query);
+    const [batches, total] = await Promise.all([
+        PayoutBatch.find().select("-lines").sort({ periodEnd: -1 }).skip((pageNumber - 1) * pageSize).limit(pageSize),
+        PayoutBatch.countDocuments(),
+    ]);
+    return { data: batches, page: pageNumber, limit: pageSize, totalResults: total };
+};
+
+// The batch with its couriers, or as CSV for the bank transfer
+const exportPayoutBatch = async (batchId, format = "json") => {
+    if (!mongoose.isValidObjectId(batchId)) {
+        throw new ServiceError("Invalid payout batch ID");
+    }
+    const batch = await PayoutBatch.findById(batchId).populate("lines.courier", "firstName lastName emailId");
+    if (!batch) {
+        throw new ServiceError("Payout batch not found", 404);
+    }
+    if (format !== "csv") {
+        return batch;
+    }
+
+    return toCsv(PAYOUT_COLUMNS, batch.lines.map((line) => ({
+        batchId: batch._id.toString(),
+        periodStart: batch.periodStart.toISOString(),
+        periodEnd: batch.periodEnd.toISOString(),
+        courierId: line.courier?._id?.toString(),
+        courierName: line.courier ? [line.courier.firstName, line.courier.lastName].filter(Boolean).join(" ") : "",
+        emailId: line.courier?.emailId,
+        deliveries: line.deliveries,
+        fees: line.fees,
+        tips: line.tips,
+        adjustments: line.adjustments,
+        carriedOver: line.carriedOver,
+        amount: line.amount,
+        currency: batch.currency,
+    })));
+};
+
+module.exports = {
+    recordDeliveryEarnings,
+    addAdjustment,
+    earningsSummary,
+    listLedger,
+    createPayoutBatch,
+    listPayoutBatches,
+    exportPayoutBatch,
+};
@@ -0,0 +1,133 @@
+const crypto = require("crypto");
+const sharp = require("sharp");
+const Menu = require("../models/Menu");
+const Restaurant = require("../models/Restaurant");
+const ServiceError = require("../utils/serviceError");
+const { getStorage } = require("./storage");
+
+// Content types accepted for upload and the sharp format each has to decode as
+const IMAGE_TYPES = {
+    "image/jpeg": { format: "jpeg", extension: "jpg" },
+    "image/png": { format: "png", extension: "png" },
+    "image/webp": { format: "webp", extension: "webp" },
+};
+const MAX_IMAGE_BYTES = (Number(process.env.IMAGE_MAX_SIZE_MB) || 5) * 1024 * 1024;
+// Longest side of each thumbnail; thumbnails are WebP and never larger than the upload
+const THUMBNAIL_SIZES = { small: 160, medium: 480, large: 1024 };
+const MAX_PIXELS = 40 * 1000 * 1000;
+const RESTAURANT_IMAGES = ["logo", "banner"];
+
+/**
+ * Checks that the upload really is an image of its declared type, then stores
+ * it with its thumbnails under `prefix`. EXIF orientation is applied and the
+ * metadata (e.g. GPS position) dropped. If a write fails, the files written
+ * so far are removed again. Private images pass the private `storage` and
+ * `urlOf`, the route that streams a stored key to those allowed to see it.
+ */
+const storeImage = async (file, prefix, { storage = getStorage(), urlOf = (key) => storage.url(key) } = {}) => {
+    const type = IMAGE_TYPES[file?.mimetype];
+    if (!type) {
+        throw new ServiceError(`Images must be one of ${Object.keys(IMAGE_TYPES).join(", ")}`, 415);
+    }
+
+    let metadata;
+    try {
+        metadata = await sharp(file.buffer, { limitInputPixels: MAX_PIXELS }).metadata();
+    } catch (err) {
+        throw new ServiceError("The file is not a readable image");
+    }
+    if (metadata.format !== type.format) {
+        throw new ServiceError(`The file is not a ${file.mimetype} image`, 415);
+    }
+
+    const base = `${prefix}/${Date.now()}-${crypto.randomBytes(6).toString("hex")}`;
+    const source = sharp(file.buffer, { limitInputPixels: MAX_PIXELS }).rotate();
+    const original = await source.clone().toBuffer({ resolveWithObject: true });
+    const files = [{ key: `${base}.${type.extension}`, body: original.data, contentType: file.mimetype, info: original.info }];
+    for (const [size, pixels] of Object.entries(THUMBNAIL_SIZES)) {
+        const { data, info } = await source.clone()
+            .resize(pixels, pixels, { fit: "inside", withoutEnlargement: true })
+            .webp({ quality: 80 })
+            .toBuffer({ resolveWithObject: true });
+        files.push({ size, key: `${base}-${size}.webp`, body: data, contentType: "image/webp", info });
+    }
+
+    const stored = [];
+    try {
+        for (const entry of files) {
+            await storage.put(entry.key, entry.body, entry.contentType);
+            stored.push(entry.key);
+        }
+    } catch (err) {
+        await Promise.allSettled(stored.map((key) => storage.remove(key)));
+        throw err;
+    }
+
+    const [main, ...thumbnails] = files;
+    return {
+        key: main.key,
+        url: urlOf(main.key),
+        contentType: main.contentType,
+        width: main.info.width,
+        height: main.info.height,
+        thumbnails: thumbnails.map(({ size, key, info }) => ({ size, key, url: urlOf(key), width: info.width, height: info.height })),
+        uploadedAt: new Date(),
+    };
+};
+
+// Best effort: a file left behind in storage is not worth failing the request for
+const removeImage = async (image, storage = getStorage()) => {
+    if (!image?.key) {
+        return;
+    }
+    const keys = [image.key, ...(image.thumbnails || []).map((thumbnail) => thumbnail.key)];
+    const results = await Promise.allSettled(keys.map((key) => storage.remove(key)));
+    results.filter((result) => result.status === "rejected")
+        .forEach((result) => console.error("Removing a stored image failed:", result.reason?.message));
+};
+
+/**
+ * Stores `file` as the `field` image of the document, replacing (and
+ * removing) the previous one. `file` null removes the image.
+ */
+const replaceImage = async (Model, label, id, field, file, prefix) => {
+    const document = await Model.findById(id).select(field);
+    if (!document) {
+        throw new ServiceError(`${label} not found`, 404);
+    }
+
+    const image = file ? await storeImage(file, prefix) : undefined;
+    const previous = document[field];
+    const updated = await Model.findByIdAndUpdate(
+        id,
+        image ? { $set: { [field]: image } } : { $unset: { [field]: "" } },
+        { new: true }
+    );
+    if (!updated) {
+        await removeImage(image);
+        throw new ServiceError(`${label} not found`, 404);
+    }
+    await removeImage(previous);
+    return updated;
+};
+
+const setMenuItemImage = async (itemId, file) => {
+    return replaceImage(Menu, "Menu item", itemId, "image", file, `menu-items/${itemId}`);
+};
+
+const setRestaurantImage = async (restaurantId, kind, file) => {
+    if (!RESTAURANT_IMAGES.includes(kind)) {
+        throw new ServiceError(`Restaurant images are ${RESTAURANT_IMAGES.join(" and ")}`, 404);
+    }
+    return replaceImage(Restaurant, "Restaurant", restaurantId, kind, file, `restaurants/${restaurantId}/${kind}`);
+};
+
+module.exports = {
+    IMAGE_TYPES,
+    MAX_IMAGE_BYTES,
+    THUMBNAIL_SIZES,
+    storeImage,
+    removeImage,
+    setMenuItemImage,
+    setRestaurantImage,
+};
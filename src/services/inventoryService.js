@@ -0,0 +1,209 @@
+const mongoose = require("mongoose");
+const Menu = require("../models/Menu");
+const OrderItem = require("../models/OrderItem");
+const StockAdjustment = require("../models/StockAdjustment");
+const ServiceError = require("../utils/serviceError");
+
+const DEFAULT_LOG_LIMIT = 50;
+const MAX_LOG_LIMIT = 200;
+
+/**
+ * Update pipeline setting the stock to `stockExpression` and keeping the
+ * availability in step: at zero an available item is made unavailable and
+ * flagged soldOut, and a soldOut item becomes available again once stock is
+ * back. Items the owner switched off by hand stay off.
+ */
+const stockPipeline = (stockExpression) => [
+    { $set: { stock: stockExpression } },
+    {
+        $set: {
+            soldOut: {
+                $cond: [{ $lte: ["$stock", 0] }, { $or: [{ $ifNull: ["$soldOut", false] }, "$availability"] }, false],
+            },
+            availability: {
+                $cond: [{ $lte: ["$stock", 0] }, false, { $or: ["$availability", { $ifNull: ["$soldOut", false] }] }],
+            },
+        },
+    },
+];
+
+// Quantity per tracked menu item of an order; items without a stock count are left out
+const orderQuantities = async (order, session) => {
+    const orderItems = await OrderItem.find({ _id: { $in: order.items } }).session(session || null);
+    const quantities = new Map();
+    for (const item of orderItems) {
+        const key = item.menuItem.toString();
+        quantities.set(key, (quantities.get(key) || 0) + item.quantity);
+    }
+
+    const tracked = await Menu.find({ _id: { $in: [...quantities.keys()] }, stock: { $ne: null } })
+        .select("_id")
+        .session(session || null);
+    return tracked.map(({ _id }) => ({ menuItem: _id, quantity: quantities.get(_id.toString()) }));
+};
+
+const changeStock = async (menuItem, change, { session, requireStock = false } = {}) => {
+    const filter = { _id: menuItem, stock: requireStock ? { $gte: -change } : { $ne: null } };
+    return Menu.findOneAndUpdate(filter, stockPipeline({ $add: ["$stock", change] }), { new: true, session });
+};
+
+/**
+ * Takes the order's tracked items out of stock, all or nothing: when one item
+ * is short the ones already taken are put back and the acceptance is refused.
+ * Returns the changes for recordOrderStock, or putBackOrderStock if the order
+ * could not be accepted after all.
+ */
+const takeOrderStock = async (order, { session } = {}) => {
+    const taken = [];
+    for (const { menuItem, quantity } of await orderQuantities(order, session)) {
+        const updated = await changeStock(menuItem, -quantity, { session, requireStock: true });
+        if (!updated) {
+            await putBackOrderStock(taken, { session });
+            const item = await Menu.findById(menuItem).select("itemName stock").session(session || null);
+            throw new ServiceError(`Not enough stock of ${item?.itemName || menuItem}, ${item?.stock ?? 0} left`, 409);
+        }
+        taken.push({ menuItem, restaurant: updated.restaurant, change: -quantity, stockAfter: updated.stock });
+    }
+    return taken;
+};
+
+// Reverses takeOrderStock without logging, the stock never left the kitchen
+const putBackOrderStock = async (taken, { session } = {}) => {
+    for (const { menuItem, change } of taken) {
+        await changeStock(menuItem, -change, { session });
+    }
+};
+
+const recordOrderStock = async (changes, order, actor, reason, session) => {
+    if (changes.length === 0) {
+        return;
+    }
+    await StockAdjustment.insertMany(changes.map((change) => ({
+        ...change,
+        reason,
+        order: order._id,
+        actor: actor?._id,
+    })), { session });
+};
+
+// Puts the items of a cancelled order that had been accepted back into stock
+const restoreOrderStock = async (order, actor, { session } = {}) => {
+    const restored = [];
+    for (const { menuItem, quantity } of await orderQuantities(order, session)) {
+        const updated = await changeStock(menuItem, quantity, { session });
+        if (updated) {
+            restored.push({ menuItem, restaurant: updated.restaurant, change: quantity, stockAfter: updated.stock });
+        }
+    }
+    await recordOrderStock(restored, order, actor, "order-cancelled", session);
+};
+
+const parseCount = (value, name) => {
+    const count = Number(value);
+    if (!Number.isInteger(count) || count < 0) {
+        throw new ServiceError(`${name} must be a whole number of at least 0`);
+    }
+    return count;
+};
+
+/**
+ * Sets the counted stock of an item and/or its low-stock threshold. `stock:
+ * null` stops tracking the item, which also makes a sold out item available.
+ */
+const setStock = async (menuItemId, { stock, lowStockThreshold, note }, actor) => {
+    const item = await Menu.findById(menuItemId);
+    if (!item) {
+        throw new ServiceError("Menu item not found", 404);
+    }
+
+    if (lowStockThreshold !== undefined) {
+        item.lowStockThreshold = lowStockThreshold === null ? undefined : parseCount(lowStockThreshold, "lowStockThreshold");
+        await item.save();
+    }
+    if (stock === undefined) {
+        return item;
+    }
+
+    if (stock === null) {
+        return Menu.findByIdAndUpdate(item._id, [
+            { $set: { availability: { $or: ["$availability", { $ifNull: ["$soldOut", false] }] }, soldOut: false } },
+            { $unset: "stock" },
+        ], { new: true });
+    }
+
+    const count = parseCount(stock, "stock");
+    const updated = await Menu.findByIdAndUpdate(item._id, stockPipeline(count), { new: true });
+    await StockAdjustment.create({
+        menuItem: item._id,
+        restaurant: item.restaurant,
+        change: count - (item.stock ?? 0),
+        stockAfter: count,
+        reason: "count",
+        actor: actor._id,
+        note,
+    });
+    return updated;
+};
+
+// Adds or removes stock, e.g. a delivery arrived or items were spoiled; stock cannot go below zero
+const adjustStock = async (menuItemId, { change, note }, actor) => {
+    const delta = Number(change);
+    if (!Number.isInteger(delta) || delta === 0) {
+        throw new ServiceError("change must be a whole number other than 0");
+    }
+
+    const updated = await changeStock(menuItemId, delta, { requireStock: delta < 0 });
+    if (!updated) {
+        const item = await Menu.findById(menuItemId).select("stock");
+        if (!item) {
+            throw new ServiceError("Menu item not found", 404);
+        }
+        if (item.stock === undefined || item.stock === null) {
+            throw new ServiceError("Stock is not tracked for this item, set a count first", 409);
+        }
+        throw new ServiceError(`Only ${item.stock} left, stock cannot go below zero`, 409);
+    }
+
+    await StockAdjustment.create({
+        menuItem: updated._id,
+        restaurant: updated.restaurant,
+        change: delta,
+        stockAfter: updated.stock,
+        reason: "adjustment",
+        actor: actor._id,
+        note,
+    });
+    return updated;
+};
+
+const listStockAdjustments = async (menuItemId, { page = 1, limit = DEFAULT_LOG_LIMIT } = {}) => {
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || DEFAULT_LOG_LIMIT, 1), MAX_LOG_LIMIT);
+    return StockAdjustment.find({ menuItem: menuItemId })
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize);
+};
+
+// Tracked items at or below their low-stock threshold (zero when none is set)
+const listLowStock = async (restaurantId) => {
+    if (!mongoose.isValidObjectId(restaurantId)) {
+        throw new ServiceError("Invalid restaurant ID");
+    }
+    return Menu.find({
+        restaurant: restaurantId,
+        stock: { $ne: null },
+        $expr: { $lte: ["$stock", { $ifNull: ["$lowStockThreshold", 0] }] },
+    }).sort({ stock: 1, itemName: 1 });
+};
+
+module.exports = {
+    takeOrderStock,
+    putBackOrderStock,
+    recordOrderStock,
+    restoreOrderStock,
+    setStock,
+    adjustStock,
+    listStockAdjustments,
+    listLowStock,
+};
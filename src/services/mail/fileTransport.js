@@ -0,0 +1,34 @@
+const fs = require("fs/promises");
+const path = require("path");
+
+/**
+ * Writes every message as a JSON file into `directory`, or logs it to the
+ * console when no directory is given. The last messages are also kept in
+ * memory (`outbox`) so tests can read the links that were sent.
+ */
+const createFileTransport = ({ directory }) => {
+    const outbox = [];
+
+    return {
+        outbox,
+        send: async (message) => {
+            const entry = { ...message, sentAt: new Date().toISOString() };
+            outbox.push(entry);
+            if (outbox.length > 50) {
+                outbox.shift();
+            }
+
+            if (!directory) {
+                console.log(`Mail to ${message.to}: ${message.subject}\n${message.text}`);
+                return entry;
+            }
+
+            await fs.mkdir(directory, { recursive: true });
+            const fileName = `${Date.now()}-${String(message.to).replace(/[^a-z0-9@.]/gi, "_")}.json`;
+            await fs.writeFile(path.join(directory, fileName), JSON.stringify(entry, null, 2));
+            return entry;
+        },
+    };
+};
+
+module.exports = createFileTransport;
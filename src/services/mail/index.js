@@ -0,0 +1,50 @@
+const createSmtpTransport = require("./smtpTransport");
+const createFileTransport = require("./fileTransport");
+
+/**
+ * Every transport exposes `send({ to, subject, text, html })` and resolves once
+ * the message has been handed off. MAIL_TRANSPORT picks the implementation:
+ * "smtp" for real delivery, "file" or "console" for development and tests.
+ */
+const transports = {
+    smtp: () => createSmtpTransport({
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === "true",
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASSWORD,
+    }),
+    file: () => createFileTransport({ directory: process.env.MAIL_FILE_DIR || "mail-outbox" }),
+    console: () => createFileTransport({ directory: null }),
+};
+
+let transport;
+
+const getMailTransport = () => {
+    if (!transport) {
+        const name = process.env.MAIL_TRANSPORT || "console";
+        if (!transports[name]) {
+            throw new Error(`Unknown MAIL_TRANSPORT ${name}`);
+        }
+        transport = transports[name]();
+    }
+    return transport;
+};
+
+// Lets tests plug in their own transport
+const setMailTransport = (customTransport) => {
+    transport = customTransport;
+};
+
+const sendMail = async (message) => {
+    return getMailTransport().send({
+        from: process.env.MAIL_FROM || "Faizos <no-reply@faizos.local>",
+        ...message,
+    });
+};
+
+module.exports = {
+    getMailTransport,
+    setMailTransport,
+    sendMail,
+};
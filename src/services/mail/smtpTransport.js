@@ -0,0 +1,22 @@
+const nodemailer = require("nodemailer");
+
+const createSmtpTransport = ({ host, port, secure, user, pass }) => {
+    if (!host) {
+        throw new Error("SMTP_HOST is not defined");
+    }
+
+    const transporter = nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        auth: user ? { user, pass } : undefined,
+    });
+
+    return {
+        send: async ({ from, to, subject, text, html }) => {
+            return transporter.sendMail({ from, to, subject, text, html });
+        },
+    };
+};
+
+module.exports = createSmtpTransport;
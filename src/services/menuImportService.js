@@ -0,0 +1,245 @@
+const mongoose = require("mongoose");
+const Menu = require("../models/Menu");
+const MenuCategory = require("../models/MenuCategory");
+const ServiceError = require("../utils/serviceError");
+const { parseCsv, toCsv } = require("../utils/csv");
+const { parseModifierGroups, parsePosition } = require("./menuService");
+
+// Columns of the import and export format; modifierGroups is JSON inside a CSV cell
+const COLUMNS = ["itemName", "description", "price", "availability", "category", "position", "modifierGroups"];
+const MAX_ROWS = 1000;
+const TRUE_VALUES = ["true", "yes", "1"];
+const FALSE_VALUES = ["false", "no", "0"];
+
+// Empty cells and missing keys leave the field as it is
+const isBlank = (value) => value === undefined || value === null || (typeof value === "string" && value.trim() === "");
+
+const parseBoolean = (value) => {
+    if (typeof value === "boolean") {
+        return value;
+    }
+    const text = String(value).trim().toLowerCase();
+    if (TRUE_VALUES.includes(text)) return true;
+    if (FALSE_VALUES.includes(text)) return false;
+    throw new ServiceError("availability must be true or false");
+};
+
+// Rows of the request body: text/csv, or JSON as a list of items or `{ items: [...] }`
+const readRows = (format, body) => {
+    let rows;
+    if (format === "csv") {
+        const csv = parseCsv(body);
+        const unknown = csv.header.filter((column) => !COLUMNS.includes(column));
+        if (unknown.length > 0) {
+            throw new ServiceError(`Unknown CSV columns: ${unknown.join(", ")}. Expected ${COLUMNS.join(", ")}`);
+        }
+        if (!csv.header.includes("itemName")) {
+            throw new ServiceError("CSV needs an itemName column");
+        }
+        rows = csv.rows;
+    } else {
+        rows = Array.isArray(body) ? body : body?.items;
+        if (!Array.isArray(rows)) {
+            throw new ServiceError("JSON body must be a list of items or { items: [...] }");
+        }
+    }
+
+    if (rows.length === 0) {
+        throw new ServiceError("The import has no items");
+    }
+    if (rows.length > MAX_ROWS) {
+        throw new ServiceError(`An import can hold at most ${MAX_ROWS} items`);
+    }
+    return rows;
+};
+
+/**
+ * Turns one row into the fields to write, collecting every problem instead of
+ * stopping at the first so the report shows all of them. The row is checked
+ * against the Menu schema merged with the item it would update.
+ */
+const parseRow = (row, existing, categories) => {
+    const errors = [];
+    const fields = {};
+    const attempt = (parse) => {
+        try {
+            parse();
+        } catch (err) {
+            errors.push(err.message);
+        }
+    };
+
+    if (!row || typeof row !== "object" || Array.isArray(row)) {
+        return { errors: ["Row must be an object"], fields };
+    }
+
+    if (!isBlank(row.description)) {
+        fields.description = String(row.description);
+    }
+    if (!isBlank(row.price)) {
+        const price = Number(row.price);
+        if (!Number.isFinite(price) || price < 0) {
+            errors.push("price must be a number of at least 0");
+        } else {
+            fields.price = price;
+        }
+    } else if (!existing) {
+        errors.push("price is required for a new item");
+    }
+    if (!isBlank(row.availability)) {
+        attempt(() => {
+            fields.availability = parseBoolean(row.availability);
+        });
+    }
+    if (!isBlank(row.position)) {
+        attempt(() => {
+            fields.position = parsePosition(row.position);
+        });
+    }
+    if (!isBlank(row.modifierGroups)) {
+        attempt(() => {
+            let groups = row.modifierGroups;
+            if (typeof groups === "string") {
+                try {
+                    groups = JSON.parse(groups);
+                } catch (err) {
+                    throw new ServiceError("modifierGroups must be valid JSON");
+                }
+            }
+            fields.modifierGroups = parseModifierGroups(groups);
+        });
+    }
+    if (!isBlank(row.category)) {
+        const name = String(row.category).trim();
+        fields.category = categories.get(name.toLowerCase())?._id;
+        if (!fields.category) {
+            fields.newCategory = name;
+        }
+    }
+
+    if (errors.length === 0) {
+        const { newCategory, ...schemaFields } = fields;
+        const candidate = new Menu({ ...(existing || {}), ...schemaFields, restaurant: existing?.restaurant || new mongoose.Types.ObjectId() });
+        const validation = candidate.validateSync();
+        if (validation) {
+            errors.push(...Object.values(validation.errors).map((error) => error.message));
+        }
+    }
+    return { errors, fields };
+};
+
+/**
+ * Creates or updates menu items by name from a CSV or JSON import. Every row
+ * is validated first; if any row fails nothing is written, and a dry run only
+ * reports what would happen. Categories are matched by name, case-insensitive,
+ * and created when missing. Returns a per-row report.
+ */
+const importMenu = async (restaurantId, { format, body, dryRun = false }) => {
+    if (!mongoose.isValidObjectId(restaurantId)) {
+        throw new ServiceError("Invalid restaurant ID");
+    }
+    const rows = readRows(format, body);
+
+    const [items, categoryList] = await Promise.all([
+        Menu.find({ restaurant: restaurantId }).lean(),
+        MenuCategory.find({ restaurant: restaurantId }).lean(),
+    ]);
+    const itemsByName = new Map();
+    for (const item of items) {
+        itemsByName.set(item.itemName, [...(itemsByName.get(item.itemName) || []), item]);
+    }
+    const categories = new Map(categoryList.map((category) => [category.name.toLowerCase(), category]));
+
+    const seen = new Set();
+    const report = rows.map((row, index) => {
+        const itemName = typeof row?.itemName === "string" ? row.itemName.trim() : row?.itemName;
+        const entry = { row: index + 1, itemName };
+        if (!itemName || typeof itemName !== "string") {
+            return { ...entry, action: "error", errors: ["itemName is required"] };
+        }
+        if (seen.has(itemName)) {
+            return { ...entry, action: "error", errors: [`${itemName} appears more than once in the import`] };
+        }
+        seen.add(itemName);
+
+        const matches = itemsByName.get(itemName) || [];
+        if (matches.length > 1) {
+            return { ...entry, action: "error", errors: [`The menu has ${matches.length} items named ${itemName}, rename them first`] };
+        }
+        const { errors, fields } = parseRow(row, matches[0], categories);
+        if (errors.length > 0) {
+            return { ...entry, action: "error", errors };
+        }
+        return { ...entry, action: matches[0] ? "update" : "create", fields, itemId: matches[0]?._id };
+    });
+
+    const failed = report.filter((entry) => entry.action === "error");
+    const newCategories = [...new Map(report
+        .filter((entry) => entry.fields?.newCategory)
+        .map((entry) => [entry.fields.newCategory.toLowerCase(), entry.fields.newCategory])).values()];
+    const result = {
+        dryRun,
+        created: report.filter((entry) => entry.action === "create").length,
+        updated: report.filter((entry) => entry.action === "update").length,
+        failed: failed.length,
+        newCategories,
+        rows: report.map(({ fields, ...entry }) => entry),
+    };
+
+    if (failed.length > 0 && !dryRun) {
+        throw new ServiceError(`${failed.length} of ${rows.length} rows have errors, nothing was imported`, 422, result);
+    }
+    if (dryRun) {
+        return result;
+    }
+
+    if (newCategories.length > 0) {
+        const created = await MenuCategory.insertMany(newCategories.map((name) => ({ restaurant: restaurantId, name })));
+        created.forEach((category) => categories.set(category.name.toLowerCase(), category));
+    }
+
+    await Menu.bulkWrite(report.map(({ itemName, itemId, fields: { newCategory, ...fields } }) => {
+        const update = { ...fields, ...(newCategory && { category: categories.get(newCategory.toLowerCase())._id }) };
+        return itemId
+            ? { updateOne: { filter: { _id: itemId, restaurant: restaurantId }, update: { $set: update } } }
+            : { insertOne: { document: { ...update, restaurant: restaurantId, itemName } } };
+    }));
+    return result;
+};
+
+// Same shape as an import row; categories by name so the file can be imported into another restaurant
+const exportMenu = async (restaurantId, format) => {
+    if (!mongoose.isValidObjectId(restaurantId)) {
+        throw new ServiceError("Invalid restaurant ID");
+    }
+    const [items, categoryList] = await Promise.all([
+        Menu.find({ restaurant: restaurantId }).sort({ position: 1, itemName: 1 }).lean(),
+        MenuCategory.find({ restaurant: restaurantId }).lean(),
+    ]);
+    const categoryNames = new Map(categoryList.map((category) => [category._id.toString(), category.name]));
+
+    const rows = items.map((item) => ({
+        itemName: item.itemName,
+        description: item.description,
+        price: item.price,
+        // A sold out item is exported as available, its availability comes back with the stock
+        availability: item.availability || Boolean(item.soldOut),
+        category: item.category ? categoryNames.get(item.category.toString()) : undefined,
+        position: item.position,
+        // Option IDs are kept so re-importing the file leaves carts holding those options valid
+        modifierGroups: item.modifierGroups || [],
+    }));
+
+    if (format === "csv") {
+        return toCsv(COLUMNS, rows.map((row) => ({
+            ...row,
+            modifierGroups: row.modifierGroups.length > 0 ? JSON.stringify(row.modifierGroups) : "",
+        })));
+    }
+    return { items: rows };
+};
+
+module.exports = {
+    importMenu,
+    exportMenu,
+};
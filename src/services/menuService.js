@@ -0,0 +1,201 @@
+const mongoose = require("mongoose");
+const Menu = require("../models/Menu");
+const MenuCategory = require("../models/MenuCategory");
+const ServiceError = require("../utils/serviceError");
+
+const isWholeNumber = (value) => Number.isInteger(value) && value >= 0;
+
+const parseOption = (option, label) => {
+    if (!option?.name || typeof option.name !== "string") {
+        throw new ServiceError(`${label}.name is required`);
+    }
+    const priceDelta = option.priceDelta === undefined ? 0 : Number(option.priceDelta);
+    if (!Number.isFinite(priceDelta)) {
+        throw new ServiceError(`${label}.priceDelta must be a number`);
+    }
+    return {
+        // Keeping the ID lets carts holding this option survive an edit of the item
+        ...(mongoose.isValidObjectId(option._id) && { _id: option._id }),
+        name: option.name,
+        priceDelta,
+        available: option.available === undefined ? true : Boolean(option.available),
+    };
+};
+
+/**
+ * Validates the modifier groups of a menu item, e.g. "Size" with
+ * `minSelect: 1, maxSelect: 1` or "Extra toppings" with `maxSelect: 3`.
+ */
+const parseModifierGroups = (groups) => {
+    if (!Array.isArray(groups)) {
+        throw new ServiceError("modifierGroups must be a list");
+    }
+
+    return groups.map((group, index) => {
+        const label = `modifierGroups[${index}]`;
+        if (!group?.name || typeof group.name !== "string") {
+            throw new ServiceError(`${label}.name is required`);
+        }
+        const minSelect = group.minSelect === undefined ? 0 : Number(group.minSelect);
+        const maxSelect = group.maxSelect === undefined ? 1 : Number(group.maxSelect);
+        if (!isWholeNumber(minSelect) || !isWholeNumber(maxSelect) || maxSelect < 1 || minSelect > maxSelect) {
+            throw new ServiceError(`${label} needs whole numbers with 0 <= minSelect <= maxSelect and maxSelect >= 1`);
+        }
+        if (!Array.isArray(group.options) || group.options.length === 0) {
+            throw new ServiceError(`${label}.options must list at least one option`);
+        }
+        if (minSelect > group.options.length) {
+            throw new ServiceError(`${label} asks for more options than it has`);
+        }
+
+        return {
+            ...(mongoose.isValidObjectId(group._id) && { _id: group._id }),
+            name: group.name,
+            minSelect,
+            maxSelect,
+            options: group.options.map((option, optionIndex) => parseOption(option, `${label}.options[${optionIndex}]`)),
+        };
+    });
+};
+
+/**
+ * Checks the options picked for a menu item against its modifier groups and
+ * returns the unit price (item price plus the price deltas) and the modifiers
+ * to copy onto the cart line or order item.
+ */
+const priceSelection = (menuItem, optionIds = []) => {
+    if (!Array.isArray(optionIds)) {
+        throw new ServiceError("modifiers must be a list of option IDs");
+    }
+    const remaining = new Set(optionIds.map(String));
+    if (remaining.size !== optionIds.length) {
+        throw new ServiceError(`An option of ${menuItem.itemName} was picked twice`);
+    }
+
+    const modifiers = [];
+    for (const group of menuItem.modifierGroups || []) {
+        const picked = group.options.filter((option) => remaining.has(option._id.toString()));
+        if (picked.length < group.minSelect) {
+            throw new ServiceError(`Pick at least ${group.minSelect} of ${group.name} for ${menuItem.itemName}`);
+        }
+        if (picked.length > group.maxSelect) {
+            throw new ServiceError(`Pick at most ${group.maxSelect} of ${group.name} for ${menuItem.itemName}`);
+        }
+
+        for (const option of picked) {
+            if (!option.available) {
+                throw new ServiceError(`${option.name} is not available right now`, 409);
+            }
+            remaining.delete(option._id.toString());
+            modifiers.push({
+                group: group._id,
+                groupName: group.name,
+                option: option._id,
+                optionName: option.name,
+                priceDelta: option.priceDelta,
+            });
+        }
+    }
+    if (remaining.size > 0) {
+        throw new ServiceError(`${menuItem.itemName} has no option ${[...remaining][0]}`);
+    }
+
+    const total = modifiers.reduce((sum, modifier) => sum + modifier.priceDelta, menuItem.price);
+    return { unitPrice: Math.max(Math.round(total * 100) / 100, 0), modifiers };
+};
+
+// Category of the restaurant to file an item under; null takes it out of its category
+const resolveCategory = async (restaurantId, categoryId) => {
+    if (categoryId === null || categoryId === "") {
+        return null;
+    }
+    if (!mongoose.isValidObjectId(categoryId)) {
+        throw new ServiceError("Invalid category ID");
+    }
+    const category = await MenuCategory.findOne({ _id: categoryId, restaurant: restaurantId });
+    if (!category) {
+        throw new ServiceError("Menu category not found", 404);
+    }
+    return category._id;
+};
+
+const parsePosition = (position) => {
+    const value = Number(position);
+    if (!Number.isInteger(value)) {
+        throw new ServiceError("position must be a whole number");
+    }
+    return value;
+};
+
+const createCategory = async (restaurantId, { name, description, position = 0 }) => {
+    if (!name || typeof name !== "string") {
+        throw new ServiceError("name is required");
+    }
+    return MenuCategory.create({ restaurant: restaurantId, name, description, position: parsePosition(position) });
+};
+
+const updateCategory = async (restaurantId, categoryId, { name, description, position }) => {
+    if (!mongoose.isValidObjectId(categoryId)) {
+        throw new ServiceError("Invalid category ID");
+    }
+    const update = {};
+    if (name !== undefined) update.name = name;
+    if (description !== undefined) update.description = description;
+    if (position !== undefined) update.position = parsePosition(position);
+
+    const category = await MenuCategory.findOneAndUpdate(
+        { _id: categoryId, restaurant: restaurantId },
+        { $set: update },
+        { new: true, runValidators: true }
+    );
+    if (!category) {
+        throw new ServiceError("Menu category not found", 404);
+    }
+    return category;
+};
+
+// Items of a deleted category stay on the menu without a category
+const deleteCategory = async (restaurantId, categoryId) => {
+    if (!mongoose.isValidObjectId(categoryId)) {
+        throw new ServiceError("Invalid category ID");
+    }
+    const category = await MenuCategory.findOneAndDelete({ _id: categoryId, restaurant: restaurantId });
+    if (!category) {
+        throw new ServiceError("Menu category not found", 404);
+    }
+    await Menu.updateMany({ restaurant: restaurantId, category: category._id }, { $unset: { category: "" } });
+};
+
+/**
+ * The menu as categories in their order, each with its items; items without
+ * a category are listed under `uncategorized`.
+ */
+const getMenuTree = async (restaurantId) => {
+    const [categories, items] = await Promise.all([
+        MenuCategory.find({ restaurant: restaurantId }).sort({ position: 1, name: 1 }).lean(),
+        Menu.find({ restaurant: restaurantId }).sort({ position: 1, itemName: 1 }).lean(),
+    ]);
+
+    const byId = new Map(categories.map((category) => [category._id.toString(), { ...category, items: [] }]));
+    const uncategorized = [];
+    for (const item of items) {
+        const category = item.category && byId.get(item.category.toString());
+        if (category) {
+            category.items.push(item);
+        } else {
+            uncategorized.push(item);
+        }
+    }
+    return { categories: [...byId.values()], uncategorized };
+};
+
+module.exports = {
+    parseModifierGroups,
+    priceSelection,
+    resolveCategory,
+    parsePosition,
+    createCategory,
+    updateCategory,
+    deleteCategory,
+    getMenuTree,
+};
@@ -0,0 +1,176 @@
+const Order = require("../models/Order");
+const Delivery = require("../models/Delivery");
+const ServiceError = require("../utils/serviceError");
+const { settleOrderPayment } = require("./paymentService");
+const { releaseSlot } = require("./slotService");
+const { takeOrderStock, putBackOrderStock, recordOrderStock, restoreOrderStock } = require("./inventoryService");
+const { recordDeliveryEarnings } = require("./earningsService");
+
+/**
+ * Legal order status changes and the roles allowed to make them. Delivered
+ * and Cancelled are final. Admins are listed explicitly, they cannot make an
+ * illegal jump either. "system" is the job releasing scheduled orders.
+ */
+const TRANSITIONS = {
+    Scheduled: {
+        Pending: ["system", "admin"],
+        Cancelled: ["customer", "restaurant", "admin"],
+        Scheduled: ["admin"],
+        Rescheduled: ["admin"],
+    },
+    Pending: {
+        Accepted: ["restaurant", "delivery", "admin"],
+        Cancelled: ["customer", "restaurant", "admin"],
+        Scheduled: ["admin"],
+        Rescheduled: ["admin"],
+    },
+    Accepted: {
+        Preparing: ["restaurant", "admin"],
+        Cancelled: ["restaurant", "admin"],
+        Rescheduled: ["admin"],
+    },
+    Preparing: {
+        OutForDelivery: ["restaurant", "delivery", "admin"],
+        Cancelled: ["admin"],
+        Rescheduled: ["admin"],
+    },
+    OutForDelivery: {
+        Delivered: ["delivery", "admin"],
+    },
+    Rescheduled: {
+        Accepted: ["restaurant", "delivery", "admin"],
+        Cancelled: ["restaurant", "admin"],
+        Scheduled: ["admin"],
+        Rescheduled: ["admin"],
+    },
+    Delivered: {},
+    Cancelled: {},
+};
+
+// Deliveries the courier still works on
+const OPEN_DELIVERY = ["Pending", "PickedUp", "EnRoute"];
+
+const allowedRoles = (from, to) => TRANSITIONS[from]?.[to] || [];
+
+const historyEntry = (from, to, actor, reason) => ({
+    from,
+    status: to,
+    actor: actor?._id,
+    actorRole: actor?.role,
+    reason,
+    changedAt: new Date(),
+});
+
+// The order goes from its courier, if any, to `courierId`; the status stays unless `to` is given
+const assignmentEntry = (order, courierId, actor, reason, to = order.orderStatus) => ({
+    ...historyEntry(order.orderStatus, to, actor, reason),
+    previousCourier: order.deliveryPersonnel,
+    courier: courierId,
+});
+
+/**
+ * Moves an order to `to` on behalf of `actor` and records it in the order's
+ * statusHistory. `set` carries extra fields to update in the same write, e.g.
+ * the courier taking the order. The update only applies if the status has not
+ * changed since the order was read, so two concurrent changes cannot both win.
+ * Delivery captures the order's payment and cancellation refunds it and
+ * frees the order's delivery slot. Acceptance takes the ordered items out of
+ * stock, which cancelling an accepted order puts back. The courier's
+ * delivery follows handover, delivery and cancellation, and delivery
+ * credits the courier with their fee and tip. With a `session` the payment
+ * and ledger are left to settleTransition.
+ */
+const transitionOrder = async (order, to, { actor, reason, set = {}, session } = {}) => {
+    const from = order.orderStatus;
+    if (!TRANSITIONS[to]) {
+        throw new ServiceError(`Unknown order status ${to}`);
+    }
+    if (!Object.prototype.hasOwnProperty.call(TRANSITIONS[from] || {}, to)) {
+        throw new ServiceError(`Order cannot move from ${from} to ${to}`, 409);
+    }
+    if (!allowedRoles(from, to).includes(actor.role)) {
+        throw new ServiceError(`A ${actor.role} cannot move an order from ${from} to ${to}`, 403);
+    }
+
+    // Stock is taken before the status changes so a short item refuses the acceptance
+    const stockTaken = to === "Accepted" && !order.stockConsumed ? await takeOrderStock(order, { session }) : null;
+
+    const updated = await Order.findOneAndUpdate(
+        { _id: order._id, orderStatus: from },
+        {
+            $set: { ...set, ...(stockTaken && { stockConsumed: true }), orderStatus: to },
+            $push: {
+                statusHistory: set.deliveryPersonnel
+                    ? assignmentEntry(order, set.deliveryPersonnel, actor, reason, to)
+                    : historyEntry(from, to, actor, reason),
+            },
+        },
+        { new: true, runValidators: true, session }
+    );
+    if (!updated) {
+        if (stockTaken) {
+            await putBackOrderStock(stockTaken, { session });
+        }
+        throw new ServiceError("The order was updated in the meantime, please reload it", 409);
+    }
+
+    if (stockTaken) {
+        await recordOrderStock(stockTaken, updated, actor, "order-accepted", session);
+    }
+    if (to === "Cancelled" && updated.deliverySlot) {
+        await releaseSlot(updated.deliverySlot, session);
+    }
+    if (to === "Cancelled" && updated.stockConsumed) {
+        await restoreOrderStock(updated, actor, { session });
+    }
+    await followDelivery(updated, to, reason, session);
+    // Inside a transaction the write may still be retried or rolled back, the caller settles after the commit
+    if (!session) {
+        await settleTransition(updated, { actor, reason });
+    }
+    return updated;
+};
+
+/**
+ * The effects of a status change outside the database transaction: the
+ * payment gateway and the courier's ledger. transitionOrder runs them itself
+ * unless it was given a session; callers using one call this once the
+ * transaction committed, with the order it returned.
+ */
+const settleTransition = async (order, { actor, reason } = {}) => {
+    await settleOrderPayment(order, order.orderStatus, { actor, reason });
+    if (order.orderStatus === "Delivered") {
+        await recordDeliveryEarnings(order);
+    }
+};
+
+/**
+ * Keeps the order's delivery in step when the order moves without the
+ * courier, e.g. the restaurant handing it over or an admin cancelling it.
+ * When the courier moved the delivery first there is nothing left to change.
+ */
+const followDelivery = async (order, to, reason, session) => {
+    const now = new Date();
+    const changes = {
+        OutForDelivery: [["Pending"], { deliveryStatus: "PickedUp", pickupTime: now }],
+        Delivered: [OPEN_DELIVERY, { deliveryStatus: "Delivered", deliveryTime: now }],
+        Cancelled: [OPEN_DELIVERY, { deliveryStatus: "Cancelled", cancelledAt: now, cancelReason: reason }],
+    };
+    if (!changes[to]) {
+        return;
+    }
+    const [from, set] = changes[to];
+    await Delivery.updateMany({ order: order._id, deliveryStatus: { $in: from } }, { $set: set }, { session });
+};
+
+// First history entry, written when the order is created
+const initialHistory = (actor, status = "Pending") => [historyEntry(undefined, status, actor)];
+
+module.exports = {
+    TRANSITIONS,
+    OPEN_DELIVERY,
+    transitionOrder,
+    settleTransition,
+    initialHistory,
+    assignmentEntry,
+};
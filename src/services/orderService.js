@@ -0,0 +1,370 @@
+const mongoose = require("mongoose");
+const Cart = require("../models/Cart");
+const Order = require("../models/Order");
+const OrderItem = require("../models/OrderItem");
+const User = require("../models/User");
+const Restaurant = require("../models/Restaurant");
+const Menu = require("../models/Menu");
+const DeliveryAddress = require("../models/DeliveryAddress");
+const ServiceError = require("../utils/serviceError");
+const { withTransaction } = require("../utils/transaction");
+const { isOpenAt, openingStatus } = require("../utils/openingHours");
+const { findCartChanges, refreshCart, clearCart } = require("./cartService");
+const { initialHistory, transitionOrder, settleTransition } = require("./orderLifecycle");
+const { reserveSlot, releaseSlot } = require("./slotService");
+const { priceSelection } = require("./menuService");
+const { authorizeOrderPayment, releasePayment } = require("./paymentService");
+
+const parseDeliveryTime = (deliveryTime) => {
+    if (!deliveryTime) {
+        return undefined;
+    }
+    const deliveryDate = new Date(deliveryTime);
+    if (isNaN(deliveryDate.getTime())) {
+        throw new ServiceError("Invalid deliveryTime format");
+    }
+    return deliveryDate;
+};
+
+/**
+ * Orders for now need the restaurant to be open; orders with a deliveryTime
+ * need it to be in the future and inside the opening hours.
+ */
+const assertAcceptingOrders = (restaurant, deliveryDate) => {
+    const now = new Date();
+    if (deliveryDate) {
+        if (deliveryDate <= now) {
+            throw new ServiceError("deliveryTime must be in the future");
+        }
+        if (!isOpenAt(restaurant.schedule, deliveryDate)) {
+            throw new ServiceError(`${restaurant.restaurantName} is closed at the requested delivery time`, 422);
+        }
+        return;
+    }
+
+    const { isOpen, nextOpenAt } = openingStatus(restaurant.schedule, now);
+    if (!isOpen) {
+        const message = nextOpenAt
+            ? `${restaurant.restaurantName} is closed right now, it opens at ${nextOpenAt.toISOString()}`
+            : `${restaurant.restaurantName} is closed right now`;
+        throw new ServiceError(message, 422, { nextOpenAt });
+    }
+};
+
+// deliveryTime and slotId both pick the delivery time, only one of them may be sent
+const assertSingleDeliveryChoice = (deliveryTime, slotId) => {
+    if (deliveryTime && slotId) {
+        throw new ServiceError("Send either deliveryTime or slotId, not both");
+    }
+};
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const lineTotal = (line) => roundAmount(line.unitPrice * line.quantity);
+
+const orderTotal = (lines) => roundAmount(lines.reduce((total, line) => total + lineTotal(line), 0));
+
+const parseTip = (tip) => {
+    if (tip === undefined || tip === null || tip === "") {
+        return 0;
+    }
+    const amount = Number(tip);
+    if (!Number.isFinite(amount) || amount < 0) {
+        throw new ServiceError("tip must be an amount of at least 0");
+    }
+    return roundAmount(amount);
+};
+
+/**
+ * Refuses addresses outside the restaurant's delivery area. Restaurants that
+ * have not drawn an area yet keep accepting every address.
+ */
+const assertInDeliveryArea = async (restaurantId, address, session) => {
+    const restaurant = await Restaurant.findById(restaurantId).select("restaurantName deliveryArea").session(session);
+    if (!restaurant?.deliveryArea) {
+        return;
+    }
+    if (!address.location) {
+        throw new ServiceError("Add the location of this delivery address so we can check that the restaurant delivers there");
+    }
+
+    const delivers = await Restaurant.exists({
+        _id: restaurantId,
+        deliveryArea: { $geoIntersects: { $geometry: address.location.toObject() } },
+    }).session(session);
+    if (!delivers) {
+        throw new ServiceError(`${restaurant.restaurantName} does not deliver to this address`, 422);
+    }
+};
+
+// Restaurants with a delivery area need an address to check against it
+const findDeliveryAddress = async (customerId, restaurantId, deliveryAddressId, session) => {
+    if (!deliveryAddressId) {
+        const restaurant = await Restaurant.findById(restaurantId).select("restaurantName deliveryArea").session(session);
+        if (restaurant?.deliveryArea) {
+            throw new ServiceError(`${restaurant.restaurantName} only delivers within its delivery area, choose a delivery address`);
+        }
+        return undefined;
+    }
+    if (!mongoose.isValidObjectId(deliveryAddressId)) {
+        throw new ServiceError("Invalid delivery address ID");
+    }
+    const address = await DeliveryAddress.findOne({ _id: deliveryAddressId, userId: customerId }).session(session);
+    if (!address) {
+        throw new ServiceError("Delivery address not found", 404);
+    }
+    await assertInDeliveryArea(restaurantId, address, session);
+    return address._id;
+};
+
+/**
+ * Writes the order and its items. Every line carries the menu item with the
+ * name and unit price to snapshot; the order total is the sum of the line
+ * totals, never a figure sent by the client. Orders booked into a slot start
+ * out Scheduled and are delivered at the start of the slot.
+ */
+const createOrderDocuments = async ({ orderId, customer, restaurant, lines, deliveryTime, deliveryAddress, slot, tip, actor }, session) => {
+    const orderStatus = slot ? "Scheduled" : "Pending";
+    const order = new Order({
+        _id: orderId,
+        customer,
+        restaurant,
+        orderStatus,
+        statusHistory: initialHistory(actor, orderStatus),
+        deliveryTime: slot ? slot.startsAt : deliveryTime,
+        deliverySlot: slot?._id,
+        deliveryAddress,
+        tip,
+    });
+
+    const orderItems = lines.map((line) => new OrderItem({
+        order: order._id,
+        menuItem: line.menuItem,
+        itemName: line.itemName,
+        unitPrice: line.unitPrice,
+        modifiers: line.modifiers,
+        quantity: line.quantity,
+        lineTotal: lineTotal(line),
+    }));
+
+    order.items = orderItems.map((item) => item._id);
+    order.totalAmount = orderTotal(lines);
+
+    await OrderItem.insertMany(orderItems, { session });
+    await order.save({ session });
+    return order;
+};
+
+// Looks up the requested menu items and prices them with their options; every item must belong to the restaurant
+const priceOrderLines = async (restaurantId, items, session) => {
+    const menuIds = items.map((item) => item.menuItem);
+    const menuItems = await Menu.find({ _id: { $in: menuIds }, restaurant: restaurantId }).session(session);
+    const menuById = new Map(menuItems.map((menuItem) => [menuItem._id.toString(), menuItem]));
+
+    return items.map(({ menuItem, quantity, modifiers }) => {
+        const found = menuById.get(String(menuItem));
+        if (!found) {
+            throw new ServiceError(`Menu item with ID ${menuItem} not found`, 404);
+        }
+        if (!found.availability) {
+            throw new ServiceError(`${found.itemName} is not available right now`, 409);
+        }
+        const { unitPrice, modifiers: chosen } = priceSelection(found, modifiers);
+        return { menuItem: found._id, itemName: found.itemName, unitPrice, modifiers: chosen, quantity };
+    });
+};
+
+/**
+ * Places an order from an explicit list of `{ menuItem, quantity, modifiers }`,
+ * `modifiers` being the IDs of the options picked, priced with the current
+ * menu. Used by the customer and delivery order endpoints; `actor` is the user
+ * placing it, recorded in the status history. With a `slotId` the order is a
+ * pre-order booked into that delivery slot. As at checkout, the total is
+ * authorized before the order is written and released if writing it fails.
+ */
+const placeOrder = async ({ customerId, restaurantId, items, deliveryTime, deliveryAddressId, slotId, paymentMethod, actor }) => {
+    if (!customerId || !restaurantId || !Array.isArray(items) || items.length === 0) {
+        throw new ServiceError("Missing required fields");
+    }
+    if (!mongoose.isValidObjectId(customerId) || !mongoose.isValidObjectId(restaurantId)) {
+        throw new ServiceError("Invalid customer or restaurant ID");
+    }
+    for (const item of items) {
+        const quantity = Number(item?.quantity);
+        if (!item?.menuItem || !mongoose.isValidObjectId(item.menuItem) || !Number.isInteger(quantity) || quantity < 1) {
+            throw new ServiceError("Invalid item details");
+        }
+    }
+    assertSingleDeliveryChoice(deliveryTime, slotId);
+    const deliveryDate = parseDeliveryTime(deliveryTime);
+    const requested = items.map((item) => ({ menuItem: item.menuItem, quantity: Number(item.quantity), modifiers: item.modifiers || [] }));
+
+    // Priced once up front for the authorization, and again inside the transaction
+    const orderId = new mongoose.Types.ObjectId();
+    const payment = await authorizeOrderPayment({
+        orderId,
+        customerId,
+        amount: orderTotal(await priceOrderLines(restaurantId, requested)),
+        paymentMethod,
+    });
+
+    try {
+        const order = await withTransaction(async (session) => {
+            const customer = await User.findById(customerId).session(session);
+            if (!customer) {
+                throw new ServiceError("Customer not found", 404);
+            }
+            const restaurant = await Restaurant.findById(restaurantId).session(session);
+            if (!restaurant) {
+                throw new ServiceError("Restaurant not found", 404);
+            }
+            // The restaurant offers its slots itself, so a booked slot is not checked against the hours
+            const slot = slotId ? await reserveSlot(restaurant._id, slotId, session) : undefined;
+            if (!slot) {
+                assertAcceptingOrders(restaurant, deliveryDate);
+            }
+
+            const lines = await priceOrderLines(restaurant._id, requested, session);
+            if (orderTotal(lines) !== payment.amount) {
+                throw new ServiceError("Menu prices changed while the order was placed, please try again", 409);
+            }
+
+            return createOrderDocuments({
+                orderId,
+                customer: customer._id,
+                restaurant: restaurant._id,
+                lines,
+                deliveryTime: deliveryDate,
+                deliveryAddress: await findDeliveryAddress(customer._id, restaurant._id, deliveryAddressId, session),
+                slot,
+                actor,
+            }, session);
+        });
+        return { order, payment };
+    } catch (err) {
+        await releasePayment(payment, err.message);
+        throw err;
+    }
+};
+
+/**
+ * Turns the customer's cart into an order. Lines whose price or availability
+ * changed since they were added are refreshed first and the checkout is
+ * refused with a 409 listing the changes, so the customer can review them.
+ * The cart total is authorized with the payment gateway before the order is
+ * written; if writing it fails the authorization is released again. A
+ * `slotId` books the order into that delivery slot, and a `tip` for the
+ * courier is authorized on top of the total.
+ */
+const checkoutCart = async (customer, { deliveryTime, deliveryAddressId, slotId, paymentMethod, tip } = {}) => {
+    const customerId = customer._id;
+    assertSingleDeliveryChoice(deliveryTime, slotId);
+    const deliveryDate = parseDeliveryTime(deliveryTime);
+    const courierTip = parseTip(tip);
+
+    const cart = await Cart.findOne({ customer: customerId });
+    if (!cart || cart.items.length === 0) {
+        throw new ServiceError("Cart is empty");
+    }
+    const changes = await refreshCart(cart);
+    if (changes.length > 0) {
+        throw new ServiceError("Some items in your cart changed, please review it before checking out", 409, changes);
+    }
+    const restaurant = await Restaurant.findById(cart.restaurant);
+    if (!restaurant) {
+        throw new ServiceError("Restaurant not found", 404);
+    }
+    if (!slotId) {
+        assertAcceptingOrders(restaurant, deliveryDate);
+    }
+
+    const orderId = new mongoose.Types.ObjectId();
+    const payment = await authorizeOrderPayment({
+        orderId,
+        customerId,
+        amount: roundAmount(orderTotal(cart.items) + courierTip),
+        paymentMethod,
+    });
+
+    try {
+        const order = await withTransaction(async (session) => {
+            // Read again inside the transaction so two checkouts of one cart conflict,
+            // and check the menu once more in case it changed since the refresh
+            const current = await Cart.findOne({ customer: customerId }).session(session);
+            if (!current || current.items.length === 0) {
+                throw new ServiceError("Cart is empty");
+            }
+            const { changes: lateChanges } = await findCartChanges(current, session);
+            if (lateChanges.length > 0 || roundAmount(orderTotal(current.items) + courierTip) !== payment.amount) {
+                throw new ServiceError("Some items in your cart changed, please review it before checking out", 409, lateChanges);
+            }
+
+            const created = await createOrderDocuments({
+                orderId,
+                customer: customerId,
+                restaurant: current.restaurant,
+                lines: current.items,
+                deliveryTime: deliveryDate,
+                deliveryAddress: await findDeliveryAddress(customerId, current.restaurant, deliveryAddressId, session),
+                slot: slotId ? await reserveSlot(current.restaurant, slotId, session) : undefined,
+                tip: courierTip,
+                actor: customer,
+            }, session);
+            await clearCart(customerId, session);
+            return created;
+        });
+        return { order, payment };
+    } catch (err) {
+        await releasePayment(payment, err.message);
+        throw err;
+    }
+};
+
+/**
+ * Admin rescheduling. With a `slotId` the order moves into that slot, which
+ * must have room, frees its previous slot and waits as Scheduled until it is
+ * released to the kitchen; with a `newDate` it becomes Rescheduled for that
+ * time and leaves its slot.
+ */
+const rescheduleOrder = async (orderId, { slotId, newDate, reason, actor }) => {
+    if (!mongoose.isValidObjectId(orderId)) {
+        throw new ServiceError("Invalid order ID");
+    }
+    if (Boolean(slotId) === Boolean(newDate)) {
+        throw new ServiceError("Send either slotId or newDate");
+    }
+    const deliveryTime = newDate ? parseDeliveryTime(newDate) : undefined;
+
+    const rescheduled = await withTransaction(async (session) => {
+        const order = await Order.findById(orderId).session(session);
+        if (!order) {
+            throw new ServiceError("Order not found", 404);
+        }
+        if (slotId && order.deliverySlot?.equals(slotId)) {
+            throw new ServiceError("The order is already booked into this slot");
+        }
+
+        const slot = slotId ? await reserveSlot(order.restaurant, slotId, session) : undefined;
+        if (order.deliverySlot) {
+            await releaseSlot(order.deliverySlot, session);
+        }
+
+        return transitionOrder(order, slot ? "Scheduled" : "Rescheduled", {
+            actor,
+            reason,
+            set: slot
+                ? { deliverySlot: slot._id, deliveryTime: slot.startsAt }
+                : { deliverySlot: null, deliveryTime },
+            session,
+        });
+    });
+    await settleTransition(rescheduled, { actor, reason });
+    return rescheduled;
+};
+
+module.exports = {
+    withTransaction,
+    placeOrder,
+    checkoutCart,
+    rescheduleOrder,
+};
@@ -0,0 +1,183 @@
+const Payment = require("../models/Payment");
+const Refund = require("../models/Refund");
+const ServiceError = require("../utils/serviceError");
+const { getPaymentGateway } = require("./payments");
+
+const CURRENCY = process.env.PAYMENT_CURRENCY || "INR";
+
+/**
+ * Authorizes `amount` for an order that is about to be created. A declined
+ * card is a 402 and nothing else happens; the payment record is kept for
+ * reference either way.
+ */
+const authorizeOrderPayment = async ({ orderId, customerId, amount, paymentMethod }) => {
+    const gateway = getPaymentGateway();
+    const payment = await Payment.create({
+        order: orderId,
+        customer: customerId,
+        amount,
+        currency: CURRENCY,
+        provider: gateway.name,
+    });
+
+    let result;
+    try {
+        result = await gateway.authorize({ amount, currency: CURRENCY, reference: orderId.toString(), paymentMethod });
+    } catch (err) {
+        payment.set({ status: "declined", failureReason: err.message });
+        await payment.save();
+        throw new ServiceError("Payment could not be processed, please try again", 502);
+    }
+
+    payment.providerPaymentId = result.providerPaymentId;
+    if (result.status !== "authorized") {
+        payment.set({ status: "declined", failureReason: result.declineReason });
+        await payment.save();
+        throw new ServiceError(`Payment declined: ${result.declineReason || "unknown reason"}`, 402);
+    }
+
+    payment.set({ status: "authorized", authorizedAt: new Date() });
+    return payment.save();
+};
+
+// Gives the authorization back when the order it was taken for could not be created
+const releasePayment = async (payment, reason) => {
+    try {
+        await getPaymentGateway().refund({
+            providerPaymentId: payment.providerPaymentId,
+            amount: payment.amount,
+            reference: `release:${payment._id}`,
+        });
+        await Payment.updateOne({ _id: payment._id }, { $set: { status: "voided", failureReason: reason } });
+    } catch (err) {
+        console.error(`Could not release payment ${payment._id}:`, err.message);
+    }
+};
+
+const captureOrderPayment = async (order) => {
+    const payment = await Payment.findOne({ order: order._id, status: "authorized" });
+    if (!payment) {
+        return null;
+    }
+
+    try {
+        await getPaymentGateway().capture({ providerPaymentId: payment.providerPaymentId, amount: payment.amount });
+    } catch (err) {
+        await Payment.updateOne({ _id: payment._id }, { $set: { failureReason: err.message } });
+        throw err;
+    }
+
+    return Payment.findOneAndUpdate(
+        { _id: payment._id, status: "authorized" },
+        { $set: { status: "captured", capturedAt: new Date() }, $unset: { failureReason: "" } },
+        { new: true }
+    );
+};
+
+/**
+ * Refunds everything still held for an order, captured or only authorized.
+ * The payment is claimed with a conditional update first so a second cancel
+ * cannot refund twice.
+ */
+const refundOrderPayment = async (order, { reason, actor } = {}) => {
+    const payment = await Payment.findOneAndUpdate(
+        { order: order._id, status: { $in: ["authorized", "captured"] } },
+        [{ $set: { status: "refunded", refundedAmount: "$amount" } }],
+        { new: false }
+    );
+    if (!payment) {
+        return null;
+    }
+
+    const refund = await Refund.create({
+        payment: payment._id,
+        order: order._id,
+        amount: payment.amount,
+        reason,
+        requestedBy: actor?._id,
+    });
+
+    try {
+        const result = await getPaymentGateway().refund({
+            providerPaymentId: payment.providerPaymentId,
+            amount: payment.amount,
+            reference: refund._id.toString(),
+        });
+        refund.set({ providerRefundId: result.providerRefundId, status: result.status === "succeeded" ? "succeeded" : "pending" });
+        return refund.save();
+    } catch (err) {
+        refund.set({ status: "failed", failureReason: err.message });
+        await refund.save();
+        await Payment.updateOne(
+            { _id: payment._id },
+            { $set: { status: payment.status, refundedAmount: payment.refundedAmount, failureReason: err.message } }
+        );
+        throw err;
+    }
+};
+
+// Keeps the money in line with the order: captured on delivery, refunded on cancellation
+const settleOrderPayment = async (order, status, { actor, reason } = {}) => {
+    try {
+        if (status === "Delivered") {
+            await captureOrderPayment(order);
+        } else if (status === "Cancelled") {
+            await refundOrderPayment(order, { actor, reason });
+        }
+    } catch (err) {
+        console.error(`Payment update for order ${order._id} failed:`, err.message);
+    }
+};
+
+/**
+ * Applies an asynchronous gateway notification. Events for unknown payments
+ * or of types we do not track are acknowledged and ignored.
+ */
+const handlePaymentWebhook = async (rawBody, headers) => {
+    let event;
+    try {
+        event = getPaymentGateway().verifyWebhook(rawBody, headers);
+    } catch (err) {
+        throw new ServiceError(err.message, 400);
+    }
+
+    switch (event.type) {
+        case "payment.captured":
+            await Payment.updateOne(
+                { providerPaymentId: event.providerPaymentId, status: "authorized" },
+                { $set: { status: "captured", capturedAt: new Date() } }
+            );
+            break;
+        case "payment.failed":
+            await Payment.updateOne(
+                { providerPaymentId: event.providerPaymentId, status: { $in: ["pending", "authorized"] } },
+                { $set: { status: "declined", failureReason: event.reason } }
+            );
+            break;
+        case "refund.succeeded":
+        case "refund.failed":
+            await Refund.updateOne(
+                { providerRefundId: event.providerRefundId },
+                {
+                    $set: {
+                        status: event.type === "refund.succeeded" ? "succeeded" : "failed",
+                        failureReason: event.reason,
+                    },
+                }
+            );
+            break;
+        default:
+            break;
+    }
+    return event;
+};
+
+module.exports = {
+    CURRENCY,
+    authorizeOrderPayment,
+    releasePayment,
+    captureOrderPayment,
+    refundOrderPayment,
+    settleOrderPayment,
+    handlePaymentWebhook,
+};
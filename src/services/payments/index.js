@@ -0,0 +1,37 @@
+const createMockGateway = require("./mockGateway");
+
+/**
+ * Every gateway exposes:
+ *   authorize({ amount, currency, reference, paymentMethod }) -> { providerPaymentId, status: "authorized" | "declined", declineReason }
+ *   capture({ providerPaymentId, amount }) -> { status: "captured" }
+ *   refund({ providerPaymentId, amount, reference }) -> { providerRefundId, status }
+ *     (a refund of an uncaptured payment releases the authorization)
+ *   verifyWebhook(rawBody, headers) -> event `{ type, providerPaymentId, providerRefundId, reason }`, throws when the signature is wrong
+ * PAYMENT_GATEWAY picks the implementation; only "mock" ships for now.
+ */
+const gateways = {
+    mock: () => createMockGateway({ webhookSecret: process.env.PAYMENT_WEBHOOK_SECRET || "mock-webhook-secret" }),
+};
+
+let gateway;
+
+const getPaymentGateway = () => {
+    if (!gateway) {
+        const name = process.env.PAYMENT_GATEWAY || "mock";
+        if (!gateways[name]) {
+            throw new Error(`Unknown PAYMENT_GATEWAY ${name}`);
+        }
+        gateway = gateways[name]();
+    }
+    return gateway;
+};
+
+// Lets tests plug in their own gateway
+const setPaymentGateway = (customGateway) => {
+    gateway = customGateway;
+};
+
+module.exports = {
+    getPaymentGateway,
+    setPaymentGateway,
+};
@@ -0,0 +1,71 @@
+const crypto = require("crypto");
+
+const digest = (value) => crypto.createHash("sha256").update(value).digest("hex").slice(0, 24);
+
+/**
+ * In-process gateway for development and tests. Results depend only on the
+ * input, so runs are repeatable offline: a payment method containing
+ * "declined" or "insufficient" is declined, anything else is authorized.
+ * Webhooks are signed with an HMAC-SHA256 of the raw body in the
+ * `x-mock-signature` header; `signWebhook` builds one for tests.
+ */
+const createMockGateway = ({ webhookSecret }) => {
+    const payments = new Map();
+
+    const signWebhook = (rawBody) => {
+        return crypto.createHmac("sha256", webhookSecret).update(rawBody).digest("hex");
+    };
+
+    return {
+        name: "mock",
+        signWebhook,
+
+        authorize: async ({ amount, currency, reference, paymentMethod = "mock_card" }) => {
+            const providerPaymentId = `mock_pay_${digest(`${reference}:${amount}:${currency}`)}`;
+            if (/declined|insufficient/i.test(paymentMethod)) {
+                return {
+                    providerPaymentId,
+                    status: "declined",
+                    declineReason: /insufficient/i.test(paymentMethod) ? "insufficient_funds" : "card_declined",
+                };
+            }
+
+            payments.set(providerPaymentId, { amount, captured: 0, refunded: 0 });
+            return { providerPaymentId, status: "authorized" };
+        },
+
+        capture: async ({ providerPaymentId, amount }) => {
+            const payment = payments.get(providerPaymentId);
+            if (payment && amount > payment.amount) {
+                throw new Error("Capture amount exceeds the authorized amount");
+            }
+            if (payment) {
+                payment.captured = amount;
+            }
+            return { providerPaymentId, status: "captured" };
+        },
+
+        refund: async ({ providerPaymentId, amount, reference }) => {
+            const payment = payments.get(providerPaymentId);
+            if (payment && payment.refunded + amount > payment.amount) {
+                throw new Error("Refund amount exceeds the payment");
+            }
+            if (payment) {
+                payment.refunded += amount;
+            }
+            return { providerRefundId: `mock_re_${digest(`${providerPaymentId}:${reference}`)}`, status: "succeeded" };
+        },
+
+        verifyWebhook: (rawBody, headers) => {
+            const signature = String(headers["x-mock-signature"] || "");
+            const expected = signWebhook(rawBody || "");
+            if (signature.length !== expected.length
+                || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+                throw new Error("Invalid webhook signature");
+            }
+            return JSON.parse(rawBody.toString());
+        },
+    };
+};
+
+module.exports = createMockGateway;
@@ -0,0 +1,234 @@
+const mongoose = require("mongoose");
+const Review = require("../models/Review");
+const Order = require("../models/Order");
+const OrderItem = require("../models/OrderItem");
+const Menu = require("../models/Menu");
+const Restaurant = require("../models/Restaurant");
+const ServiceError = require("../utils/serviceError");
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const parseRating = (value, name) => {
+    const rating = Number(value);
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+        throw new ServiceError(`${name} must be a whole number from 1 to 5`);
+    }
+    return rating;
+};
+
+const parseComment = (value, name) => {
+    if (value === undefined || value === null || value === "") {
+        return undefined;
+    }
+    if (typeof value !== "string") {
+        throw new ServiceError(`${name} must be text`);
+    }
+    return value.trim();
+};
+
+const parsePage = ({ page = 1, limit = DEFAULT_PAGE_SIZE }) => ({
+    pageNumber: Math.max(parseInt(page) || 1, 1),
+    pageSize: Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE),
+});
+
+const summaryOf = ([result]) => ({
+    average: result ? Math.round(result.average * 100) / 100 : 0,
+    count: result ? result.count : 0,
+});
+
+/**
+ * Recomputes the average rating of the restaurant and of the menu items from
+ * their visible reviews. Recomputing rather than adjusting the stored average
+ * keeps it right when reviews are hidden and shown again.
+ */
+const refreshRatings = async (restaurantId, menuItemIds = []) => {
+    const restaurantRating = summaryOf(await Review.aggregate([
+        { $match: { restaurant: restaurantId, hidden: false } },
+        { $group: { _id: null, average: { $avg: "$rating" }, count: { $sum: 1 } } },
+    ]));
+    await Restaurant.updateOne({ _id: restaurantId }, { $set: { rating: restaurantRating } });
+
+    for (const menuItemId of menuItemIds) {
+        const itemRating = summaryOf(await Review.aggregate([
+            { $match: { "items.menuItem": menuItemId, hidden: false } },
+            { $unwind: "$items" },
+            { $match: { "items.menuItem": menuItemId } },
+            { $group: { _id: null, average: { $avg: "$items.rating" }, count: { $sum: 1 } } },
+        ]));
+        await Menu.updateOne({ _id: menuItemId }, { $set: { rating: itemRating } });
+    }
+};
+
+const ratedMenuItems = (review) => [...new Map(review.items.map((item) => [item.menuItem.toString(), item.menuItem])).values()];
+
+/**
+ * Records the customer's review of a delivered order: a rating of the
+ * restaurant, optionally ratings of ordered items (by order item ID) and of
+ * the courier. An order can be reviewed once.
+ */
+const createReview = async (orderId, customer, { rating, comment, items = [], courier }) => {
+    if (!mongoose.isValidObjectId(orderId)) {
+        throw new ServiceError("Invalid order ID");
+    }
+    const order = await Order.findById(orderId);
+    if (!order || order.customer.toString() !== customer._id.toString()) {
+        throw new ServiceError("Order not found", 404);
+    }
+    if (order.orderStatus !== "Delivered") {
+        throw new ServiceError("Only delivered orders can be reviewed", 409);
+    }
+
+    if (!Array.isArray(items)) {
+        throw new ServiceError("items must be a list");
+    }
+    const orderItems = await OrderItem.find({ _id: { $in: order.items } });
+    const seen = new Set();
+    const itemReviews = items.map((item, index) => {
+        const orderItem = orderItems.find((candidate) => candidate._id.toString() === String(item?.orderItem));
+        if (!orderItem) {
+            throw new ServiceError(`items[${index}].orderItem is not an item of this order`);
+        }
+        if (seen.has(orderItem._id.toString())) {
+            throw new ServiceError(`${orderItem.itemName} is rated twice`);
+        }
+        seen.add(orderItem._id.toString());
+        return {
+            orderItem: orderItem._id,
+            menuItem: orderItem.menuItem,
+            itemName: orderItem.itemName,
+            rating: parseRating(item.rating, `items[${index}].rating`),
+            comment: parseComment(item.comment, `items[${index}].comment`),
+        };
+    });
+
+    let courierReview = {};
+    if (courier !== undefined && courier !== null) {
+        if (!order.deliveryPersonnel) {
+            throw new ServiceError("No courier is recorded for this order");
+        }
+        courierReview = {
+            courier: order.deliveryPersonnel,
+            courierRating: parseRating(courier.rating, "courier.rating"),
+            courierComment: parseComment(courier.comment, "courier.comment"),
+        };
+    }
+
+    let review;
+    try {
+        review = await Review.create({
+            order: order._id,
+            customer: customer._id,
+            restaurant: order.restaurant,
+            rating: parseRating(rating, "rating"),
+            comment: parseComment(comment, "comment"),
+            items: itemReviews,
+            ...courierReview,
+        });
+    } catch (err) {
+        // The unique index on order catches a second review sent at the same time
+        if (err.code === 11000) {
+            throw new ServiceError("This order has already been reviewed", 409);
+        }
+        if (err.name === "ValidationError") {
+            throw new ServiceError(err.message);
+        }
+        throw err;
+    }
+
+    await refreshRatings(review.restaurant, ratedMenuItems(review));
+    return review;
+};
+
+const findReview = async (reviewId) => {
+    if (!mongoose.isValidObjectId(reviewId)) {
+        throw new ServiceError("Invalid review ID");
+    }
+    const review = await Review.findById(reviewId);
+    if (!review) {
+        throw new ServiceError("Review not found", 404);
+    }
+    return review;
+};
+
+// The restaurant's public answer to a review; sending a new reply replaces it
+const replyToReview = async (reviewId, text, actor) => {
+    const reply = parseComment(text, "text");
+    if (!reply) {
+        throw new ServiceError("text is required");
+    }
+    const review = await findReview(reviewId);
+    review.reply = { text: reply, repliedBy: actor._id, repliedAt: new Date() };
+    await review.save();
+    return review;
+};
+
+// Hides an abusive review from listings and ratings, or shows it again
+const moderateReview = async (reviewId, { hidden, reason }, actor) => {
+    if (typeof hidden !== "boolean") {
+        throw new ServiceError("hidden must be true or false");
+    }
+    const review = await findReview(reviewId);
+    review.hidden = hidden;
+    review.moderation = { reason, moderatedBy: actor._id, moderatedAt: new Date() };
+    await review.save();
+
+    await refreshRatings(review.restaurant, ratedMenuItems(review));
+    return review;
+};
+
+// Visible reviews of a restaurant, newest first
+const listRestaurantReviews = async (restaurantId, query = {}) => {
+    if (!mongoose.isValidObjectId(restaurantId)) {
+        throw new ServiceError("Invalid restaurant ID");
+    }
+    const { pageNumber, pageSize } = parsePage(query);
+    const filter = { restaurant: restaurantId, hidden: false };
+    const [reviews, total, restaurant] = await Promise.all([
+        Review.find(filter)
+            .select("-moderation -courier -courierRating -courierComment")
+            .populate("customer", "firstName")
+            .sort({ createdAt: -1 })
+            .skip((pageNumber - 1) * pageSize)
+            .limit(pageSize),
+        Review.countDocuments(filter),
+        Restaurant.findById(restaurantId).select("rating"),
+    ]);
+    if (!restaurant) {
+        throw new ServiceError("Restaurant not found", 404);
+    }
+    return { rating: restaurant.rating, data: reviews, page: pageNumber, limit: pageSize, totalResults: total };
+};
+
+// Every review for moderation, hidden ones included; `hidden` and `restaurant` narrow the list
+const listReviewsForModeration = async (query = {}) => {
+    const { pageNumber, pageSize } = parsePage(query);
+    const filter = {};
+    if (query.hidden === "true" || query.hidden === "false") {
+        filter.hidden = query.hidden === "true";
+    }
+    if (query.restaurant) {
+        if (!mongoose.isValidObjectId(query.restaurant)) {
+            throw new ServiceError("Invalid restaurant ID");
+        }
+        filter.restaurant = query.restaurant;
+    }
+    const [reviews, total] = await Promise.all([
+        Review.find(filter)
+            .populate("customer", "firstName lastName emailId")
+            .populate("restaurant", "restaurantName")
+            .sort({ createdAt: -1 })
+            .skip((pageNumber - 1) * pageSize)
+            .limit(pageSize),
+        Review.countDocuments(filter),
+    ]);
+    return { data: reviews, page: pageNumber, limit: pageSize, totalResults: total };
+};
+
+module.exports = {
+    createReview,
+    replyToReview,
+    moderateReview,
+    listRestaurantReviews,
+    listReviewsForModeration,
+};
@@ -0,0 +1,226 @@
+const mongoose = require("mongoose");
+const Menu = require("../models/Menu");
+const Restaurant = require("../models/Restaurant");
+const DeliveryAddress = require("../models/DeliveryAddress");
+const ServiceError = require("../utils/serviceError");
+const escapeRegex = require("../utils/escapeRegex");
+const { toPoint } = require("../utils/geo");
+const { withOpeningStatus } = require("../utils/openingHours");
+
+const MAX_LIMIT = 50;
+const MAX_QUERY_LENGTH = 100;
+// Restaurants matched by name or cuisine whose whole menu joins the results
+const MAX_RESTAURANT_MATCHES = 200;
+
+const SORTS = {
+    relevance: { relevance: -1, price: 1, _id: 1 },
+    price_asc: { price: 1, _id: 1 },
+    price_desc: { price: -1, _id: 1 },
+};
+
+const parsePrice = (value, name) => {
+    if (value === undefined || value === "") {
+        return undefined;
+    }
+    const price = Number(value);
+    if (!Number.isFinite(price) || price < 0) {
+        throw new ServiceError(`${name} must be a positive number`);
+    }
+    return price;
+};
+
+const parseAvailability = (value) => {
+    if (value === undefined || value === "") {
+        return undefined;
+    }
+    if (value !== "true" && value !== "false" && typeof value !== "boolean") {
+        throw new ServiceError("available must be true or false");
+    }
+    return String(value) === "true";
+};
+
+// Relevance of a menu item: its own text score plus the score of its restaurant, if that matched
+const relevanceStage = (restaurantIds, restaurantScores) => ({
+    $addFields: {
+        relevance: {
+            $add: [
+                { $ifNull: ["$textScore", 0] },
+                {
+                    $let: {
+                        vars: { index: { $indexOfArray: [restaurantIds, "$restaurant._id"] } },
+                        in: { $cond: [{ $gte: ["$$index", 0] }, { $arrayElemAt: [restaurantScores, "$$index"] }, 0] },
+                    },
+                },
+            ],
+        },
+    },
+});
+
+/**
+ * Full-text search over menu items (name, description) and their restaurants
+ * (name, cuisine). Filters narrow the results; the cuisine facet counts are
+ * taken before the cuisine filter so clients can offer the other cuisines.
+ */
+const searchMenu = async ({ q, cuisine, minPrice, maxPrice, available, sort, page = 1, limit = 10 }) => {
+    const text = String(q || "").trim().slice(0, MAX_QUERY_LENGTH);
+    const min = parsePrice(minPrice, "minPrice");
+    const max = parsePrice(maxPrice, "maxPrice");
+    if (min !== undefined && max !== undefined && min > max) {
+        throw new ServiceError("minPrice cannot be greater than maxPrice");
+    }
+    const availability = parseAvailability(available);
+
+    const sortKey = sort || (text ? "relevance" : "price_asc");
+    if (!SORTS[sortKey]) {
+        throw new ServiceError(`sort must be one of ${Object.keys(SORTS).join(", ")}`);
+    }
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 10, 1), MAX_LIMIT);
+
+    const match = {};
+    if (min !== undefined || max !== undefined) {
+        match.price = {};
+        if (min !== undefined) match.price.$gte = min;
+        if (max !== undefined) match.price.$lte = max;
+    }
+    if (availability !== undefined) {
+        match.availability = availability;
+    }
+
+    let restaurantIds = [];
+    let restaurantScores = [];
+    if (text) {
+        const restaurants = await Restaurant.find({ $text: { $search: text } }, { score: { $meta: "textScore" } })
+            .sort({ score: { $meta: "textScore" } })
+            .limit(MAX_RESTAURANT_MATCHES)
+            .lean();
+        restaurantIds = restaurants.map((restaurant) => restaurant._id);
+        restaurantScores = restaurants.map((restaurant) => restaurant.score);
+        match.$or = [{ $text: { $search: text } }, { restaurant: { $in: restaurantIds } }];
+    }
+
+    const cuisines = String(cuisine || "").split(",").map((value) => value.trim()).filter(Boolean);
+    const cuisineFilter = cuisines.length > 0
+        ? [{ $match: { "restaurant.cuisineType": { $in: cuisines.map((value) => new RegExp(`^${escapeRegex(value)}$`, "i")) } } }]
+        : [];
+
+    const pipeline = [
+        { $match: match },
+        ...(text ? [{ $addFields: { textScore: { $meta: "textScore" } } }] : []),
+        { $lookup: { from: Restaurant.collection.name, localField: "restaurant", foreignField: "_id", as: "restaurant" } },
+        { $unwind: "$restaurant" },
+        relevanceStage(restaurantIds, restaurantScores),
+        {
+            $facet: {
+                results: [
+                    ...cuisineFilter,
+                    { $sort: SORTS[sortKey] },
+                    { $skip: (pageNumber - 1) * pageSize },
+                    { $limit: pageSize },
+                    {
+                        $project: {
+                            itemName: 1,
+                            description: 1,
+                            price: 1,
+                            availability: 1,
+                            image: 1,
+                            relevance: 1,
+                            "restaurant._id": 1,
+                            "restaurant.restaurantName": 1,
+                            "restaurant.cuisineType": 1,
+                            "restaurant.address": 1,
+                            "restaurant.logo": 1,
+                        },
+                    },
+                ],
+                total: [...cuisineFilter, { $count: "count" }],
+                cuisines: [
+                    { $group: { _id: "$restaurant.cuisineType", count: { $sum: 1 } } },
+                    { $sort: { count: -1, _id: 1 } },
+                ],
+            },
+        },
+    ];
+
+    const [{ results, total, cuisines: cuisineCounts }] = await Menu.aggregate(pipeline);
+    const totalResults = total[0]?.count || 0;
+
+    return {
+        data: results,
+        page: pageNumber,
+        limit: pageSize,
+        totalResults,
+        totalPages: Math.ceil(totalResults / pageSize),
+        facets: {
+            cuisines: cuisineCounts.map(({ _id, count }) => ({ cuisine: _id ?? null, count })),
+        },
+    };
+};
+
+// Point to search from: one of the customer's saved addresses, or coordinates sent by the client
+const resolveSearchPoint = async (customerId, { addressId, lat, lng }) => {
+    if (!addressId) {
+        if (lat === undefined || lng === undefined) {
+            throw new ServiceError("Provide addressId or lat and lng");
+        }
+        return toPoint({ lat, lng });
+    }
+
+    if (!mongoose.isValidObjectId(addressId)) {
+        throw new ServiceError("Invalid delivery address ID");
+    }
+    const address = await DeliveryAddress.findOne({ _id: addressId, userId: customerId });
+    if (!address) {
+        throw new ServiceError("Delivery address not found", 404);
+    }
+    if (!address.location) {
+        throw new ServiceError("This address has no location yet, update it with lat and lng");
+    }
+    return address.location.toObject();
+};
+
+/**
+ * Restaurants whose delivery area contains the point, nearest first.
+ * Restaurants that have not set a location and a delivery area are never listed.
+ */
+const findNearbyRestaurants = async (customerId, { addressId, lat, lng, maxDistanceKm, limit = 20 }) => {
+    const point = await resolveSearchPoint(customerId, { addressId, lat, lng });
+    const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), MAX_LIMIT);
+
+    let maxDistance;
+    if (maxDistanceKm !== undefined && maxDistanceKm !== "") {
+        maxDistance = Number(maxDistanceKm);
+        if (!Number.isFinite(maxDistance) || maxDistance <= 0) {
+            throw new ServiceError("maxDistanceKm must be a positive number");
+        }
+    }
+
+    const restaurants = await Restaurant.aggregate([
+        {
+            $geoNear: {
+                near: point,
+                key: "location",
+                distanceField: "distanceMeters",
+                spherical: true,
+                ...(maxDistance !== undefined && { maxDistance: maxDistance * 1000 }),
+                query: { deliveryArea: { $geoIntersects: { $geometry: point } } },
+            },
+        },
+        { $limit: pageSize },
+        { $project: { deliveryArea: 0 } },
+    ]);
+
+    const now = new Date();
+    return {
+        location: point,
+        data: restaurants.map(({ distanceMeters, ...restaurant }) => ({
+            ...withOpeningStatus(restaurant, now),
+            distanceKm: Math.round(distanceMeters / 10) / 100,
+        })),
+    };
+};
+
+module.exports = {
+    searchMenu,
+    findNearbyRestaurants,
+};
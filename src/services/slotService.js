@@ -0,0 +1,180 @@
+const mongoose = require("mongoose");
+const DeliverySlot = require("../models/DeliverySlot");
+const ServiceError = require("../utils/serviceError");
+
+const MAX_SLOTS_PER_REQUEST = 200;
+const DEFAULT_RANGE_DAYS = 7;
+const MAX_RANGE_DAYS = 31;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const parseDate = (value, name) => {
+    const date = new Date(value);
+    if (!value || isNaN(date.getTime())) {
+        throw new ServiceError(`${name} must be a date`);
+    }
+    return date;
+};
+
+const assertSlotId = (slotId) => {
+    if (!mongoose.isValidObjectId(slotId)) {
+        throw new ServiceError("Invalid delivery slot ID");
+    }
+};
+
+// `from`/`to` query window, a week from now by default and at most MAX_RANGE_DAYS long
+const parseWindow = ({ from, to }) => {
+    const start = from ? parseDate(from, "from") : new Date();
+    const end = to ? parseDate(to, "to") : new Date(start.getTime() + DEFAULT_RANGE_DAYS * DAY_MS);
+    if (end <= start) {
+        throw new ServiceError("to must be after from");
+    }
+    if (end - start > MAX_RANGE_DAYS * DAY_MS) {
+        throw new ServiceError(`Slots can be listed for at most ${MAX_RANGE_DAYS} days at a time`);
+    }
+    return { start, end };
+};
+
+const createSlots = async (restaurantId, slots) => {
+    if (!Array.isArray(slots) || slots.length === 0 || slots.length > MAX_SLOTS_PER_REQUEST) {
+        throw new ServiceError(`slots must be a list of 1 to ${MAX_SLOTS_PER_REQUEST} slots`);
+    }
+
+    const now = new Date();
+    const documents = slots.map((slot, index) => {
+        const startsAt = parseDate(slot?.startsAt, `slots[${index}].startsAt`);
+        const endsAt = parseDate(slot?.endsAt, `slots[${index}].endsAt`);
+        const capacity = Number(slot?.capacity);
+        if (startsAt <= now) {
+            throw new ServiceError(`slots[${index}] must start in the future`);
+        }
+        if (endsAt <= startsAt) {
+            throw new ServiceError(`slots[${index}] must end after it starts`);
+        }
+        if (!Number.isInteger(capacity) || capacity < 1) {
+            throw new ServiceError(`slots[${index}].capacity must be a positive whole number`);
+        }
+        return { restaurant: restaurantId, startsAt, endsAt, capacity };
+    });
+
+    const startTimes = documents.map((slot) => slot.startsAt.getTime());
+    const existing = await DeliverySlot.exists({ restaurant: restaurantId, startsAt: { $in: documents.map((slot) => slot.startsAt) } });
+    if (existing || new Set(startTimes).size !== startTimes.length) {
+        throw new ServiceError("The restaurant already has a slot starting at one of these times", 409);
+    }
+
+    try {
+        return await DeliverySlot.insertMany(documents);
+    } catch (err) {
+        // Another request created the same slot in the meantime
+        if (err.code === 11000) {
+            throw new ServiceError("The restaurant already has a slot starting at one of these times", 409);
+        }
+        throw err;
+    }
+};
+
+// Every slot of the restaurant in the window, booked up or not
+const listSlots = async (restaurantId, query = {}) => {
+    const { start, end } = parseWindow(query);
+    return DeliverySlot.find({ restaurant: restaurantId, startsAt: { $gte: start, $lt: end } }).sort({ startsAt: 1 });
+};
+
+// Future slots in the window that can still take an order
+const availableSlots = async (restaurantId, query = {}) => {
+    if (!mongoose.isValidObjectId(restaurantId)) {
+        throw new ServiceError("Invalid restaurant ID");
+    }
+    const { start, end } = parseWindow(query);
+    const now = new Date();
+    const slots = await DeliverySlot.find({
+        restaurant: restaurantId,
+        startsAt: { $gte: start > now ? start : now, $lt: end },
+        $expr: { $lt: ["$reserved", "$capacity"] },
+    }).sort({ startsAt: 1 });
+
+    return slots.map((slot) => ({
+        slotId: slot._id,
+        startsAt: slot.startsAt,
+        endsAt: slot.endsAt,
+        remaining: slot.remaining,
+    }));
+};
+
+// Capacity can be lowered down to the number of orders already booked
+const updateSlotCapacity = async (restaurantId, slotId, capacity) => {
+    assertSlotId(slotId);
+    const value = Number(capacity);
+    if (!Number.isInteger(value) || value < 1) {
+        throw new ServiceError("capacity must be a positive whole number");
+    }
+
+    const slot = await DeliverySlot.findOneAndUpdate(
+        { _id: slotId, restaurant: restaurantId, reserved: { $lte: value } },
+        { $set: { capacity: value } },
+        { new: true, runValidators: true }
+    );
+    if (slot) {
+        return slot;
+    }
+
+    const current = await DeliverySlot.findOne({ _id: slotId, restaurant: restaurantId });
+    if (!current) {
+        throw new ServiceError("Delivery slot not found", 404);
+    }
+    throw new ServiceError(`${current.reserved} orders are already booked into this slot`, 409);
+};
+
+// Only slots without bookings can be removed
+const deleteSlot = async (restaurantId, slotId) => {
+    assertSlotId(slotId);
+    const deleted = await DeliverySlot.findOneAndDelete({ _id: slotId, restaurant: restaurantId, reserved: 0 });
+    if (deleted) {
+        return deleted;
+    }
+
+    const exists = await DeliverySlot.exists({ _id: slotId, restaurant: restaurantId });
+    if (!exists) {
+        throw new ServiceError("Delivery slot not found", 404);
+    }
+    throw new ServiceError("Orders are booked into this slot, reschedule or cancel them first", 409);
+};
+
+/**
+ * Books one place in the slot. The conditional update makes concurrent
+ * bookings of the last place fail instead of overbooking the slot.
+ */
+const reserveSlot = async (restaurantId, slotId, session) => {
+    assertSlotId(slotId);
+    const slot = await DeliverySlot.findOneAndUpdate(
+        {
+            _id: slotId,
+            restaurant: restaurantId,
+            startsAt: { $gt: new Date() },
+            $expr: { $lt: ["$reserved", "$capacity"] },
+        },
+        { $inc: { reserved: 1 } },
+        { new: true, session }
+    );
+    if (!slot) {
+        const exists = await DeliverySlot.exists({ _id: slotId, restaurant: restaurantId }).session(session);
+        if (!exists) {
+            throw new ServiceError("Delivery slot not found", 404);
+        }
+        throw new ServiceError("This delivery slot is full or has already started, please pick another one", 409);
+    }
+    return slot;
+};
+
+const releaseSlot = async (slotId, session) => {
+    await DeliverySlot.updateOne({ _id: slotId, reserved: { $gt: 0 } }, { $inc: { reserved: -1 } }, { session });
+};
+
+module.exports = {
+    createSlots,
+    listSlots,
+    availableSlots,
+    updateSlotCapacity,
+    deleteSlot,
+    reserveSlot,
+    releaseSlot,
+};
@@ -0,0 +1,81 @@
+const createLocalStorage = require("./localStorage");
+const createS3Storage = require("./s3Storage");
+
+/**
+ * Every storage backend exposes:
+ *   put(key, body, contentType) -> resolves once the file is stored
+ *   remove(key) -> resolves once the file is gone, also when it did not exist
+ *   url(key) -> the URL clients load the file from
+ *   get(key) -> resolves to { body, contentType } with body a stream, or null
+ * STORAGE_DRIVER picks the implementation: "local" (default) or "s3".
+ */
+const backends = {
+    local: () => createLocalStorage({
+        directory: process.env.STORAGE_LOCAL_DIR || "uploads",
+        publicUrl: process.env.STORAGE_PUBLIC_URL || "/uploads",
+    }),
+    s3: () => createS3Storage({
+        bucket: process.env.S3_BUCKET,
+        region: process.env.S3_REGION,
+        endpoint: process.env.S3_ENDPOINT,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === "true",
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        publicUrl: process.env.STORAGE_PUBLIC_URL,
+    }),
+};
+
+// Files only staff may see, e.g. photos of customers' doors: never served
+// statically, so they have no URL and are read back through get()
+const privateBackends = {
+    local: () => createLocalStorage({
+        directory: process.env.STORAGE_PRIVATE_DIR || "private-uploads",
+    }),
+    s3: () => createS3Storage({
+        bucket: process.env.S3_PRIVATE_BUCKET,
+        region: process.env.S3_REGION,
+        endpoint: process.env.S3_ENDPOINT,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === "true",
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        bucketVariable: "S3_PRIVATE_BUCKET",
+        cacheControl: "private, no-store",
+    }),
+};
+
+let storage;
+let privateStorage;
+
+const backendOf = (available) => {
+    const name = process.env.STORAGE_DRIVER || "local";
+    if (!available[name]) {
+        throw new Error(`Unknown STORAGE_DRIVER ${name}`);
+    }
+    return available[name]();
+};
+
+const getStorage = () => {
+    if (!storage) {
+        storage = backendOf(backends);
+    }
+    return storage;
+};
+
+const getPrivateStorage = () => {
+    if (!privateStorage) {
+        privateStorage = backendOf(privateBackends);
+    }
+    return privateStorage;
+};
+
+// Lets tests plug in their own backends
+const setStorage = (customStorage, customPrivateStorage) => {
+    storage = customStorage;
+    privateStorage = customPrivateStorage;
+};
+
+module.exports = {
+    getStorage,
+    getPrivateStorage,
+    setStorage,
+};
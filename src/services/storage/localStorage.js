@@ -0,0 +1,47 @@
+const fs = require("fs/promises");
+const { createReadStream } = require("fs");
+const path = require("path");
+
+// The local disk keeps no metadata, the extension tells the type
+const CONTENT_TYPES = { ".jpg": "image/jpeg", ".png": "image/png", ".webp": "image/webp" };
+
+/**
+ * Keeps files under `directory` and serves them from `publicUrl`; app.js
+ * mounts the directory at /uploads when this backend is used. The private
+ * storage has no `publicUrl` and its directory is not mounted.
+ */
+const createLocalStorage = ({ directory, publicUrl }) => {
+    const root = path.resolve(directory);
+    // Keys are generated by the image service, this only guards against one escaping the directory
+    const pathOf = (key) => {
+        const file = path.resolve(root, key);
+        if (!file.startsWith(root + path.sep)) {
+            throw new Error(`Invalid storage key ${key}`);
+        }
+        return file;
+    };
+
+    return {
+        directory: root,
+        put: async (key, body) => {
+            const file = pathOf(key);
+            await fs.mkdir(path.dirname(file), { recursive: true });
+            await fs.writeFile(file, body);
+        },
+        remove: async (key) => {
+            await fs.rm(pathOf(key), { force: true });
+        },
+        get: async (key) => {
+            const file = pathOf(key);
+            try {
+                await fs.access(file);
+            } catch (err) {
+                return null;
+            }
+            return { body: createReadStream(file), contentType: CONTENT_TYPES[path.extname(file)] || "application/octet-stream" };
+        },
+        url: (key) => `${publicUrl.replace(/\/$/, "")}/${key}`,
+    };
+};
+
+module.exports = createLocalStorage;
@@ -0,0 +1,64 @@
+const { S3Client, PutObjectCommand, DeleteObjectCommand, GetObjectCommand } = require("@aws-sdk/client-s3");
+
+/**
+ * Stores files in an S3 bucket or an S3-compatible service such as MinIO or
+ * Cloudflare R2 (set `endpoint`, and `forcePathStyle` where the service needs
+ * it). URLs point at `publicUrl`, e.g. a CDN in front of the bucket, or at the
+ * bucket itself. The private storage uses its own bucket, which must not be
+ * readable without credentials.
+ */
+const createS3Storage = ({
+    bucket,
+    region,
+    endpoint,
+    forcePathStyle,
+    accessKeyId,
+    secretAccessKey,
+    publicUrl,
+    bucketVariable = "S3_BUCKET",
+    // Keys are never reused, a new upload gets a new key
+    cacheControl = "public, max-age=31536000, immutable",
+}) => {
+    if (!bucket) {
+        throw new Error(`${bucketVariable} is not defined`);
+    }
+
+    const client = new S3Client({
+        region: region || "us-east-1",
+        endpoint: endpoint || undefined,
+        forcePathStyle,
+        credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined,
+    });
+    const baseUrl = (publicUrl || (endpoint
+        ? `${endpoint.replace(/\/$/, "")}/${bucket}`
+        : `https://${bucket}.s3.${region || "us-east-1"}.amazonaws.com`)).replace(/\/$/, "");
+
+    return {
+        put: async (key, body, contentType) => {
+            await client.send(new PutObjectCommand({
+                Bucket: bucket,
+                Key: key,
+                Body: body,
+                ContentType: contentType,
+                CacheControl: cacheControl,
+            }));
+        },
+        remove: async (key) => {
+            await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+        },
+        url: (key) => `${baseUrl}/${key}`,
+        get: async (key) => {
+            try {
+                const object = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+                return { body: object.Body, contentType: object.ContentType };
+            } catch (err) {
+                if (err.name === "NoSuchKey") {
+                    return null;
+                }
+                throw err;
+            }
+        },
+    };
+};
+
+module.exports = createS3Storage;
@@ -0,0 +1,209 @@
+const mongoose = require("mongoose");
+const Order = require("../models/Order");
+const User = require("../models/User");
+const Restaurant = require("../models/Restaurant");
+const DeliveryAddress = require("../models/DeliveryAddress");
+const CourierLocation = require("../models/CourierLocation");
+const Delivery = require("../models/Delivery");
+const ServiceError = require("../utils/serviceError");
+const { toPoint, distanceKm } = require("../utils/geo");
+const { vehicleOf } = require("../utils/vehicles");
+const { OPEN_DELIVERY } = require("./orderLifecycle");
+
+// Orders a courier carries, from accepting them until they are delivered
+const CARRIED_STATUSES = ["Accepted", "Preparing", "OutForDelivery"];
+// Roads are longer than the straight line between two points
+const ROAD_FACTOR = 1.3;
+// Pings buffered by the app while offline are accepted up to this late
+const MAX_PING_AGE_MINUTES = 60;
+const MAX_ROUTE_POINTS = 5000;
+
+const optionalNumber = (value, name, min, max) => {
+    if (value === undefined || value === null || value === "") {
+        return undefined;
+    }
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < min || number > max) {
+        throw new ServiceError(`${name} must be a number from ${min} to ${max}`);
+    }
+    return number;
+};
+
+const parseRecordedAt = (value, now) => {
+    if (value === undefined || value === null || value === "") {
+        return now;
+    }
+    const recordedAt = new Date(value);
+    if (isNaN(recordedAt.getTime())) {
+        throw new ServiceError("recordedAt must be a date");
+    }
+    if (recordedAt.getTime() > now.getTime() + 60000) {
+        throw new ServiceError("recordedAt lies in the future");
+    }
+    if (recordedAt.getTime() < now.getTime() - MAX_PING_AGE_MINUTES * 60000) {
+        throw new ServiceError(`Pings older than ${MAX_PING_AGE_MINUTES} minutes are not accepted`);
+    }
+    return recordedAt;
+};
+
+const assertOrderId = (orderId) => {
+    if (!mongoose.isValidObjectId(orderId)) {
+        throw new ServiceError("Invalid order ID");
+    }
+};
+
+const toLatLng = (point) => ({ lat: point.coordinates[1], lng: point.coordinates[0] });
+
+// Orders the courier had at `at`: given to them by then, not delivered or taken away before
+const ordersCarriedAt = async (courierId, at) => {
+    const deliveries = await Delivery.find({
+        deliveryPersonnel: courierId,
+        createdAt: { $lte: at },
+        $or: [
+            { deliveryStatus: { $in: OPEN_DELIVERY } },
+            { deliveryTime: { $gt: at } },
+            { cancelledAt: { $gt: at } },
+        ],
+    }).select("order");
+    return [...new Set(deliveries.map((delivery) => delivery.order.toString()))];
+};
+
+/**
+ * Stores a GPS ping of a courier carrying at least one order, tagged with the
+ * orders carried when it was taken, and makes it the courier's last known
+ * position. A ping buffered by the app so counts for the orders of that time,
+ * not those the courier has by the time it arrives. Couriers without an
+ * order report their position through their availability.
+ */
+const recordPing = async (courier, { location, accuracyMeters, speedKmh, heading, recordedAt }) => {
+    const now = new Date();
+    const ping = {
+        courier: courier._id,
+        location: toPoint(location),
+        accuracyMeters: optionalNumber(accuracyMeters, "accuracyMeters", 0, 100000),
+        speedKmh: optionalNumber(speedKmh, "speedKmh", 0, 300),
+        heading: optionalNumber(heading, "heading", 0, 360),
+        recordedAt: parseRecordedAt(recordedAt, now),
+    };
+
+    const carried = await ordersCarriedAt(courier._id, ping.recordedAt);
+    if (carried.length === 0) {
+        throw new ServiceError("Pings are only recorded while you carry an order", 409);
+    }
+
+    const saved = await CourierLocation.create({ ...ping, orders: carried });
+    // A late buffered ping must not replace a newer position
+    await User.updateOne(
+        {
+            _id: courier._id,
+            $or: [{ "courierProfile.lastLocationAt": { $lt: ping.recordedAt } }, { "courierProfile.lastLocationAt": null }],
+        },
+        { $set: { "courierProfile.lastLocation": ping.location, "courierProfile.lastLocationAt": ping.recordedAt } }
+    );
+    return saved;
+};
+
+// Minutes the vehicle needs for the straight-line legs, allowing for the road
+const travelMinutes = (legsKm, vehicle) => {
+    const km = legsKm.reduce((sum, leg) => sum + leg, 0) * ROAD_FACTOR;
+    return Math.ceil((km / vehicle.speedKmh) * 60);
+};
+
+/**
+ * Where the courier of an order is and when they should arrive. The ETA is
+ * recomputed from the last position: before pickup it runs through the
+ * restaurant, once out for delivery straight to the customer. Positions or
+ * addresses without coordinates leave the ETA null.
+ */
+const trackCourier = async (orderId) => {
+    assertOrderId(orderId);
+    const order = await Order.findById(orderId).select("orderStatus restaurant deliveryAddress deliveryPersonnel");
+    if (!order) {
+        throw new ServiceError("Order not found", 404);
+    }
+    const result = { orderId: order._id, status: order.orderStatus, courier: null, position: null, etaMinutes: null, estimatedArrivalAt: null };
+    if (!order.deliveryPersonnel) {
+        return result;
+    }
+
+    const [courier, lastPing] = await Promise.all([
+        User.findById(order.deliveryPersonnel).select("firstName courierProfile.vehicleType courierProfile.lastLocation courierProfile.lastLocationAt"),
+        // Pings of a courier the order was taken away from are not where it is now
+        CourierLocation.findOne({ orders: order._id, courier: order.deliveryPersonnel }).sort({ recordedAt: -1 }),
+    ]);
+    if (!courier) {
+        return result;
+    }
+    result.courier = { firstName: courier.firstName, vehicleType: courier.courierProfile?.vehicleType };
+
+    const position = lastPing
+        ? { location: lastPing.location, recordedAt: lastPing.recordedAt }
+        : courier.courierProfile?.lastLocation && { location: courier.courierProfile.lastLocation, recordedAt: courier.courierProfile.lastLocationAt };
+    if (!position) {
+        return result;
+    }
+    result.position = { ...toLatLng(position.location), recordedAt: position.recordedAt };
+    if (!CARRIED_STATUSES.includes(order.orderStatus)) {
+        return result;
+    }
+
+    const [restaurant, address] = await Promise.all([
+        Restaurant.findById(order.restaurant).select("location"),
+        order.deliveryAddress ? DeliveryAddress.findById(order.deliveryAddress).select("location") : null,
+    ]);
+    if (!address?.location || (order.orderStatus !== "OutForDelivery" && !restaurant?.location)) {
+        return result;
+    }
+    const legs = order.orderStatus === "OutForDelivery"
+        ? [distanceKm(position.location, address.location)]
+        : [distanceKm(position.location, restaurant.location), distanceKm(restaurant.location, address.location)];
+
+    const minutes = travelMinutes(legs, vehicleOf(courier.courierProfile?.vehicleType));
+    const now = Date.now();
+    const arrival = Math.max(now, new Date(position.recordedAt).getTime() + minutes * 60000);
+    result.etaMinutes = Math.ceil((arrival - now) / 60000);
+    result.estimatedArrivalAt = new Date(arrival);
+    return result;
+};
+
+// The pings recorded while the order was carried, oldest first, as points and as a GeoJSON line.
+// An order given to another courier keeps both legs; each point names its courier.
+const replayRoute = async (orderId) => {
+    assertOrderId(orderId);
+    const order = await Order.findById(orderId).select("deliveryPersonnel orderStatus");
+    if (!order) {
+        throw new ServiceError("Order not found", 404);
+    }
+
+    const pings = await CourierLocation.find({ orders: order._id }).sort({ recordedAt: 1 }).limit(MAX_ROUTE_POINTS).lean();
+    let totalKm = 0;
+    for (let i = 1; i < pings.length; i++) {
+        if (pings[i].courier.equals(pings[i - 1].courier)) {
+            totalKm += distanceKm(pings[i - 1].location, pings[i].location);
+        }
+    }
+
+    return {
+        orderId: order._id,
+        status: order.orderStatus,
+        courier: order.deliveryPersonnel || pings[pings.length - 1]?.courier || null,
+        startedAt: pings[0]?.recordedAt || null,
+        endedAt: pings[pings.length - 1]?.recordedAt || null,
+        distanceKm: Math.round(totalKm * 100) / 100,
+        points: pings.map((ping) => ({
+            ...toLatLng(ping.location),
+            courier: ping.courier,
+            recordedAt: ping.recordedAt,
+            accuracyMeters: ping.accuracyMeters,
+            speedKmh: ping.speedKmh,
+        })),
+        // A LineString needs two positions
+        path: pings.length > 1 ? { type: "LineString", coordinates: pings.map((ping) => ping.location.coordinates) } : null,
+    };
+};
+
+module.exports = {
+    recordPing,
+    trackCourier,
+    replayRoute,
+};
@@ -0,0 +1,41 @@
+const { issueActionToken } = require("./actionToken");
+const { sendMail } = require("../services/mail");
+
+const appUrl = () => process.env.APP_BASE_URL || `http://localhost:${process.env.PORT || 3000}`;
+
+const sendVerificationEmail = async (user) => {
+    const token = await issueActionToken(user, "email-verify");
+    const link = `${appUrl()}/api/email/verify?token=${encodeURIComponent(token)}`;
+
+    await sendMail({
+        to: user.emailId,
+        subject: "Verify your Faizos email address",
+        text: `Hi ${user.firstName},\n\nPlease confirm your email address by opening the link below:\n${link}\n\nThe link expires in 24 hours.`,
+    });
+};
+
+// The reset page belongs to the front end, it posts the token to /api/password/reset
+const sendPasswordResetEmail = async (user) => {
+    const token = await issueActionToken(user, "password-reset");
+    const resetUrl = process.env.PASSWORD_RESET_URL || `${appUrl()}/reset-password`;
+    const link = `${resetUrl}?token=${encodeURIComponent(token)}`;
+
+    await sendMail({
+        to: user.emailId,
+        subject: "Reset your Faizos password",
+        text: `Hi ${user.firstName},\n\nUse the link below to choose a new password:\n${link}\n\nThe link expires in 30 minutes and works once. If you did not ask for it, you can ignore this email.`,
+    });
+};
+
+// Sign-up must not fail because the mail server is down, the user can ask for a new link
+const queueVerificationEmail = (user) => {
+    sendVerificationEmail(user).catch((err) => {
+        console.error(`Unable to send verification email to ${user.emailId}`, err);
+    });
+};
+
+module.exports = {
+    sendVerificationEmail,
+    sendPasswordResetEmail,
+    queueVerificationEmail,
+};
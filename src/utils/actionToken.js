@@ -0,0 +1,107 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const ActionToken = require("../models/ActionToken");
+
+const TOKEN_TTL_MINUTES = {
+    "password-reset": 30,
+    "email-verify": 24 * 60,
+    "two-factor-login": 5,
+};
+
+const MAX_FAILED_ATTEMPTS = 5;
+
+/**
+ * Issues a signed token for a one-off account action. The JWT carries the
+ * user and purpose, the stored jti makes sure it can be redeemed only once.
+ */
+const issueActionToken = async (user, purpose) => {
+    const jti = crypto.randomBytes(16).toString("hex");
+    const ttlMinutes = TOKEN_TTL_MINUTES[purpose];
+
+    await ActionToken.create({
+        user: user._id,
+        purpose,
+        jti,
+        expiresAt: new Date(Date.now() + ttlMinutes * 60000),
+    });
+
+    return jwt.sign({ _id: user._id, purpose }, process.env.JWT_PRIVATE_KEY, {
+        expiresIn: `${ttlMinutes}m`,
+        jwtid: jti,
+    });
+};
+
+const decodeActionToken = (token, purpose) => {
+    let decoded;
+    try {
+        decoded = jwt.verify(token, process.env.JWT_PRIVATE_KEY);
+    } catch (err) {
+        throw new Error("Invalid or expired link");
+    }
+    if (decoded.purpose !== purpose) {
+        throw new Error("Invalid or expired link");
+    }
+    return decoded;
+};
+
+const activeFilter = (jti, purpose) => ({
+    jti,
+    purpose,
+    usedAt: { $exists: false },
+    expiresAt: { $gt: new Date() },
+});
+
+// Verifies the token and marks it as used; returns the user id it was issued for
+const consumeActionToken = async (token, purpose) => {
+    const decoded = decodeActionToken(token, purpose);
+
+    const record = await ActionToken.findOneAndUpdate(
+        activeFilter(decoded.jti, purpose),
+        { $set: { usedAt: new Date() } }
+    );
+    if (!record) {
+        throw new Error("Invalid or expired link");
+    }
+
+    return record.user;
+};
+
+// Verifies the token without using it up, for steps that may need a retry
+const peekActionToken = async (token, purpose) => {
+    const decoded = decodeActionToken(token, purpose);
+
+    const record = await ActionToken.findOne(activeFilter(decoded.jti, purpose));
+    if (!record) {
+        throw new Error("Invalid or expired link");
+    }
+
+    return record;
+};
+
+// Counts a wrong answer against the token, which is burnt after a few of them
+const recordActionTokenFailure = async (record) => {
+    const updated = await ActionToken.findOneAndUpdate(
+        { _id: record._id },
+        { $inc: { failedAttempts: 1 } },
+        { new: true }
+    );
+    if (updated && updated.failedAttempts >= MAX_FAILED_ATTEMPTS) {
+        await ActionToken.updateOne({ _id: record._id }, { $set: { usedAt: new Date() } });
+    }
+};
+
+// Invalidates outstanding tokens, e.g. older reset links once the password changed
+const discardActionTokens = async (userId, purpose) => {
+    await ActionToken.updateMany(
+        { user: userId, purpose, usedAt: { $exists: false } },
+        { $set: { usedAt: new Date() } }
+    );
+};
+
+module.exports = {
+    issueActionToken,
+    consumeActionToken,
+    peekActionToken,
+    recordActionTokenFailure,
+    discardActionTokens,
+};
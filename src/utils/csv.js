@@ -0,0 +1,85 @@
+const ServiceError = require("./serviceError");
+
+/**
+ * Parses RFC 4180 CSV: fields may be quoted, quoted fields may hold commas,
+ * line breaks and doubled quotes. The first record is the header; returns the
+ * header and one object per record keyed by it, blank lines skipped.
+ */
+const parseCsv = (text) => {
+    if (typeof text !== "string") {
+        throw new ServiceError("CSV body must be text");
+    }
+    const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+    const records = [];
+    let record = [];
+    let field = "";
+    let quoted = false;
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === "") {
+            quoted = true;
+        } else if (char === ",") {
+            record.push(field);
+            field = "";
+        } else if (char === "\n" || char === "\r") {
+            if (char === "\r" && input[i + 1] === "\n") {
+                i++;
+            }
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = "";
+        } else {
+            field += char;
+        }
+    }
+    if (quoted) {
+        throw new ServiceError("CSV has an unterminated quoted field");
+    }
+    if (field !== "" || record.length > 0) {
+        record.push(field);
+        records.push(record);
+    }
+
+    const rows = records.filter((values) => values.some((value) => value.trim() !== ""));
+    if (rows.length === 0) {
+        throw new ServiceError("CSV is empty");
+    }
+    const header = rows[0].map((name) => name.trim());
+    return {
+        header,
+        rows: rows.slice(1).map((values) => Object.fromEntries(header.map((name, index) => [name, values[index] ?? ""]))),
+    };
+};
+
+const formatField = (value) => {
+    if (value === undefined || value === null) {
+        return "";
+    }
+    const text = value instanceof Date ? value.toISOString() : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Writes `rows` (plain objects) as CSV with the given columns in that order
+const toCsv = (columns, rows) => {
+    const lines = [columns.map(formatField).join(",")];
+    for (const row of rows) {
+        lines.push(columns.map((column) => formatField(row[column])).join(","));
+    }
+    return lines.join("\r\n") + "\r\n";
+};
+
+module.exports = {
+    parseCsv,
+    toCsv,
+};
@@ -0,0 +1,4 @@
+// Escapes user input so it matches literally when used inside a RegExp / $regex
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+module.exports = escapeRegex;
@@ -0,0 +1,75 @@
+const ServiceError = require("./serviceError");
+
+const isLongitude = (value) => Number.isFinite(value) && value >= -180 && value <= 180;
+const isLatitude = (value) => Number.isFinite(value) && value >= -90 && value <= 90;
+
+// Empty query parameters would otherwise turn into 0
+const toCoordinate = (value) => (value === undefined || value === null || value === "" ? NaN : Number(value));
+
+const isPosition = (position) => {
+    return Array.isArray(position) && position.length === 2 && isLongitude(position[0]) && isLatitude(position[1]);
+};
+
+/**
+ * Accepts `{ lat, lng }`, `{ latitude, longitude }` or a GeoJSON Point and
+ * returns the GeoJSON Point stored in MongoDB (longitude first).
+ */
+const toPoint = (input) => {
+    if (!input || typeof input !== "object") {
+        throw new ServiceError("Location must be an object with lat and lng");
+    }
+
+    const [lng, lat] = input.type === "Point" && Array.isArray(input.coordinates)
+        ? input.coordinates.map(toCoordinate)
+        : [toCoordinate(input.lng ?? input.longitude), toCoordinate(input.lat ?? input.latitude)];
+
+    if (!isLatitude(lat) || !isLongitude(lng)) {
+        throw new ServiceError("Location needs a latitude between -90 and 90 and a longitude between -180 and 180");
+    }
+    return { type: "Point", coordinates: [lng, lat] };
+};
+
+// A linear ring is closed (first position repeated last) and has at least four positions
+const isLinearRing = (ring) => {
+    if (!Array.isArray(ring) || ring.length < 4 || !ring.every(isPosition)) {
+        return false;
+    }
+    const [first, last] = [ring[0], ring[ring.length - 1]];
+    return first[0] === last[0] && first[1] === last[1];
+};
+
+const isPolygon = (rings) => Array.isArray(rings) && rings.length > 0 && rings.every(isLinearRing);
+
+/**
+ * Checks a delivery area sent as a GeoJSON Polygon or MultiPolygon. MongoDB
+ * still refuses self-intersecting shapes when the 2dsphere index is built.
+ */
+const toDeliveryArea = (input) => {
+    const valid = input?.type === "Polygon"
+        ? isPolygon(input.coordinates)
+        : input?.type === "MultiPolygon" && Array.isArray(input.coordinates) && input.coordinates.length > 0
+            && input.coordinates.every(isPolygon);
+
+    if (!valid) {
+        throw new ServiceError("deliveryArea must be a GeoJSON Polygon or MultiPolygon with closed rings of [lng, lat] positions");
+    }
+    return { type: input.type, coordinates: input.coordinates };
+};
+
+const EARTH_RADIUS_KM = 6371;
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+// Great-circle distance in km between two GeoJSON Points
+const distanceKm = (from, to) => {
+    const [lng1, lat1] = from.coordinates;
+    const [lng2, lat2] = to.coordinates;
+    const a = Math.sin(toRadians(lat2 - lat1) / 2) ** 2
+        + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(toRadians(lng2 - lng1) / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+module.exports = {
+    toPoint,
+    toDeliveryArea,
+    distanceKm,
+};
@@ -0,0 +1,131 @@
+const User = require("../models/User");
+const LoginThrottle = require("../models/LoginThrottle");
+const SecurityEvent = require("../models/SecurityEvent");
+
+const ACCOUNT_MAX_FAILURES = Number(process.env.LOGIN_MAX_FAILURES) || 5;
+const IP_MAX_FAILURES = Number(process.env.LOGIN_IP_MAX_FAILURES) || 20;
+const LOCK_MINUTES = Number(process.env.LOGIN_LOCK_MINUTES) || 15;
+const MAX_LOCK_MINUTES = 24 * 60;
+const FORGET_AFTER_HOURS = 24;
+
+const accountKey = (emailId) => `account:${String(emailId).trim().toLowerCase()}`;
+const ipKey = (ipAddress) => `ip:${ipAddress}`;
+
+/**
+ * Seconds a key stays blocked after its n-th failure: 1, 2, 4, 8... seconds
+ * below the limit, then a lock of LOCK_MINUTES that doubles with every further
+ * failure, capped at a day.
+ */
+const blockSeconds = (failures, maxFailures) => {
+    if (failures < maxFailures) {
+        return 2 ** (failures - 1);
+    }
+    return Math.min(LOCK_MINUTES * 2 ** (failures - maxFailures), MAX_LOCK_MINUTES) * 60;
+};
+
+class LoginBlockedError extends Error {
+    constructor(retryAfterSeconds) {
+        super(`Too many failed login attempts, try again in ${retryAfterSeconds} seconds`);
+        this.statusCode = 429;
+        this.retryAfterSeconds = retryAfterSeconds;
+    }
+}
+
+const registerFailure = async (key, maxFailures) => {
+    const now = new Date();
+    const throttle = await LoginThrottle.findOneAndUpdate(
+        { key },
+        {
+            $inc: { failures: 1 },
+            $set: { lastFailureAt: now, expiresAt: new Date(now.getTime() + FORGET_AFTER_HOURS * 3600000) },
+        },
+        { upsert: true, new: true }
+    );
+
+    throttle.lockedUntil = new Date(now.getTime() + blockSeconds(throttle.failures, maxFailures) * 1000);
+    await throttle.save();
+    return throttle;
+};
+
+const recordFailure = async (req, emailId, user) => {
+    const [account, client] = await Promise.all([
+        registerFailure(accountKey(emailId), ACCOUNT_MAX_FAILURES),
+        registerFailure(ipKey(req.ip), IP_MAX_FAILURES),
+    ]);
+
+    if (account.failures === ACCOUNT_MAX_FAILURES) {
+        await SecurityEvent.create({
+            type: "account-locked",
+            user: user?._id,
+            emailId,
+            ipAddress: req.ip,
+            details: { failures: account.failures, lockedUntil: account.lockedUntil },
+        });
+    }
+    if (client.failures === IP_MAX_FAILURES) {
+        await SecurityEvent.create({
+            type: "ip-locked",
+            ipAddress: req.ip,
+            details: { failures: client.failures, lockedUntil: client.lockedUntil },
+        });
+    }
+};
+
+const assertNotBlocked = async (req, res, emailId) => {
+    const throttles = await LoginThrottle.find({
+        key: { $in: [accountKey(emailId), ipKey(req.ip)] },
+        lockedUntil: { $gt: new Date() },
+    });
+    if (throttles.length > 0) {
+        const lockedUntil = Math.max(...throttles.map((throttle) => throttle.lockedUntil.getTime()));
+        const retryAfterSeconds = Math.ceil((lockedUntil - Date.now()) / 1000);
+        res.set("Retry-After", String(retryAfterSeconds));
+        throw new LoginBlockedError(retryAfterSeconds);
+    }
+};
+
+/**
+ * Shared by every login endpoint: rejects blocked accounts/IPs with a 429,
+ * checks the password and keeps the failure counters. Returns the user, or
+ * null when the credentials are wrong.
+ */
+const checkCredentials = async (req, res, emailId, password) => {
+    if (!emailId || !password) {
+        return null;
+    }
+    await assertNotBlocked(req, res, emailId);
+
+    const user = await User.findOne({ emailId: String(emailId).toLowerCase() });
+    const isPasswordValid = user ? await user.validatePassword(password) : false;
+    if (!isPasswordValid) {
+        await recordFailure(req, emailId, user);
+        return null;
+    }
+
+    // The IP counter is left alone so one valid account cannot reset it
+    await LoginThrottle.deleteOne({ key: accountKey(emailId) });
+    return user;
+};
+
+// Called once the password was reset through the emailed link
+const resetLoginFailures = async (emailId) => {
+    await LoginThrottle.deleteOne({ key: accountKey(emailId) });
+};
+
+const unlockAccount = async (user, actor) => {
+    const { deletedCount } = await LoginThrottle.deleteOne({ key: accountKey(user.emailId) });
+    await SecurityEvent.create({
+        type: "account-unlocked",
+        user: user._id,
+        emailId: user.emailId,
+        actor: actor._id,
+    });
+    return deletedCount > 0;
+};
+
+module.exports = {
+    LoginBlockedError,
+    checkCredentials,
+    resetLoginFailures,
+    unlockAccount,
+};
@@ -0,0 +1,16 @@
+// REQUIRE_EMAIL_VERIFICATION=true keeps unverified accounts from logging in
+const isEmailVerificationRequired = () => process.env.REQUIRE_EMAIL_VERIFICATION === "true";
+
+const canStartSession = (user) => !isEmailVerificationRequired() || Boolean(user.emailVerified);
+
+const assertCanLogin = (user) => {
+    if (!canStartSession(user)) {
+        throw new Error("Email is not verified, please check your inbox");
+    }
+};
+
+module.exports = {
+    isEmailVerificationRequired,
+    canStartSession,
+    assertCanLogin,
+};
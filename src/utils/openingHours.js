@@ -0,0 +1,202 @@
+const ServiceError = require("./serviceError");
+
+const DAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const DEFAULT_TIME_ZONE = process.env.DEFAULT_TIME_ZONE || "Asia/Kolkata";
+// How far ahead nextOpenAt looks before giving up, e.g. for a restaurant closed for the season
+const LOOKAHEAD_DAYS = 14;
+const TIME_PATTERN = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const toMinutes = (time) => {
+    const [hours, minutes] = time.split(":").map(Number);
+    return hours * 60 + minutes;
+};
+
+const formatters = new Map();
+const formatterFor = (timeZone) => {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat("en-US", {
+            timeZone,
+            hourCycle: "h23",
+            year: "numeric",
+            month: "2-digit",
+            day: "2-digit",
+            hour: "2-digit",
+            minute: "2-digit",
+        }));
+    }
+    return formatters.get(timeZone);
+};
+
+// Wall-clock date ("YYYY-MM-DD") and minutes since midnight of an instant in the zone
+const localTime = (instant, timeZone) => {
+    const parts = {};
+    for (const { type, value } of formatterFor(timeZone).formatToParts(instant)) {
+        parts[type] = value;
+    }
+    return {
+        date: `${parts.year}-${parts.month}-${parts.day}`,
+        minutes: Number(parts.hour) * 60 + Number(parts.minute),
+    };
+};
+
+// Calendar arithmetic on "YYYY-MM-DD" strings, independent of any time zone
+const addDays = (date, days) => {
+    const day = new Date(`${date}T00:00:00Z`);
+    day.setUTCDate(day.getUTCDate() + days);
+    return day.toISOString().slice(0, 10);
+};
+
+// Round-tripping catches dates such as 2025-02-30 that Date would roll over
+const isCalendarDate = (date) => {
+    return DATE_PATTERN.test(date || "") && !isNaN(new Date(`${date}T00:00:00Z`).getTime()) && addDays(date, 0) === date;
+};
+
+const dayOf = (date) => DAYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+
+// Instant of a wall-clock time in the zone; the offset is read a second time in case a DST change lies in between
+const zonedInstant = (date, minutes, timeZone) => {
+    const wall = new Date(`${date}T00:00:00Z`).getTime() + minutes * 60000;
+    const offsetAt = (instant) => {
+        const local = localTime(new Date(instant), timeZone);
+        const localWall = new Date(`${local.date}T00:00:00Z`).getTime() + local.minutes * 60000;
+        return localWall - (instant - (instant % 60000));
+    };
+    const guess = wall - offsetAt(wall);
+    return new Date(wall - offsetAt(guess));
+};
+
+// Ranges of one calendar day: a dated exception replaces the weekly hours of that day
+const rangesOn = (schedule, date) => {
+    const exception = (schedule.exceptions || []).find((entry) => entry.date === date);
+    if (exception) {
+        return exception.closed ? [] : exception.ranges;
+    }
+    return (schedule.weekly || []).filter((range) => range.day === dayOf(date));
+};
+
+// A range whose closing time is not after its opening time runs past midnight
+const isOvernight = (range) => toMinutes(range.closes) <= toMinutes(range.opens);
+
+/**
+ * Whether the schedule is open at `instant`. Restaurants without a schedule
+ * only have the free-text openingHours and are treated as always open.
+ */
+const isOpenAt = (schedule, instant) => {
+    if (!schedule) {
+        return true;
+    }
+    const { date, minutes } = localTime(instant, schedule.timeZone);
+
+    const openToday = rangesOn(schedule, date).some((range) => {
+        const opens = toMinutes(range.opens);
+        return minutes >= opens && (isOvernight(range) || minutes < toMinutes(range.closes));
+    });
+    const openSinceYesterday = rangesOn(schedule, addDays(date, -1))
+        .some((range) => isOvernight(range) && minutes < toMinutes(range.closes));
+
+    return openToday || openSinceYesterday;
+};
+
+// Next opening after `instant`, or null when nothing opens within LOOKAHEAD_DAYS
+const nextOpeningAfter = (schedule, instant) => {
+    const { date: today } = localTime(instant, schedule.timeZone);
+    for (let offset = 0; offset <= LOOKAHEAD_DAYS; offset++) {
+        const date = addDays(today, offset);
+        const openings = rangesOn(schedule, date).map((range) => toMinutes(range.opens)).sort((a, b) => a - b);
+        for (const opens of openings) {
+            const opening = zonedInstant(date, opens, schedule.timeZone);
+            if (opening > instant) {
+                return opening;
+            }
+        }
+    }
+    return null;
+};
+
+const openingStatus = (schedule, now = new Date()) => {
+    const isOpen = isOpenAt(schedule, now);
+    return { isOpen, nextOpenAt: isOpen ? null : nextOpeningAfter(schedule, now) };
+};
+
+// Adds the computed isOpen and nextOpenAt to a plain restaurant object
+const withOpeningStatus = (restaurant, now = new Date()) => ({
+    ...restaurant,
+    ...openingStatus(restaurant.schedule, now),
+});
+
+const parseRange = (range, label) => {
+    const { opens, closes } = range || {};
+    if (!TIME_PATTERN.test(opens || "") || !TIME_PATTERN.test(closes || "") || opens === "24:00") {
+        throw new ServiceError(`${label} needs opens and closes as HH:mm`);
+    }
+    if (opens === closes) {
+        throw new ServiceError(`${label} opens and closes at the same time`);
+    }
+    return { opens, closes };
+};
+
+/**
+ * Validates a schedule sent by a restaurant: an IANA time zone, weekly ranges
+ * (several per day allowed, `closes` before `opens` runs past midnight) and
+ * dated exceptions that either close the day or replace its ranges.
+ * `null` removes the schedule.
+ */
+const parseSchedule = (input) => {
+    if (input === null) {
+        return null;
+    }
+    if (typeof input !== "object" || Array.isArray(input)) {
+        throw new ServiceError("schedule must be an object");
+    }
+
+    const timeZone = input.timeZone || DEFAULT_TIME_ZONE;
+    try {
+        formatterFor(timeZone);
+    } catch (err) {
+        throw new ServiceError(`Unknown time zone ${timeZone}`);
+    }
+
+    const weekly = input.weekly || [];
+    const exceptions = input.exceptions || [];
+    if (!Array.isArray(weekly) || !Array.isArray(exceptions)) {
+        throw new ServiceError("schedule.weekly and schedule.exceptions must be arrays");
+    }
+
+    return {
+        timeZone,
+        weekly: weekly.map((range, index) => {
+            if (!DAYS.includes(range?.day)) {
+                throw new ServiceError(`schedule.weekly[${index}].day must be one of ${DAYS.join(", ")}`);
+            }
+            return { day: range.day, ...parseRange(range, `schedule.weekly[${index}]`) };
+        }),
+        exceptions: exceptions.map((exception, index) => {
+            const label = `schedule.exceptions[${index}]`;
+            const date = exception?.date;
+            if (!isCalendarDate(date)) {
+                throw new ServiceError(`${label}.date must be a date as YYYY-MM-DD`);
+            }
+            const closed = Boolean(exception.closed);
+            const ranges = exception.ranges || [];
+            if (!Array.isArray(ranges) || (!closed && ranges.length === 0)) {
+                throw new ServiceError(`${label} needs ranges unless the restaurant is closed that day`);
+            }
+            return {
+                date,
+                closed,
+                ranges: closed ? [] : ranges.map((range, rangeIndex) => parseRange(range, `${label}.ranges[${rangeIndex}]`)),
+                note: exception.note,
+            };
+        }),
+    };
+};
+
+module.exports = {
+    DAYS,
+    DEFAULT_TIME_ZONE,
+    isOpenAt,
+    openingStatus,
+    withOpeningStatus,
+    parseSchedule,
+};
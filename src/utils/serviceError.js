@@ -0,0 +1,13 @@
+/**
+ * Thrown by the services for problems the client can fix; routers answer with
+ * `statusCode` and the message, anything else is an internal error.
+ */
+class ServiceError extends Error {
+    constructor(message, statusCode = 400, details) {
+        super(message);
+        this.statusCode = statusCode;
+        this.details = details;
+    }
+}
+
+module.exports = ServiceError;
@@ -0,0 +1,147 @@
+const crypto = require("crypto");
+const Session = require("../models/Session");
+
+const ACCESS_TOKEN_TTL_MINUTES = Number(process.env.ACCESS_TOKEN_TTL_MINUTES) || 15;
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+const newRefreshToken = () => crypto.randomBytes(48).toString("base64url");
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 3600000);
+
+const setAuthCookies = (res, { accessToken, refreshToken, session }) => {
+    res.cookie("token", accessToken, {
+        expires: new Date(Date.now() + ACCESS_TOKEN_TTL_MINUTES * 60000),
+    });
+    res.cookie("refreshToken", refreshToken, {
+        httpOnly: true,
+        path: "/api",
+        expires: session.expiresAt,
+    });
+};
+
+const clearAuthCookies = (res) => {
+    res.cookie("token", null, {
+        expires: new Date(Date.now()),
+    });
+    res.cookie("refreshToken", null, {
+        httpOnly: true,
+        path: "/api",
+        expires: new Date(Date.now()),
+    });
+};
+
+// Refresh tokens come from the httpOnly cookie (browsers) or the request body (apps)
+const getRequestRefreshToken = (req) => req.body?.refreshToken || req.cookies?.refreshToken;
+
+// Opens a new device session for the user and sets the auth cookies
+const startSession = async (req, res, user) => {
+    const refreshToken = newRefreshToken();
+    const session = await Session.create({
+        user: user._id,
+        refreshTokenHash: hashToken(refreshToken),
+        userAgent: req.get("user-agent"),
+        ipAddress: req.ip,
+        expiresAt: refreshExpiry(),
+    });
+    const accessToken = await user.getJWT(session._id);
+
+    setAuthCookies(res, { accessToken, refreshToken, session });
+    return { accessToken, refreshToken, session };
+};
+
+/**
+ * Exchanges a refresh token for a new access/refresh token pair. A token that
+ * was already rotated means it leaked, so the whole session is revoked.
+ */
+const rotateSession = async (req, res, refreshToken) => {
+    const tokenHash = hashToken(refreshToken);
+
+    const session = await Session.findOne({ refreshTokenHash: tokenHash }).populate("user");
+    if (!session) {
+        const reused = await Session.findOne({ previousTokenHashes: tokenHash });
+        if (reused && !reused.revokedAt) {
+            reused.revokedAt = new Date();
+            reused.revokedReason = "reuse-detected";
+            await reused.save();
+        }
+        throw new Error("Invalid refresh token");
+    }
+    if (!session.isActive() || !session.user || session.user.status !== "active") {
+        throw new Error("Session expired, kindly login again");
+    }
+
+    // Conditional on the old hash so two concurrent refreshes cannot both succeed
+    const nextRefreshToken = newRefreshToken();
+    const rotated = await Session.findOneAndUpdate(
+        { _id: session._id, refreshTokenHash: tokenHash },
+        {
+            $set: {
+                refreshTokenHash: hashToken(nextRefreshToken),
+                lastUsedAt: new Date(),
+                userAgent: req.get("user-agent") || session.userAgent,
+                ipAddress: req.ip,
+            },
+            $push: { previousTokenHashes: tokenHash },
+        },
+        { new: true }
+    );
+    if (!rotated) {
+        throw new Error("Invalid refresh token");
+    }
+
+    const accessToken = await session.user.getJWT(rotated._id);
+    setAuthCookies(res, { accessToken, refreshToken: nextRefreshToken, session: rotated });
+    return { accessToken, refreshToken: nextRefreshToken, session: rotated };
+};
+
+// Revokes the session of the current request (if any) and clears the cookies
+const endSession = async (req, res) => {
+    const refreshToken = getRequestRefreshToken(req);
+    const filter = req.authSession
+        ? { _id: req.authSession._id }
+        : refreshToken && { refreshTokenHash: hashToken(refreshToken) };
+
+    if (filter) {
+        await Session.updateOne(
+            { ...filter, revokedAt: { $exists: false } },
+            { $set: { revokedAt: new Date(), revokedReason: "logout" } }
+        );
+    }
+    clearAuthCookies(res);
+};
+
+const revokeSession = async (userId, sessionId, reason = "revoked") => {
+    return Session.findOneAndUpdate(
+        { _id: sessionId, user: userId, revokedAt: { $exists: false } },
+        { $set: { revokedAt: new Date(), revokedReason: reason } },
+        { new: true }
+    );
+};
+
+const revokeAllSessions = async (userId, reason = "logout-all") => {
+    const result = await Session.updateMany(
+        { user: userId, revokedAt: { $exists: false } },
+        { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+    return result.modifiedCount;
+};
+
+const listActiveSessions = async (userId) => {
+    return Session.find({ user: userId, revokedAt: { $exists: false }, expiresAt: { $gt: new Date() } })
+        .select("userAgent ipAddress createdAt lastUsedAt expiresAt")
+        .sort({ lastUsedAt: -1 });
+};
+
+module.exports = {
+    ACCESS_TOKEN_TTL_MINUTES,
+    getRequestRefreshToken,
+    startSession,
+    rotateSession,
+    endSession,
+    revokeSession,
+    revokeAllSessions,
+    listActiveSessions,
+    clearAuthCookies,
+};
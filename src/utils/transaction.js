@@ -0,0 +1,19 @@
+const mongoose = require("mongoose");
+
+// Runs `work` inside a MongoDB transaction (needs a replica set) and returns its result
+const withTransaction = async (work) => {
+    const session = await mongoose.startSession();
+    try {
+        let result;
+        await session.withTransaction(async () => {
+            result = await work(session);
+        });
+        return result;
+    } finally {
+        await session.endSession();
+    }
+};
+
+module.exports = {
+    withTransaction,
+};
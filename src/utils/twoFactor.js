@@ -0,0 +1,191 @@
+const crypto = require("crypto");
+const User = require("../models/User");
+const Setting = require("../models/Setting");
+const SecurityEvent = require("../models/SecurityEvent");
+const { generateSecret, verifyTotp, provisioningUri } = require("./totp");
+const { issueActionToken } = require("./actionToken");
+
+// Roles that may enrol, and that the admin policy can make 2FA mandatory for
+const TWO_FACTOR_ROLES = ["admin", "restaurant"];
+const POLICY_KEY = "two-factor-policy";
+const RECOVERY_CODE_COUNT = 10;
+const ISSUER = process.env.TOTP_ISSUER || "Faizos";
+
+const hashRecoveryCode = (code) => {
+    return crypto.createHash("sha256").update(String(code).trim().toLowerCase()).digest("hex");
+};
+
+const newRecoveryCodes = () => {
+    return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const raw = crypto.randomBytes(5).toString("hex");
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+};
+
+const getTwoFactorPolicy = async () => {
+    const setting = await Setting.findOne({ key: POLICY_KEY });
+    return { requiredRoles: setting?.value?.requiredRoles || [] };
+};
+
+const setTwoFactorPolicy = async (requiredRoles, actor) => {
+    const invalid = requiredRoles.filter((role) => !TWO_FACTOR_ROLES.includes(role));
+    if (invalid.length > 0) {
+        throw new Error(`2FA cannot be required for role ${invalid.join(", ")}`);
+    }
+
+    await Setting.findOneAndUpdate(
+        { key: POLICY_KEY },
+        { $set: { value: { requiredRoles }, updatedBy: actor._id } },
+        { upsert: true }
+    );
+    return { requiredRoles };
+};
+
+const isTwoFactorMandatory = async (user) => {
+    if (!TWO_FACTOR_ROLES.includes(user.role)) {
+        return false;
+    }
+    const { requiredRoles } = await getTwoFactorPolicy();
+    return requiredRoles.includes(user.role);
+};
+
+const needsSecondFactor = async (user) => {
+    return Boolean(user.twoFactor?.enabled) || isTwoFactorMandatory(user);
+};
+
+/**
+ * First login step for accounts with 2FA: the password was right, the session
+ * is only issued by POST /api/login/2fa once the code checks out. Users who
+ * must use 2FA but have not enrolled yet finish the enrolment in that step.
+ */
+const createLoginChallenge = async (user) => {
+    const challengeToken = await issueActionToken(user, "two-factor-login");
+    const enrollmentRequired = !user.twoFactor?.enabled;
+    return {
+        message: enrollmentRequired
+            ? "Two-factor authentication is required, enrol through /api/login/2fa/enroll"
+            : "Enter the code from your authenticator app",
+        twoFactorRequired: true,
+        enrollmentRequired,
+        challengeToken,
+    };
+};
+
+const beginEnrollment = async (user) => {
+    if (!TWO_FACTOR_ROLES.includes(user.role)) {
+        throw new Error("Two-factor authentication is not available for this account");
+    }
+    if (user.twoFactor?.enabled) {
+        throw new Error("Two-factor authentication is already enabled");
+    }
+
+    const secret = generateSecret();
+    await User.updateOne({ _id: user._id }, { $set: { "twoFactor.pendingSecret": secret } });
+
+    return {
+        secret,
+        otpauthUrl: provisioningUri({ secret, accountName: user.emailId, issuer: ISSUER }),
+    };
+};
+
+// Enables 2FA once the first code matches the pending secret; returns the recovery codes or null
+const confirmEnrollment = async (userId, code) => {
+    const user = await User.findById(userId).select("+twoFactor.pendingSecret");
+    const pendingSecret = user?.twoFactor?.pendingSecret;
+    if (!pendingSecret) {
+        throw new Error("Start the enrolment first");
+    }
+
+    const step = verifyTotp(pendingSecret, code);
+    if (step === null) {
+        return null;
+    }
+
+    const recoveryCodes = newRecoveryCodes();
+    await User.updateOne({ _id: userId }, {
+        $set: {
+            "twoFactor.enabled": true,
+            "twoFactor.enabledAt": new Date(),
+            "twoFactor.secret": pendingSecret,
+            "twoFactor.lastUsedStep": step,
+            "twoFactor.recoveryCodes": recoveryCodes.map(hashRecoveryCode),
+        },
+        $unset: { "twoFactor.pendingSecret": "" },
+    });
+    await SecurityEvent.create({ type: "two-factor-enabled", user: userId, emailId: user.emailId });
+
+    return recoveryCodes;
+};
+
+// Checks a TOTP code (each code works once) or burns a recovery code
+const verifySecondFactor = async (userId, { code, recoveryCode }) => {
+    if (recoveryCode) {
+        const { modifiedCount } = await User.updateOne(
+            { _id: userId, "twoFactor.enabled": true, "twoFactor.recoveryCodes": hashRecoveryCode(recoveryCode) },
+            { $pull: { "twoFactor.recoveryCodes": hashRecoveryCode(recoveryCode) } }
+        );
+        return modifiedCount === 1;
+    }
+
+    const user = await User.findById(userId).select("+twoFactor.secret");
+    if (!user?.twoFactor?.enabled || !user.twoFactor.secret) {
+        return false;
+    }
+
+    const step = verifyTotp(user.twoFactor.secret, code);
+    if (step === null) {
+        return false;
+    }
+
+    // Conditional update so a code cannot be replayed within its 30 second window
+    const { modifiedCount } = await User.updateOne(
+        {
+            _id: userId,
+            $or: [{ "twoFactor.lastUsedStep": { $lt: step } }, { "twoFactor.lastUsedStep": { $exists: false } }],
+        },
+        { $set: { "twoFactor.lastUsedStep": step } }
+    );
+    return modifiedCount === 1;
+};
+
+const regenerateRecoveryCodes = async (userId) => {
+    const recoveryCodes = newRecoveryCodes();
+    await User.updateOne(
+        { _id: userId },
+        { $set: { "twoFactor.recoveryCodes": recoveryCodes.map(hashRecoveryCode) } }
+    );
+    return recoveryCodes;
+};
+
+const disableTwoFactor = async (user, actor = user) => {
+    await User.updateOne({ _id: user._id }, {
+        $set: { "twoFactor.enabled": false },
+        $unset: {
+            "twoFactor.enabledAt": "",
+            "twoFactor.secret": "",
+            "twoFactor.pendingSecret": "",
+            "twoFactor.recoveryCodes": "",
+            "twoFactor.lastUsedStep": "",
+        },
+    });
+    await SecurityEvent.create({
+        type: actor._id.equals(user._id) ? "two-factor-disabled" : "two-factor-reset",
+        user: user._id,
+        emailId: user.emailId,
+        actor: actor._id,
+    });
+};
+
+module.exports = {
+    TWO_FACTOR_ROLES,
+    getTwoFactorPolicy,
+    setTwoFactorPolicy,
+    isTwoFactorMandatory,
+    needsSecondFactor,
+    createLoginChallenge,
+    beginEnrollment,
+    confirmEnrollment,
+    verifySecondFactor,
+    regenerateRecoveryCodes,
+    disableTwoFactor,
+};
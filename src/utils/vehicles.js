@@ -0,0 +1,20 @@
+// Average speed and the longest trip from restaurant to customer each vehicle is offered
+const VEHICLES = {
+    foot: { speedKmh: 5, maxTripKm: 2 },
+    bicycle: { speedKmh: 15, maxTripKm: 5 },
+    scooter: { speedKmh: 25, maxTripKm: 12 },
+    motorbike: { speedKmh: 30, maxTripKm: 20 },
+    car: { speedKmh: 30, maxTripKm: 30 },
+};
+const VEHICLE_ALIASES = { walking: "foot", cycle: "bicycle", bike: "motorbike", motorcycle: "motorbike", scooty: "scooter" };
+const DEFAULT_VEHICLE = { speedKmh: 20, maxTripKm: 10 };
+
+// vehicleType is free text entered at registration
+const vehicleOf = (vehicleType) => {
+    const name = String(vehicleType || "").trim().toLowerCase();
+    return VEHICLES[VEHICLE_ALIASES[name] || name] || DEFAULT_VEHICLE;
+};
+
+module.exports = {
+    vehicleOf,
+};
@@ -0,0 +1,20 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const restaurantRouter = require("../../src/routes/restaurantRouter");
+
+// The route Express dispatches a request to: the first registered one matching path and method
+const routeFor = (method, path) => {
+    const layer = restaurantRouter.stack.find((layer) => layer.route && layer.route.methods[method] && layer.match(path));
+    return layer && layer.route.path;
+};
+
+test("DELETE /item/:id/image reaches the image route, not the menu item delete", () => {
+    assert.strictEqual(routeFor("delete", "/item/652f1c2e9b1e8a0012345678/image"), "/item/:itemId/image");
+});
+
+test("DELETE /item/:userId/:menuItemId still deletes the menu item", () => {
+    assert.strictEqual(
+        routeFor("delete", "/item/652f1c2e9b1e8a0012345678/652f1c2e9b1e8a0012345679"),
+        "/item/:userId/:menuItemId"
+    );
+});